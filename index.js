@@ -2,9 +2,14 @@ import { eventSource, event_types, saveChatConditional, reloadCurrentChat, swipe
 import { getContext } from "../../../extensions.js";
 import { loadSlashCommands, updateToolRegistration } from "./src/commands.js";
 import { addMessageButtons, resetMessageButtons } from "./src/messages.js";
-import { loadSettings, changeCharaName, renderSummariesList, settings } from "./src/settings.js";
-import { initTimelineMacro, loadTimelineData, resetTimelineFillResults, updateTimelineInjection, resetArcSessionState } from "./src/memories.js";
+import { loadSettings, changeCharaName, renderSummariesList, refreshSettingOverridesUI, settings } from "./src/settings.js";
+import { initTimelineMacro, loadTimelineData, resetTimelineFillResults, updateTimelineInjection, resetArcSessionState, checkAutoChapter, checkTimelineBranch, initChapterAnchors, reanchorTimeline, abortTimelineQueries } from "./src/memories.js";
 import { showRetrievalProgress, hideRetrievalProgress } from "./src/retrieval-progress.js";
+import { checkInterruptedBuild } from "./src/timeline-build.js";
+import { handleAgentSessionChatChange } from "./src/agent-sessions.js";
+// The built-in agent modes register themselves when loaded
+import "./src/lore-management.js";
+import "./src/agentic-timeline-fill.js";
 import { loadUITranslations } from "./src/locales.js";
 
 export const extension_name = 'timeline-memory';
@@ -76,7 +81,11 @@ function initQuickReplyButtons() {
 
 	// Click handler for Retrieve and Send
 	retrieveAndSendBtn.on('click', async () => {
-		if (retrieveAndSendBtn.hasClass('disabled')) return;
+		// A second click while running stops the timeline fill
+		if (retrieveAndSendBtn.hasClass('disabled')) {
+			abortTimelineQueries();
+			return;
+		}
 		retrieveAndSendBtn.addClass('disabled');
 		// Change icon to spinning gear
 		retrieveAndSendBtn.removeClass('fa-comment-dots').addClass('fa-gear fa-spin');
@@ -98,7 +107,11 @@ function initQuickReplyButtons() {
 
 	// Click handler for Retrieve and Swipe
 	retrieveAndSwipeBtn.on('click', async () => {
-		if (retrieveAndSwipeBtn.hasClass('disabled')) return;
+		// A second click while running stops the timeline fill
+		if (retrieveAndSwipeBtn.hasClass('disabled')) {
+			abortTimelineQueries();
+			return;
+		}
 		retrieveAndSwipeBtn.addClass('disabled');
 		// Change icon to spinning gear
 		retrieveAndSwipeBtn.removeClass('fa-rotate').addClass('fa-gear fa-spin');
@@ -173,67 +186,35 @@ jQuery(() => {
 	eventSource.on(event_types.CHAT_CHANGED, async (chatId) => {
 		if (!chatId) return;
 
-		// SAFETY: Check for conflicting session metadata before recovery
-		// If both sessions have metadata, that's an error state - clear both to prevent corruption
-		const context = getContext();
-		const hasLoreMetadata = context.chatMetadata?.lore_management_session?.active;
-		const hasAgenticMetadata = context.chatMetadata?.agentic_timeline_fill_session?.active;
-
-		if (hasLoreMetadata && hasAgenticMetadata) {
-			console.error('Timeline Memory: Both lore management and agentic timeline fill have active metadata - clearing both to prevent corruption');
-			toastr.error('Conflicting session states detected - clearing both. Chat backup should be available.', 'Timeline Memory');
-			delete context.chatMetadata.lore_management_session;
-			delete context.chatMetadata.agentic_timeline_fill_session;
-			await saveChatConditional();
-			// Skip recovery for both - let the backup be the safety net
-		} else {
-			// Abort any active lore management session when chat changes to a DIFFERENT chat
-			// Also check for and recover from interrupted sessions (e.g., page refresh)
-			try {
-				const { abortLoreManagementSession, isLoreManagementActive, getSessionChatId, recoverInterruptedSession } = await import('./src/lore-management.js');
-				if (isLoreManagementActive()) {
-					// Only abort if we're switching to a different chat
-					// (CHAT_CHANGED also fires during save/reload of the same chat)
-					const sessionChatId = getSessionChatId();
-					if (sessionChatId && chatId !== sessionChatId) {
-						await abortLoreManagementSession();
-					}
-				} else {
-					// Check for interrupted session that needs recovery
-					await recoverInterruptedSession();
-				}
-			} catch (err) {
-				// Module might not be loaded yet, ignore
-			}
-			// Handle agentic timeline fill session recovery/abort
-			try {
-				const {
-					abortAgenticTimelineFillSession,
-					isAgenticTimelineFillActive,
-					getSessionChatId: getAgenticSessionChatId,
-					recoverInterruptedSession: recoverAgenticSession
-				} = await import('./src/agentic-timeline-fill.js');
-				if (isAgenticTimelineFillActive()) {
-					// Only abort if we're switching to a different chat
-					const sessionChatId = getAgenticSessionChatId();
-					if (sessionChatId && chatId !== sessionChatId) {
-						await abortAgenticTimelineFillSession();
-					}
-				} else {
-					// Check for interrupted session that needs recovery
-					await recoverAgenticSession();
-				}
-			} catch (err) {
-				// Module might not be loaded yet, ignore
-			}
+		// Abort an agent session when switching to a different chat, or recover one cut off by a page refresh
+		try {
+			await handleAgentSessionChatChange(chatId);
+		} catch (err) {
+			console.error('Timeline Memory: Agent session check failed:', err);
 		}
 		// Reset arc analyzer session state when chat changes
 		resetArcSessionState();
 		loadTimelineData();
+		initChapterAnchors();
 		resetMessageButtons();
 		renderSummariesList();
+		// The new chat may have its own setting overrides, or belong to a character that does
+		refreshSettingOverridesUI({ chatChanged: true });
+		// Branches and checkpoints copy the whole timeline, including chapters past the branch point
+		checkTimelineBranch();
+		checkInterruptedBuild();
 	});
 	eventSource.on(event_types.MESSAGE_SENT, resetTimelineFillResults);
+	eventSource.on(event_types.MESSAGE_RECEIVED, checkAutoChapter);
+	// Keep chapters attached to the same messages when messages are deleted, inserted, edited or swiped
+	const onMessagesChanged = (mesId) => {
+		if (reanchorTimeline(mesId)) renderSummariesList();
+	};
+	eventSource.on(event_types.MESSAGE_DELETED, () => onMessagesChanged());
+	eventSource.on(event_types.MESSAGE_SENT, () => onMessagesChanged());
+	eventSource.on(event_types.MESSAGE_RECEIVED, () => onMessagesChanged());
+	eventSource.on(event_types.MESSAGE_EDITED, (mesId) => onMessagesChanged(Number(mesId)));
+	eventSource.on(event_types.MESSAGE_SWIPED, (mesId) => onMessagesChanged(Number(mesId)));
 	eventSource.on(event_types.MORE_MESSAGES_LOADED, resetMessageButtons);
 	eventSource.on(event_types.CHARACTER_RENAMED, changeCharaName);
 
@@ -0,0 +1,239 @@
+/**
+ * Agent Runner Module
+ *
+ * Runs a tool-calling loop through a connection profile with its own message list, so agent sessions never
+ * write to the chat, change the UI or switch the selected connection profile. Tools are called by the
+ * runner itself rather than through SillyTavern's ToolManager.
+ */
+
+import { extension_settings } from "../../../../extensions.js";
+import { sendRequestWithRetry } from "./request-retry.js";
+import { log, debug } from "./logging.js";
+
+const DEFAULT_MAX_TURNS = 50;
+const DEFAULT_MAX_REMINDERS = 5;  // Consecutive replies without a tool call before giving up
+
+let callCounter = 0;
+
+/**
+ * @typedef {Object} AgentTool
+ * @property {string} name - Function name given to the model
+ * @property {string} description - What the tool does, for the model
+ * @property {Object} parameters - JSON schema of the arguments
+ * @property {function(Object): (string|Promise<string>)} action - Runs the tool and returns the result for the model
+ * @property {function(Object): string} [formatMessage] - Progress text shown while the tool runs
+ */
+
+/**
+ * @typedef {Object} AgentEvent
+ * @property {string} type - 'response', 'tool', 'reminder', 'retry' or 'error'
+ * @property {number} turn - Request the event belongs to
+ * @property {number} [duration] - Milliseconds the request or tool call took
+ */
+
+/**
+ * Get a connection profile by ID
+ * @param {string} profileId
+ * @returns {Object|null}
+ */
+export function getAgentProfile(profileId) {
+    return extension_settings.connectionManager?.profiles?.find(p => p.id === profileId) ?? null;
+}
+
+function nextCallId() {
+    callCounter++;
+    return `rmr_call_${Date.now().toString(36)}_${callCounter}`;
+}
+
+/**
+ * Read the text and tool calls from a raw chat completion response, in the OpenAI, Claude or Google format
+ * @param {Object|string} data - Response as returned by the backend
+ * @returns {{content: string, toolCalls: Array<{id: string, name: string, arguments: Object|string}>}}
+ */
+function parseAgentResponse(data) {
+    const message = data?.choices?.[0]?.message;
+    if (message) {
+        return {
+            content: String(message.content ?? ''),
+            toolCalls: (message.tool_calls ?? []).map(call => ({
+                id: call.id || nextCallId(),
+                name: call.function?.name,
+                arguments: call.function?.arguments,
+            })),
+        };
+    }
+
+    if (Array.isArray(data?.content)) {
+        return {
+            content: data.content.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+            toolCalls: data.content.filter(block => block.type === 'tool_use').map(block => ({
+                id: block.id || nextCallId(),
+                name: block.name,
+                arguments: block.input,
+            })),
+        };
+    }
+
+    const parts = data?.candidates?.[0]?.content?.parts ?? data?.responseContent?.parts;
+    if (Array.isArray(parts)) {
+        return {
+            content: parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('\n'),
+            toolCalls: parts.filter(part => part.functionCall).map(part => ({
+                id: nextCallId(),
+                name: part.functionCall.name,
+                arguments: part.functionCall.args,
+            })),
+        };
+    }
+
+    return { content: typeof data === 'string' ? data : String(data?.content ?? ''), toolCalls: [] };
+}
+
+function parseArguments(args) {
+    if (args && typeof args === 'object') return args;
+    if (!args) return {};
+    return JSON.parse(args);
+}
+
+/**
+ * Send the conversation so far with the tool schema attached, retrying failed requests and empty replies.
+ * Fallback profiles that are not chat completion profiles are skipped.
+ * @returns {Promise<{content: string, toolCalls: Array<Object>}>} Parsed response
+ */
+async function sendAgentRequest(workflow, profileId, messages, toolSchema, signal, onRetry) {
+    return await sendRequestWithRetry({
+        workflow,
+        profileId,
+        messages,
+        custom: {
+            includePreset: true,  // Sampler settings of the profile's preset
+            stream: false,
+            signal,
+            extractData: false,   // Keep the tool calls, which the extracted text drops
+        },
+        overridePayload: { tools: toolSchema, tool_choice: 'auto' },
+        parse: (data) => {
+            const response = parseAgentResponse(data);
+            if (!response.content.trim() && !response.toolCalls.length) {
+                throw new Error('The model sent an empty reply');
+            }
+            return response;
+        },
+        canUseProfile: profile => !profile.mode || profile.mode === 'cc',
+        onRetry,
+    });
+}
+
+/**
+ * Run a tool-calling loop until the model calls one of the end tools
+ * @param {Object} options
+ * @param {string} options.profileId - Connection profile to send the requests through (chat completion only)
+ * @param {string} [options.workflow] - Workflow the requests are counted under in the usage totals
+ * @param {Array<Object>} options.messages - Opening messages, usually a system prompt and a user message
+ * @param {AgentTool[]} options.tools - Tools the model can call
+ * @param {string[]} options.endTools - Tools that end the loop once they have run
+ * @param {AbortSignal} [options.signal] - Stops the loop between and during requests
+ * @param {number} [options.maxTurns] - Requests to send before giving up
+ * @param {number} [options.maxReminders] - Consecutive replies without a tool call before giving up
+ * @param {function(string): void} [options.onProgress] - Receives the progress text of each tool call
+ * @param {function(AgentEvent): void} [options.onEvent] - Receives every response, tool call, reminder, retry and failed request
+ * @returns {Promise<{endTool: string, endArgs: Object, result: string, messages: Array<Object>, turns: number}>}
+ */
+export async function runAgentLoop({ profileId, workflow = 'agent', messages, tools, endTools, signal = null, maxTurns = DEFAULT_MAX_TURNS, maxReminders = DEFAULT_MAX_REMINDERS, onProgress = null, onEvent = null }) {
+    const profile = getAgentProfile(profileId);
+    if (!profile) {
+        throw new Error('Connection profile not found');
+    }
+    if (profile.mode && profile.mode !== 'cc') {
+        throw new Error(`Connection profile "${profile.name}" is not a chat completion profile, which tool calls need`);
+    }
+
+    const toolSchema = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+    }));
+    const history = [...messages];
+    let reminders = 0;
+
+    for (let turn = 1; turn <= maxTurns; turn++) {
+        if (signal?.aborted) throw new Error('Agent session stopped');
+
+        debug(`Agent turn ${turn}: sending ${history.length} messages`);
+        const requestStart = Date.now();
+        let response;
+        try {
+            response = await sendAgentRequest(workflow, profileId, history, toolSchema, signal, (info) => onEvent?.({ type: 'retry', turn, ...info }));
+        } catch (err) {
+            onEvent?.({ type: 'error', turn, duration: Date.now() - requestStart, message: err?.message || String(err) });
+            throw err;
+        }
+        const { content, toolCalls } = response;
+        onEvent?.({
+            type: 'response',
+            turn,
+            duration: Date.now() - requestStart,
+            content,
+            toolCalls: toolCalls.map(call => ({ name: call.name, arguments: call.arguments })),
+        });
+
+        if (!toolCalls.length) {
+            reminders++;
+            log(`Agent replied without a tool call (${reminders}/${maxReminders})`);
+            onEvent?.({ type: 'reminder', turn, attempt: reminders, maxReminders });
+            if (reminders > maxReminders) {
+                throw new Error(`The model did not call a tool after ${maxReminders} reminders`);
+            }
+            if (content) history.push({ role: 'assistant', content });
+            history.push({
+                role: 'user',
+                content: `Continue by calling one of the tools. When you are done, call ${endTools.join(' or ')}.`,
+            });
+            continue;
+        }
+        reminders = 0;
+
+        history.push({
+            role: 'assistant',
+            content,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {}) },
+            })),
+        });
+
+        let ended = null;
+        for (const call of toolCalls) {
+            const tool = tools.find(t => t.name === call.name);
+            let args = {};
+            let result;
+            const toolStart = Date.now();
+            if (!tool) {
+                result = `Error: unknown tool "${call.name}"`;
+            } else {
+                try {
+                    args = parseArguments(call.arguments);
+                    onProgress?.(tool.formatMessage?.(args) ?? `Running ${tool.name}...`);
+                    result = String(await tool.action(args) ?? '');
+                } catch (err) {
+                    result = `Error: ${err.message}`;
+                }
+            }
+            debug(`Agent tool ${call.name}:`, args, result);
+            onEvent?.({ type: 'tool', turn, duration: Date.now() - toolStart, name: call.name, args, result });
+            history.push({ role: 'tool', tool_call_id: call.id, content: result });
+
+            if (tool && endTools.includes(tool.name) && !result.startsWith('Error:')) {
+                ended ??= { endTool: tool.name, endArgs: args, result };
+            }
+        }
+
+        // Tool calls made alongside the end tool still run, so nothing the model asked for is lost
+        if (ended) {
+            log(`Agent session ended by ${ended.endTool} after ${turn} turns`);
+            return { ...ended, messages: history, turns: turn };
+        }
+    }
+
+    throw new Error(`The model did not finish within ${maxTurns} requests`);
+}
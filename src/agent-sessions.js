@@ -0,0 +1,461 @@
+/**
+ * Agent Sessions Module
+ *
+ * Runs agent modes, such as lore management and agentic timeline fill, through the agent runner. A mode is
+ * registered with its tools and prompts; this module checks its connection profile, allows one session at
+ * a time, shows progress with a Stop button, aborts the session when the chat changes, and saves a transcript of
+ * each session.
+ *
+ * Other extensions can add modes with registerAgentMode() and run them with /timeline-agent.
+ */
+
+import { extension_settings, getContext } from "../../../../extensions.js";
+import { saveChatConditional, reloadCurrentChat, eventSource, event_types } from "../../../../../script.js";
+import { executeSlashCommandsWithOptions } from "../../../../slash-commands.js";
+import { settings } from "./settings.js";
+import { runAgentLoop } from "./agent-runner.js";
+import { agentWorkflow } from "./usage.js";
+import { beginTranscript, recordTranscriptEvent, finishTranscript, closeInterruptedTranscripts } from "./agent-transcripts.js";
+import { showRetrievalProgress, hideRetrievalProgress, updateRetrievalProgress, setProgressStopHandler } from "./retrieval-progress.js";
+import { log, debug, error } from "./logging.js";
+
+/**
+ * @typedef {Object} AgentMode
+ * @property {string} id - Name used in /timeline-agent
+ * @property {string} [title] - Shown in the progress popup and messages; defaults to the id
+ * @property {string} [prompt] - Instructions, before macro substitution; shorthand for getSystemPrompt
+ * @property {import('./agent-runner.js').AgentTool[]} [tools] - Tools for every session; shorthand for getTools
+ * @property {function(): (string|null)} [getProfileId] - Connection profile the session runs on; defaults to the Agentic Timeline Fill profile
+ * @property {function(): string} [getSystemPrompt] - Instructions, before macro substitution
+ * @property {function(): string} [getUserPrompt] - Opening user message, before macro substitution
+ * @property {function(Object): import('./agent-runner.js').AgentTool[]} [getTools] - Tools for a session
+ * @property {string[]} [endTools] - Tools that end the session; without them an end_session tool is added
+ * @property {string} [description] - Shown in the /timeline-agent mode list
+ * @property {string} [startMessage] - Progress text until the first tool call
+ * @property {function(Object): (void|Promise<void>)} [onStart] - Called before the first request
+ * @property {function(Object, Object): (void|Promise<void>)} [onEnd] - Called after the session, with its outcome
+ */
+
+const modes = new Map();
+
+// The running session; only one agent session runs at a time
+let activeSession = null;
+
+// Chat metadata of sessions from earlier versions, which ran inside the chat
+const LEGACY_METADATA_KEYS = {
+    lore_management_session: 'lore management',
+    agentic_timeline_fill_session: 'agentic timeline fill',
+};
+
+const DEFAULT_USER_PROMPT = 'Begin. Use the tools to complete your task, and call the tool that ends the session when you are done.';
+
+// Ends a session of a mode that did not name its own end tools
+const END_SESSION_TOOL = {
+    name: 'end_session',
+    description: 'End the session once the task is done, with the final result.',
+    parameters: {
+        type: 'object',
+        properties: { result: { type: 'string', description: 'The final result of the session' } },
+        required: ['result'],
+    },
+    action: ({ result }) => String(result ?? ''),
+    formatMessage: () => 'Finishing...',
+};
+
+/**
+ * Register an agent mode. Only an id, the tools and a prompt are needed; the rest has defaults.
+ * @param {AgentMode} mode
+ */
+export function registerAgentMode(mode) {
+    const getTools = typeof mode?.getTools === 'function' ? mode.getTools : Array.isArray(mode?.tools) ? () => mode.tools : null;
+    const getSystemPrompt = typeof mode?.getSystemPrompt === 'function' ? mode.getSystemPrompt : typeof mode?.prompt === 'string' ? () => mode.prompt : null;
+    if (!mode?.id || !getTools) {
+        throw new Error('An agent mode needs an id and tools');
+    }
+    if (!getSystemPrompt && typeof mode.getUserPrompt !== 'function') {
+        throw new Error(`Agent mode "${mode.id}" needs a prompt`);
+    }
+
+    const endTools = mode.endTools?.length ? mode.endTools : [END_SESSION_TOOL.name];
+    modes.set(mode.id, {
+        title: mode.id,
+        getProfileId: () => settings.agentic_timeline_fill_profile,
+        getUserPrompt: () => DEFAULT_USER_PROMPT,
+        ...mode,
+        getSystemPrompt: getSystemPrompt ?? (() => ''),
+        getTools: mode.endTools?.length ? getTools : (session) => [...getTools(session), END_SESSION_TOOL],
+        endTools,
+    });
+    debug(`Registered agent mode "${mode.id}"`);
+}
+
+/**
+ * @returns {AgentMode[]} Registered agent modes
+ */
+export function getAgentModes() {
+    return [...modes.values()];
+}
+
+/**
+ * @param {string} [modeId] - Only count sessions of this mode
+ * @returns {boolean} Whether an agent session is running
+ */
+export function isAgentSessionActive(modeId = null) {
+    return !!activeSession && (!modeId || activeSession.mode.id === modeId);
+}
+
+/**
+ * @returns {{mode: string, title: string, chatId: string|null}|null} The running session
+ */
+export function getActiveAgentSession() {
+    if (!activeSession) return null;
+    return { mode: activeSession.mode.id, title: activeSession.mode.title, chatId: activeSession.chatId };
+}
+
+function getProfileName(profileId) {
+    if (!profileId) return null;
+    return extension_settings.connectionManager?.profiles?.find(p => p.id === profileId)?.name ?? null;
+}
+
+/**
+ * Capture the current chat content for the {{currentChat}} macro
+ * @returns {string} JSON string of chat messages
+ */
+function captureCurrentChat() {
+    const context = getContext();
+    const chat = Array.isArray(context.chat) ? context.chat : [];
+    if (!chat.length) return '[]';
+
+    // Map with original indices preserved, filter out system messages
+    const chatContent = chat
+        .map((m, idx) => ({ m, idx }))
+        .filter(({ m }) => !m?.is_system)
+        .map(({ m, idx }) => ({
+            id: idx,
+            name: String(m?.name || (m?.is_user ? context.name1 : context.name2) || ''),
+            role: m?.is_user ? 'user' : 'assistant',
+            text: String(m?.mes || ''),
+        }));
+
+    return JSON.stringify(chatContent, null, 2);
+}
+
+/**
+ * Start a session of an agent mode
+ * @param {string} modeId - Registered mode
+ * @returns {Promise<Object|null>} Outcome of the session ({completed, aborted, error, endTool, endArgs, result}),
+ *     or null if it could not start
+ */
+export async function startAgentSession(modeId) {
+    const mode = modes.get(modeId);
+    if (!mode) {
+        toastr.error(`Unknown agent mode "${modeId}"`, 'Timeline Memory');
+        return null;
+    }
+
+    // SAFETY: one session at a time, so two agents never edit the timeline or lorebook together
+    if (activeSession) {
+        const message = activeSession.mode === mode
+            ? `A ${mode.title} session is already active`
+            : `Cannot start ${mode.title} while a ${activeSession.mode.title} session is active`;
+        toastr.warning(message, 'Timeline Memory');
+        return null;
+    }
+
+    const profileId = mode.getProfileId();
+    if (!profileId) {
+        toastr.error(`No ${mode.title} profile configured`, 'Timeline Memory');
+        return null;
+    }
+    if (!getProfileName(profileId)) {
+        toastr.error(`Configured ${mode.title} profile not found`, 'Timeline Memory');
+        return null;
+    }
+
+    // SAFETY: Validate chat exists and has messages
+    const context = getContext();
+    if (!context.chat || context.chat.length === 0) {
+        error(`Cannot start ${mode.title} session on empty chat`);
+        toastr.error('Cannot start session on empty chat', 'Timeline Memory');
+        return null;
+    }
+
+    const session = {
+        mode,
+        profileId,
+        chatId: context.getCurrentChatId?.() || null,
+        abortController: new AbortController(),
+        data: {},  // Scratch space for the mode's hooks
+        promise: null,
+    };
+    activeSession = session;
+
+    log(`Starting ${mode.title} session`);
+    log(`Session chat ID: ${session.chatId}`);
+
+    session.promise = runAgentSession(session);
+    return await session.promise;
+}
+
+/**
+ * Run the agent loop of a session and clean up after it
+ * @param {Object} session
+ * @returns {Promise<Object>} Outcome of the session
+ */
+async function runAgentSession(session) {
+    const { mode } = session;
+    const signal = session.abortController.signal;
+    const outcome = { completed: false, aborted: false, error: null, endTool: null, endArgs: null, result: null };
+    const hookSession = { mode: mode.id, chatId: session.chatId, signal, data: session.data };
+
+    showRetrievalProgress('analysis', mode.title);
+    updateRetrievalProgress({ message: mode.startMessage || 'Starting...' });
+    setProgressStopHandler(() => abortAgentSession());
+
+    const { setCurrentChatContent, clearCurrentChatContent, substituteAgentPrompt, abortTimelineQueries } = await import('./memories.js');
+    // Chapter queries run by the session's tools stop with it
+    signal.addEventListener('abort', () => abortTimelineQueries(), { once: true });
+    let transcript = null;
+    try {
+        setCurrentChatContent(captureCurrentChat());
+        await mode.onStart?.(hookSession);
+
+        const messages = [];
+        const systemPrompt = substituteAgentPrompt(mode.getSystemPrompt());
+        if (systemPrompt.trim()) messages.push({ role: 'system', content: systemPrompt });
+        messages.push({ role: 'user', content: substituteAgentPrompt(mode.getUserPrompt()) });
+        transcript = beginTranscript({
+            mode: mode.id,
+            title: mode.title,
+            profileId: session.profileId,
+            profileName: getProfileName(session.profileId),
+            messages,
+        });
+
+        const result = await runAgentLoop({
+            profileId: session.profileId,
+            workflow: agentWorkflow(mode.id),
+            messages,
+            tools: mode.getTools(hookSession),
+            endTools: mode.endTools,
+            signal,
+            onProgress: (message) => updateRetrievalProgress({ message }),
+            onEvent: (event) => recordTranscriptEvent(transcript, event),
+        });
+        Object.assign(outcome, { completed: true, endTool: result.endTool, endArgs: result.endArgs, result: result.result });
+    } catch (err) {
+        if (signal.aborted) {
+            outcome.aborted = true;
+            log(`${mode.title} session stopped`);
+        } else {
+            outcome.error = err;
+            error(`${mode.title} session failed:`, err);
+            toastr.error(`${mode.title} session failed: ${err.message}`, 'Timeline Memory');
+        }
+    } finally {
+        activeSession = null;
+        setProgressStopHandler(null);
+        hideRetrievalProgress();
+        clearCurrentChatContent();
+        finishTranscript(transcript, outcome);
+    }
+
+    if (outcome.completed) {
+        toastr.success(`${mode.title} session completed`, 'Timeline Memory');
+    } else if (outcome.aborted) {
+        toastr.info(`${mode.title} session stopped`, 'Timeline Memory');
+    }
+
+    try {
+        await mode.onEnd?.(hookSession, outcome);
+    } catch (err) {
+        error(`${mode.title} session cleanup failed:`, err);
+    }
+    return outcome;
+}
+
+/**
+ * Abort the running agent session
+ * @param {string} [modeId] - Only abort a session of this mode
+ * @returns {Promise<boolean>} True if a session was aborted
+ */
+export async function abortAgentSession(modeId = null) {
+    const session = activeSession;
+    // Check if there's actually a session to abort
+    if (!session || (modeId && session.mode.id !== modeId)) {
+        return false;
+    }
+
+    log(`Aborting ${session.mode.title} session`);
+    session.abortController.abort();
+    await session.promise;
+    return true;
+}
+
+/**
+ * Switch to a profile using SlashCommandParser directly
+ * @param {string} profileName - The profile name to switch to, or 'none' for no profile
+ * @returns {Promise<void>}
+ */
+async function switchProfile(profileName) {
+    const context = getContext();
+    const SlashCommandParser = context.SlashCommandParser;
+
+    if (!SlashCommandParser?.commands?.['profile']) {
+        error('Profile slash command not available');
+        return;
+    }
+
+    // Set up promise to wait for profile switch to complete
+    const switchCompletePromise = new Promise((resolve) => {
+        let resolved = false;
+
+        const modelChangedHandler = () => {
+            if (!resolved) {
+                log('Profile switch complete (model changed)');
+                resolved = true;
+                eventSource.removeListener(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
+                eventSource.removeListener(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
+                resolve();
+            }
+        };
+
+        const statusChangedHandler = () => {
+            if (!resolved) {
+                log('Profile switch complete (status changed)');
+                resolved = true;
+                eventSource.removeListener(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
+                eventSource.removeListener(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
+                resolve();
+            }
+        };
+
+        eventSource.once(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
+        eventSource.once(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
+
+        // Timeout in case neither event fires
+        setTimeout(() => {
+            if (!resolved) {
+                log('Profile switch timeout - continuing anyway');
+                resolved = true;
+                eventSource.removeListener(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
+                eventSource.removeListener(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
+                resolve();
+            }
+        }, 3000);
+    });
+
+    const args = {
+        _scope: null,
+        _abortController: null,
+        _debugController: null,
+        _parserFlags: {},
+        _hasUnnamedArgument: false,
+        quiet: 'true'
+    };
+
+    log(`Switching to profile: ${profileName}`);
+    await SlashCommandParser.commands['profile'].callback(args, profileName);
+    await switchCompletePromise;
+    log('Profile switch complete');
+}
+
+/**
+ * Recover from a session of an earlier version that was cut off by a page refresh.
+ * Those sessions ran inside the chat: they hid its messages, added their own and switched the connection profile,
+ * and saved that state in the chat metadata. This removes the session's messages, unhides the chat and
+ * restores the profile.
+ * @returns {Promise<boolean>} True if recovery was performed
+ */
+async function recoverLegacySession() {
+    const context = getContext();
+    if (!context.chatMetadata) return false;
+
+    const activeKeys = Object.keys(LEGACY_METADATA_KEYS).filter(key => context.chatMetadata[key]?.active);
+    if (!activeKeys.length) return false;
+
+    // Both sessions can never have run at once; their states cannot be trusted to restore the chat
+    if (activeKeys.length > 1) {
+        console.error('Timeline Memory: Both lore management and agentic timeline fill have active metadata - clearing both to prevent corruption');
+        toastr.error('Conflicting session states detected - clearing both. Chat backup should be available.', 'Timeline Memory');
+        activeKeys.forEach(key => delete context.chatMetadata[key]);
+        await saveChatConditional();
+        return false;
+    }
+
+    const key = activeKeys[0];
+    const title = LEGACY_METADATA_KEYS[key];
+    const savedState = context.chatMetadata[key];
+    const clearState = () => {
+        delete context.chatMetadata[key];
+        log(`Cleared ${title} state from metadata`);
+    };
+
+    log(`Recovering from interrupted ${title} session`);
+    toastr.warning(`Recovering from interrupted ${title} session...`, 'Timeline Memory');
+
+    const chat = context.chat;
+
+    // SAFETY: Validate startMessageIndex before any destructive operations
+    if (savedState.startMessageIndex <= 0) {
+        error('Invalid startMessageIndex (0 or negative) - refusing to delete messages to prevent chat loss');
+        toastr.error('Recovery aborted: Invalid session state detected', 'Timeline Memory');
+        clearState();
+        return false;
+    }
+
+    try {
+        // Delete the session's messages (from startMessageIndex to end)
+        // Only delete if startMessageIndex is within bounds
+        if (savedState.startMessageIndex <= chat.length) {
+            const messagesToDelete = chat.length - savedState.startMessageIndex;
+            if (messagesToDelete > 0) {
+                log(`Deleting ${messagesToDelete} session messages`);
+                chat.splice(savedState.startMessageIndex, messagesToDelete);
+            }
+        } else {
+            error(`startMessageIndex (${savedState.startMessageIndex}) exceeds chat length (${chat.length}) - skipping message deletion`);
+        }
+
+        // Unhide the messages that were hidden
+        if (savedState.hiddenMessageStart >= 0 && savedState.hiddenMessageEnd >= 0) {
+            log(`Unhiding messages ${savedState.hiddenMessageStart} to ${savedState.hiddenMessageEnd}`);
+            await executeSlashCommandsWithOptions(`/unhide ${savedState.hiddenMessageStart}-${savedState.hiddenMessageEnd}`);
+        }
+
+        // Clear the saved state, then save and reload the chat
+        clearState();
+        await saveChatConditional();
+        await reloadCurrentChat();
+
+        // Restore original profile after chat reload
+        await switchProfile(savedState.savedProfileName || 'none');
+
+        log('Recovery completed successfully');
+        toastr.success(`${title[0].toUpperCase()}${title.slice(1)} session recovered`, 'Timeline Memory');
+        return true;
+    } catch (err) {
+        error('Error during recovery:', err);
+        toastr.error(`Error recovering ${title} session`, 'Timeline Memory');
+        // Clear the state anyway to prevent repeated recovery attempts
+        clearState();
+        return false;
+    }
+}
+
+/**
+ * Keep sessions in step with the loaded chat. Call this on CHAT_CHANGED.
+ * A running session is aborted when a different chat is opened (CHAT_CHANGED also fires when the same chat
+ * is saved or reloaded); otherwise a session of an earlier version that was cut off is recovered.
+ * @param {string} chatId - ID of the chat now loaded
+ */
+export async function handleAgentSessionChatChange(chatId) {
+    if (activeSession) {
+        if (activeSession.chatId && chatId !== activeSession.chatId) {
+            await abortAgentSession();
+        }
+        return;
+    }
+    closeInterruptedTranscripts();
+    await recoverLegacySession();
+}
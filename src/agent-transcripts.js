@@ -0,0 +1,371 @@
+/**
+ * Agent Transcripts Module
+ *
+ * Saves a transcript of every agent session: the prompts, each response and tool call with its arguments,
+ * result and timing, the reminders sent when the model answered without a tool call, the profile used and
+ * the final output. Transcripts are kept in the metadata of the chat the session ran in, and can be browsed,
+ * exported as JSON or copied into a bug report.
+ */
+
+import { getContext, saveMetadataDebounced } from "../../../../extensions.js";
+import { copyText } from "../../../../utils.js";
+import { error } from "./logging.js";
+
+const TRANSCRIPT_METADATA_KEY = 'agent_session_transcripts';
+const MAX_TRANSCRIPTS = 10;
+const MAX_TEXT_LENGTH = 50000;  // Longer texts are cut so a chat's metadata stays a manageable size
+const ISSUES_URL = 'https://github.com/unkarelian/timeline-memory/issues/new';
+
+export const TranscriptStatus = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    STOPPED: 'stopped',
+    FAILED: 'failed',
+    INTERRUPTED: 'interrupted',
+};
+
+const STATUS_LABELS = {
+    [TranscriptStatus.RUNNING]: 'Running',
+    [TranscriptStatus.COMPLETED]: 'Completed',
+    [TranscriptStatus.STOPPED]: 'Stopped',
+    [TranscriptStatus.FAILED]: 'Failed',
+    [TranscriptStatus.INTERRUPTED]: 'Interrupted',
+};
+
+/**
+ * @param {boolean} [create] - Create the list if the chat has none yet
+ * @returns {Array<Object>|null} Transcripts of the current chat, oldest first
+ */
+function getTranscriptList(create = false) {
+    const metadata = getContext().chatMetadata;
+    if (!metadata) return null;
+    if (create && !Array.isArray(metadata[TRANSCRIPT_METADATA_KEY])) {
+        metadata[TRANSCRIPT_METADATA_KEY] = [];
+    }
+    return metadata[TRANSCRIPT_METADATA_KEY] ?? null;
+}
+
+function clip(text) {
+    const value = String(text ?? '');
+    if (value.length <= MAX_TEXT_LENGTH) return value;
+    return `${value.slice(0, MAX_TEXT_LENGTH)}\n[... ${value.length - MAX_TEXT_LENGTH} more characters not kept]`;
+}
+
+/**
+ * Copy a value for the transcript, cutting long strings
+ * @param {*} value
+ * @returns {*}
+ */
+function clipValue(value) {
+    if (typeof value === 'string') return clip(value);
+    if (Array.isArray(value)) return value.map(clipValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clipValue(item)]));
+    }
+    return value;
+}
+
+/**
+ * Start the transcript of an agent session
+ * The transcript is saved as it grows, so a session cut off by a page refresh still leaves one behind.
+ * @param {Object} details
+ * @param {string} details.mode - Agent mode ID
+ * @param {string} details.title - Agent mode title
+ * @param {string} details.profileId - Connection profile ID
+ * @param {string|null} details.profileName - Connection profile name
+ * @param {Array<Object>} details.messages - Opening messages sent to the model
+ * @returns {Object|null} Transcript to pass to recordTranscriptEvent and finishTranscript, or null without a chat
+ */
+export function beginTranscript({ mode, title, profileId, profileName, messages }) {
+    const list = getTranscriptList(true);
+    if (!list) return null;
+
+    const transcript = {
+        id: (list.at(-1)?.id ?? 0) + 1,
+        mode,
+        title,
+        profile: { id: profileId, name: profileName },
+        startedAt: Date.now(),
+        endedAt: null,
+        status: TranscriptStatus.RUNNING,
+        prompts: clipValue(messages),
+        events: [],
+        output: null,
+        error: null,
+    };
+    list.push(transcript);
+    if (list.length > MAX_TRANSCRIPTS) {
+        list.splice(0, list.length - MAX_TRANSCRIPTS);
+    }
+    saveMetadataDebounced();
+    return transcript;
+}
+
+/**
+ * Add an agent runner event to a transcript
+ * @param {Object|null} transcript - Transcript returned by beginTranscript
+ * @param {import('./agent-runner.js').AgentEvent} event
+ */
+export function recordTranscriptEvent(transcript, event) {
+    if (!transcript) return;
+    transcript.events.push({ ...clipValue(event), at: Date.now() - transcript.startedAt });
+    saveMetadataDebounced();
+}
+
+/**
+ * Close a transcript with the outcome of its session
+ * @param {Object|null} transcript - Transcript returned by beginTranscript
+ * @param {Object} outcome - Outcome returned by the agent session
+ */
+export function finishTranscript(transcript, outcome) {
+    if (!transcript) return;
+    transcript.endedAt = Date.now();
+    if (outcome.completed) {
+        transcript.status = TranscriptStatus.COMPLETED;
+        transcript.output = clipValue({ endTool: outcome.endTool, endArgs: outcome.endArgs, result: outcome.result });
+    } else {
+        transcript.status = outcome.aborted ? TranscriptStatus.STOPPED : TranscriptStatus.FAILED;
+        transcript.error = outcome.error ? String(outcome.error.message || outcome.error) : null;
+    }
+    saveMetadataDebounced();
+}
+
+/**
+ * Mark transcripts left running by a page refresh as interrupted. Call this when no session is running.
+ */
+export function closeInterruptedTranscripts() {
+    const interrupted = (getTranscriptList() ?? []).filter(transcript => transcript.status === TranscriptStatus.RUNNING);
+    for (const transcript of interrupted) {
+        transcript.status = TranscriptStatus.INTERRUPTED;
+        transcript.endedAt = transcript.startedAt + (transcript.events.at(-1)?.at ?? 0);
+    }
+    if (interrupted.length) saveMetadataDebounced();
+}
+
+/**
+ * @returns {Array<Object>} Copies of the transcripts of the current chat, oldest first
+ */
+export function getTranscripts() {
+    return structuredClone(getTranscriptList() ?? []);
+}
+
+function findTranscript(id) {
+    return (getTranscriptList() ?? []).find(transcript => transcript.id === Number(id)) ?? null;
+}
+
+/**
+ * Delete a transcript from the current chat
+ * @param {number} id
+ * @returns {boolean} True if it was found
+ */
+export function deleteTranscript(id) {
+    const list = getTranscriptList();
+    const index = list?.findIndex(transcript => transcript.id === Number(id)) ?? -1;
+    if (index < 0) return false;
+    list.splice(index, 1);
+    saveMetadataDebounced();
+    return true;
+}
+
+/**
+ * Download a transcript as JSON
+ * @param {number} id
+ */
+export function downloadTranscript(id) {
+    const transcript = findTranscript(id);
+    if (!transcript) throw new Error(`Transcript ${id} not found`);
+
+    const blob = new Blob([JSON.stringify(transcript, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `timeline-memory-${transcript.mode}-transcript-${transcript.id}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function countEvents(transcript, type) {
+    return transcript.events.filter(event => event.type === type).length;
+}
+
+/**
+ * Format a transcript as a GitHub issue comment, with versions and a summary above the full JSON
+ * @param {number} id
+ * @returns {Promise<string>}
+ */
+export async function formatBugReport(id) {
+    const transcript = findTranscript(id);
+    if (!transcript) throw new Error(`Transcript ${id} not found`);
+
+    let extensionVersion = 'unknown';
+    let sillyTavernVersion = 'unknown';
+    try {
+        const { STVersion, getExtensionAssetPath } = await import('../index.js');
+        sillyTavernVersion = STVersion?.pkgVersion || sillyTavernVersion;
+        const manifest = await (await fetch(getExtensionAssetPath('manifest.json'))).json();
+        extensionVersion = manifest.version || extensionVersion;
+    } catch (err) {
+        error('Could not read versions for bug report:', err);
+    }
+
+    return [
+        `**Agent session:** ${transcript.title} (\`${transcript.mode}\`), transcript ${transcript.id}`,
+        `**Outcome:** ${STATUS_LABELS[transcript.status] ?? transcript.status}${transcript.error ? ` - ${transcript.error}` : ''}`,
+        `**Duration:** ${formatDuration(transcript.endedAt ? transcript.endedAt - transcript.startedAt : null)}, ${countEvents(transcript, 'response')} requests, ${countEvents(transcript, 'tool')} tool calls, ${countEvents(transcript, 'reminder')} reminders`,
+        `**Timeline Memory:** ${extensionVersion}, **SillyTavern:** ${sillyTavernVersion}`,
+        '',
+        '<details><summary>Transcript</summary>',
+        '',
+        '```json',
+        JSON.stringify(transcript, null, 2),
+        '```',
+        '',
+        '</details>',
+    ].join('\n');
+}
+
+function preBlock(text) {
+    return $('<pre class="rmr-transcript-pre"></pre>').text(text);
+}
+
+function detailsBlock(summary, text) {
+    return $('<details></details>').append($('<summary></summary>').text(summary), preBlock(text));
+}
+
+function formatJson(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value ?? {}, null, 2);
+}
+
+function renderEvent(event) {
+    const time = `+${formatDuration(event.at)}`;
+    const item = $('<div class="rmr-transcript-event"></div>').addClass(`rmr-transcript-${event.type}`);
+    switch (event.type) {
+        case 'response': {
+            const calls = event.toolCalls?.length
+                ? event.toolCalls.map(call => call.name).join(', ')
+                : 'no tool call';
+            item.append(detailsBlock(`${time} Request ${event.turn} (${formatDuration(event.duration)}): ${calls}`,
+                [event.content || '(no text)', ...(event.toolCalls ?? []).map(call => `${call.name}(${formatJson(call.arguments)})`)].join('\n\n')));
+            break;
+        }
+        case 'tool':
+            item.append(detailsBlock(`${time} ${event.name} (${formatDuration(event.duration)})`,
+                `Arguments:\n${formatJson(event.args)}\n\nResult:\n${event.result}`));
+            break;
+        case 'reminder':
+            item.text(`${time} No tool call; reminder ${event.attempt} of ${event.maxReminders} sent`);
+            break;
+        case 'retry':
+            item.text(event.fallback
+                ? `${time} Request ${event.turn} failed (${event.message}); trying fallback profile "${event.profileName}"`
+                : `${time} Request ${event.turn} failed (${event.message}); retry ${event.attempt} in ${formatDuration(event.delay)}`);
+            break;
+        case 'error':
+            item.text(`${time} Request ${event.turn} failed after ${formatDuration(event.duration)}: ${event.message}`);
+            break;
+        default:
+            item.append(preBlock(formatJson(event)));
+    }
+    return item;
+}
+
+function renderTranscript(container, transcript) {
+    container.empty();
+    if (!transcript) return;
+
+    const duration = transcript.endedAt ? transcript.endedAt - transcript.startedAt : null;
+    const summary = $('<div class="rmr-transcript-summary"></div>').append(
+        $('<div></div>').text(`Profile: ${transcript.profile?.name || transcript.profile?.id || 'unknown'}`),
+        $('<div></div>').text(`Started: ${new Date(transcript.startedAt).toLocaleString()}, took ${formatDuration(duration)}`),
+        $('<div></div>').text(`${countEvents(transcript, 'response')} requests, ${countEvents(transcript, 'tool')} tool calls, ${countEvents(transcript, 'reminder')} reminders, ${countEvents(transcript, 'retry')} retries`),
+        $('<div></div>').text(`Outcome: ${STATUS_LABELS[transcript.status] ?? transcript.status}${transcript.error ? ` - ${transcript.error}` : ''}`),
+    );
+    container.append(summary);
+
+    for (const message of transcript.prompts ?? []) {
+        container.append(detailsBlock(message.role === 'system' ? 'System prompt' : 'User prompt', message.content));
+    }
+    for (const event of transcript.events) {
+        container.append(renderEvent(event));
+    }
+    if (transcript.output) {
+        container.append(detailsBlock(`Final output (${transcript.output.endTool})`, formatJson(transcript.output.endArgs)));
+    }
+}
+
+function transcriptLabel(transcript) {
+    const date = new Date(transcript.startedAt).toLocaleString();
+    return `${transcript.id}. ${transcript.title} - ${date} - ${STATUS_LABELS[transcript.status] ?? transcript.status}`;
+}
+
+/**
+ * Browse the agent session transcripts of the current chat
+ * @param {string|null} [modeId] - Open on the latest transcript of this mode instead of the latest overall
+ * @returns {Promise<void>}
+ */
+export async function showAgentTranscripts(modeId = null) {
+    const context = getContext();
+    if (!getTranscripts().length) {
+        toastr.info('No agent session transcripts in this chat', 'Timeline Memory');
+        return;
+    }
+
+    const content = $('<div class="rmr-agent-transcripts"></div>');
+    const select = $('<select class="text_pole rmr-transcript-select"></select>');
+    const buttons = $('<div class="rmr-transcript-buttons"></div>').append(
+        $('<button type="button" class="menu_button rmr-transcript-export">Export JSON</button>'),
+        $('<button type="button" class="menu_button rmr-transcript-report" title="Copy the transcript as a bug report and open the issue tracker">Report Bug</button>'),
+        $('<button type="button" class="menu_button rmr-transcript-delete">Delete</button>'),
+    );
+    const body = $('<div class="rmr-transcript-body"></div>');
+    content.append($('<h3>Agent Session Transcripts</h3>'), select, buttons, body);
+
+    const fillSelect = (selectedId = null) => {
+        const transcripts = getTranscripts();
+        select.empty();
+        for (const transcript of [...transcripts].reverse()) {
+            select.append($('<option></option>').val(transcript.id).text(transcriptLabel(transcript)));
+        }
+        if (selectedId !== null) select.val(String(selectedId));
+        renderTranscript(body, transcripts.find(t => t.id === Number(select.val())));
+        buttons.find('button').prop('disabled', !transcripts.length);
+    };
+
+    const initial = getTranscripts().filter(t => !modeId || t.mode === modeId).at(-1);
+    fillSelect(initial?.id ?? null);
+
+    select.on('change', () => renderTranscript(body, getTranscripts().find(t => t.id === Number(select.val()))));
+
+    content.on('click', '.rmr-transcript-export', () => {
+        try {
+            downloadTranscript(select.val());
+        } catch (err) {
+            toastr.error(err.message, 'Timeline Memory');
+        }
+    });
+
+    content.on('click', '.rmr-transcript-report', async () => {
+        try {
+            await copyText(await formatBugReport(select.val()));
+            toastr.success('Bug report copied. Paste it into the new issue.', 'Timeline Memory');
+            window.open(ISSUES_URL, '_blank', 'noopener');
+        } catch (err) {
+            error('Bug report failed:', err);
+            toastr.error(err.message, 'Timeline Memory');
+        }
+    });
+
+    content.on('click', '.rmr-transcript-delete', () => {
+        deleteTranscript(select.val());
+        fillSelect();
+    });
+
+    await context.callGenericPopup(content, context.POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: true, allowVerticalScrolling: true });
+}
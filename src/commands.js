@@ -3,10 +3,18 @@ import { commonEnumProviders } from '../../../../slash-commands/SlashCommandComm
 import { enumTypes, SlashCommandEnumValue } from "../../../../slash-commands/SlashCommandEnumValue.js";
 import { saveChatConditional, reloadCurrentChat, systemUserName } from "../../../../../script.js";
 import { stringToRange, isTrueBoolean } from "../../../../utils.js";
-import { endChapter, queryChapter, queryChapters, loadTimelineData, removeChapterFromTimeline, migrateTimelineData, getChapterSummary, resummarizeChapter, runTimelineFill, getTimelineFillResults, getTimelineEntries } from "./memories.js";
-import { settings } from "./settings.js";
+import { endChapter, queryChapter, queryChapters, loadTimelineData, removeChapterFromTimeline, removeChapterByNumber, migrateTimelineData, getChapterSummary, abortTimelineQueries, resummarizeChapter, resummarizeStaleChapters, getStaleChapters, runTimelineFill, getTimelineFillResults, getTimelineEntries, getTimelineVolumes, getVolumeChapters, createVolume, resummarizeVolume, dissolveVolume, checkTimelineBranch, repairDetachedChapters, findDetachedChapters } from "./memories.js";
+import { settings, refreshSettingOverridesUI, getPresetBundles, applyPresetBundle } from "./settings.js";
+import { OverrideScope, getOverridableKeys, getOverrides, setOverride, clearOverrides } from "./setting-overrides.js";
 import { debug } from "./logging.js";
-import { toggleChapterHighlight } from "./messages.js";
+import { getAgentModes, startAgentSession, abortAgentSession } from "./agent-sessions.js";
+import { toggleChapterHighlight, resetMessageButtons } from "./messages.js";
+import { searchTimeline, formatSearchResults } from "./timeline-search.js";
+import { showVerifyReport, verifyTimeline, formatVerifyReport, repairIssues, repairAllIssues, IssueType } from "./timeline-verify.js";
+import { buildTimeline } from "./timeline-build.js";
+import { clearQueryCache, getQueryCacheStats } from "./query-cache.js";
+import { showRetrievalProgress, hideRetrievalProgress, updateRetrievalProgress, isProgressVisible } from "./retrieval-progress.js";
+import { exportTimeline, downloadTimeline, importTimeline, copyTimelineFromChat, describeImport, openTimelineImportDialog, openTimelineCopyDialog } from "./timeline-transfer.js";
 
 // it's not exported for me to use, rip
 const profilesProvider = () => {
@@ -32,6 +40,20 @@ function getMesFromInput(value) {
 	}
 }
 
+// Show the progress overlay for a query run from a slash command, so its answer streams in live and can be stopped
+async function withQueryProgress(label, operation) {
+	const showProgress = !isProgressVisible();
+	if (showProgress) {
+		showRetrievalProgress('querying', 'Timeline Query');
+		updateRetrievalProgress({ current: 0, total: 1, message: label });
+	}
+	try {
+		return await operation();
+	} finally {
+		if (showProgress) hideRetrievalProgress();
+	}
+}
+
 function profileIdFromName(profile_name) {
 	if (!extension_settings.connectionManager?.profiles) {
 		return '';
@@ -184,6 +206,8 @@ function registerChapterQueryTool() {
 	// Clear stale definitions before re-registering
 	context.ToolManager.unregisterFunctionTool('query_timeline_chapter');
 	context.ToolManager.unregisterFunctionTool('query_timeline_chapters');
+	context.ToolManager.unregisterFunctionTool('get_timeline_volume');
+	context.ToolManager.unregisterFunctionTool('search_timeline');
 
 	if (!shouldRegisterTimelineTools()) return;
 
@@ -266,6 +290,67 @@ function registerChapterQueryTool() {
 			return `Querying ${range} with: "${args.query}"`;
 		}
 	});
+
+	// Volumes only show up in the timeline as rolled-up summaries; this lets the model see the chapters inside
+	context.ToolManager.registerFunctionTool({
+		name: 'get_timeline_volume',
+		displayName: 'Get Timeline Volume',
+		description: 'List the chapters inside a timeline volume (an entry with a volume_id), with their chapter numbers, message ranges and summaries. Use this to find which chapters to query.',
+		stealth: false,
+		parameters: {
+			type: 'object',
+			properties: {
+				volume: {
+					type: 'integer',
+					description: 'The volume number (volume_id in the timeline, 1-based)',
+					minimum: 1
+				}
+			},
+			required: ['volume']
+		},
+		action: async (args) => {
+			loadTimelineData(); // Ensure timeline is loaded
+			const chapters = getVolumeChapters(args.volume);
+			if (!chapters) {
+				return `Error: Volume ${args.volume} does not exist.`;
+			}
+			return JSON.stringify(chapters, null, 2);
+		},
+		shouldRegister: () => shouldRegisterTimelineTools() && getTimelineVolumes().length > 0,
+		formatMessage: (args) => {
+			return `Opening volume ${args.volume}`;
+		}
+	});
+
+	context.ToolManager.registerFunctionTool({
+		name: 'search_timeline',
+		displayName: 'Search Timeline',
+		description: 'Search the full text of all timeline chapters and return the best matching passages with their chapter numbers and message IDs. Use this to find which chapter something happened in.',
+		stealth: false,
+		parameters: {
+			type: 'object',
+			properties: {
+				query: {
+					type: 'string',
+					description: 'Keywords or a short description of what to find'
+				},
+				limit: {
+					type: 'integer',
+					description: 'Maximum number of passages to return',
+					minimum: 1
+				}
+			},
+			required: ['query']
+		},
+		action: async (args) => {
+			const results = await searchTimeline(args.query, { limit: args.limit || settings.search_result_limit });
+			return formatSearchResults(results);
+		},
+		shouldRegister: shouldRegisterTimelineTools,
+		formatMessage: (args) => {
+			return `Searching timeline for: "${args.query}"`;
+		}
+	});
 }
 
 export function loadSlashCommands() {
@@ -306,6 +391,40 @@ export function loadSlashCommands() {
 		helpString: 'Analyze the chat history to propose arc endpoints and show them in a popup.',
 	}));
 
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-build',
+		callback: async (args) => {
+			try {
+				const message = await buildTimeline({
+					profile: args.profile !== undefined ? profileIdFromName(args.profile) : null,
+					restart: isTrueBoolean(args.restart),
+				});
+				toastr.success(message, 'Timeline Memory');
+				return message;
+			} catch (err) {
+				console.error('Timeline build failed:', err);
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'profile',
+				description: 'Name of a connection profile to override the analyzer profile',
+				enumProvider: profilesProvider,
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'restart',
+				description: 'discard an unfinished build and analyze the chat again',
+				typeList: [arg_types.BOOLEAN],
+				defaultValue: 'false',
+				isRequired: false,
+			}),
+		],
+		helpString: 'Split the unchaptered part of a long chat into chapters. The chat is analyzed in windows that fit the analyzer profile\'s context, the proposed chapters are shown for review, and the accepted ones are summarized in order. Run it again to resume an interrupted build.',
+	}));
+
 	// Register lore management command
 	parser.addCommandObject(command.fromProps({
 		name: 'lore-manage',
@@ -323,6 +442,142 @@ export function loadSlashCommands() {
 		helpString: 'Start a lore management session to autonomously edit lorebooks using AI tools.',
 	}));
 
+	parser.addCommandObject(command.fromProps({
+		name: 'lore-undo',
+		callback: async (args) => {
+			try {
+				const { isLoreManagementActive } = await import('./lore-management.js');
+				if (isLoreManagementActive()) {
+					toastr.warning('Cannot undo lore changes while a lore management session is active', 'Timeline Memory');
+					return '';
+				}
+				const { undoLoreChanges } = await import('./lore-journal.js');
+				const result = await undoLoreChanges(args.session || null, args.change || null);
+				toastr.success(result, 'Timeline Memory');
+				return result;
+			} catch (err) {
+				console.error('Lore undo failed:', err);
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'session',
+				description: 'number of the lore management session to roll back (defaults to the latest)',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'change',
+				description: 'number of a single change in the session to revert instead of the whole session',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Roll back the lorebook changes of a lore management session, newest first, or a single change of it. Entries edited since the change are left alone.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-agent',
+		callback: async (args) => {
+			try {
+				if (!args.mode) {
+					const list = getAgentModes().map(mode => `${mode.id}: ${mode.description || mode.title}`).join('\n');
+					toastr.info(list || 'No agent modes registered.', 'Timeline Memory');
+					return list;
+				}
+				const outcome = await startAgentSession(String(args.mode));
+				return outcome?.endArgs ? JSON.stringify(outcome.endArgs) : '';
+			} catch (err) {
+				console.error('Agent session command failed:', err);
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'mode',
+				description: 'agent mode to run, such as lore or timeline',
+				enumProvider: () => getAgentModes().map(mode => new SlashCommandEnumValue(mode.id, mode.description || mode.title)),
+				isRequired: false,
+			}),
+		],
+		helpString: 'Run an agent session of the given mode and return the arguments of the tool that ended it. Without a mode, lists the registered modes, including those added by other extensions.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-agent-abort',
+		callback: async () => {
+			if (!await abortAgentSession()) {
+				toastr.info('No agent session is running.', 'Timeline Memory');
+			}
+			return '';
+		},
+		helpString: 'Stop the running agent session, whatever its mode.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-agent-log',
+		callback: async (args) => {
+			try {
+				const { showAgentTranscripts, downloadTranscript, getTranscripts } = await import('./agent-transcripts.js');
+				if (isTrueBoolean(args.export)) {
+					const transcript = getTranscripts().filter(t => !args.mode || t.mode === args.mode).at(-1);
+					if (!transcript) {
+						toastr.info('No agent session transcripts in this chat', 'Timeline Memory');
+						return '';
+					}
+					downloadTranscript(transcript.id);
+					return '';
+				}
+				await showAgentTranscripts(args.mode || null);
+				return '';
+			} catch (err) {
+				console.error('Agent transcripts command failed:', err);
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'mode',
+				description: 'open on the latest session of this agent mode',
+				enumProvider: () => getAgentModes().map(mode => new SlashCommandEnumValue(mode.id, mode.description || mode.title)),
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'export',
+				description: 'download the latest transcript as JSON instead of opening the viewer',
+				typeList: [arg_types.BOOLEAN],
+				defaultValue: 'false',
+				isRequired: false,
+			}),
+		],
+		helpString: 'Browse the transcripts of the agent sessions run in this chat, with their prompts, tool calls, timings and output.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-usage',
+		callback: async (args) => {
+			const { describeUsage, showUsageDashboard } = await import('./usage.js');
+			if (!isTrueBoolean(args.quiet)) {
+				await showUsageDashboard();
+			}
+			return describeUsage();
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'quiet',
+				description: 'only return the totals, without opening the dashboard',
+				typeList: [arg_types.BOOLEAN],
+				defaultValue: 'false',
+				isRequired: false,
+			}),
+		],
+		helpString: 'Open the usage dashboard and return the token and cost totals of today and of this chat.',
+	}));
+
 	parser.addCommandObject(command.fromProps({
 		name: 'chapter-end',
 		callback: (args, value) => {
@@ -438,7 +693,8 @@ export function loadSlashCommands() {
 				return '';
 			}
 			loadTimelineData();
-			const result = await queryChapter(parseInt(args.chapter), value);
+			const chapter = parseInt(args.chapter);
+			const result = await withQueryProgress(`Querying chapter ${chapter}...`, () => queryChapter(chapter, value));
 			return result;
 		},
 		unnamedArgumentList: [
@@ -467,7 +723,9 @@ export function loadSlashCommands() {
 				return '';
 			}
 			loadTimelineData();
-			const result = await queryChapters(parseInt(args.start), parseInt(args.end), value);
+			const start = parseInt(args.start);
+			const end = parseInt(args.end);
+			const result = await withQueryProgress(`Querying chapters ${start}-${end}...`, () => queryChapters(start, end, value));
 			return result;
 		},
 		unnamedArgumentList: [
@@ -494,6 +752,35 @@ export function loadSlashCommands() {
 		helpString: 'Query a range of chapters from the timeline with a question.',
 	}));
 
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-search',
+		callback: async (args, value) => {
+			if (!value) {
+				toastr.error('Search query is required', 'Timeline Memory');
+				return '';
+			}
+			const limit = args.limit !== undefined ? parseInt(args.limit) : settings.search_result_limit;
+			const results = await searchTimeline(value, { limit });
+			return formatSearchResults(results);
+		},
+		unnamedArgumentList: [
+			commandArg.fromProps({
+				description: 'What to search for',
+				typeList: [arg_types.STRING],
+				isRequired: true,
+			}),
+		],
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'limit',
+				description: 'Maximum number of passages to return',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Search the full text of all chapters and return ranked passages with chapter numbers and message IDs.',
+	}));
+
 	parser.addCommandObject(command.fromProps({
 		name: 'timeline-fill',
 		callback: async (args) => {
@@ -536,6 +823,10 @@ export function loadSlashCommands() {
 						toastr.warning(`Timeline fill stored ${successCount} result${successCount === 1 ? '' : 's'}; ${errorCount} errored. Check console for details.`, 'Timeline Memory');
 					}
 				} catch (error) {
+					if (error?.name === 'AbortError') {
+						toastr.warning(error.message, 'Timeline Memory');
+						return;
+					}
 					console.error('Timeline fill command failed:', error);
 					toastr.error(error?.message || 'Timeline fill failed.', 'Timeline Memory');
 				}
@@ -567,14 +858,152 @@ export function loadSlashCommands() {
 		helpString: 'Generate timeline queries via the configured profile, execute them, and store results in {{timelineResponses}}. If agentic mode is enabled, starts an interactive session instead.',
 	}));
 
-	// Abort command for agentic timeline fill
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-cache-clear',
+		callback: async () => {
+			const removed = clearQueryCache();
+			toastr.success(`Cleared ${removed} cached query answer${removed === 1 ? '' : 's'}.`, 'Timeline Memory');
+			return String(removed);
+		},
+		helpString: 'Remove all cached chapter query answers for the current chat. Returns the number of answers removed.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-cache-stats',
+		callback: async () => {
+			const stats = getQueryCacheStats();
+			return `${stats.entries} cached answers (${stats.expired} expired), ${stats.hits} hits, ${stats.misses} misses, ${Math.round(stats.hitRate * 100)}% hit rate${settings.query_cache_enabled ? '' : ' (cache disabled)'}`;
+		},
+		helpString: 'Show how many chapter query answers are cached for the current chat and how often the cache was used.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-preset',
+		callback: async (args) => {
+			if (!args.name) {
+				return getPresetBundles().map(bundle => bundle.name).join('\n');
+			}
+			const bundle = applyPresetBundle(String(args.name));
+			if (!bundle) {
+				toastr.error(`Preset bundle "${args.name}" not found.`, 'Timeline Memory');
+				return '';
+			}
+			// Show the new values in the settings panel and refresh the injection and tools
+			await refreshSettingOverridesUI();
+			toastr.success(`Applied preset bundle "${bundle.name}".`, 'Timeline Memory');
+			return bundle.name;
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'name',
+				description: 'name of the preset bundle to apply. Lists all bundles if omitted.',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumProvider: () => getPresetBundles().map(bundle => new SlashCommandEnumValue(bundle.name)),
+			}),
+		],
+		helpString: 'Apply a preset bundle: the presets of every workflow together with its connection profiles, limits and injection settings. Uses the scope chosen in <b>Edit Settings For</b>.',
+	}));
+
+	const overrideScopeEnum = [
+		new SlashCommandEnumValue(OverrideScope.CHAT, 'the current chat'),
+		new SlashCommandEnumValue(OverrideScope.CHARACTER, 'the current character, in all of its chats'),
+	];
+	const overridableSettingsProvider = () => getOverridableKeys().map(key => new SlashCommandEnumValue(key));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-override',
+		callback: async (args, value) => {
+			const scope = args.scope || OverrideScope.CHAT;
+			if (scope !== OverrideScope.CHAT && scope !== OverrideScope.CHARACTER) {
+				toastr.error('scope must be chat or character', 'Timeline Memory');
+				return '';
+			}
+			if (!args.key) {
+				return JSON.stringify(getOverrides(scope), null, 2);
+			}
+			if (value === undefined || value === null || String(value).trim() === '') {
+				const overrides = getOverrides(scope);
+				return Object.hasOwn(overrides, args.key) ? String(overrides[args.key] ?? '') : '';
+			}
+			try {
+				const stored = setOverride(scope, args.key, String(value));
+				await refreshSettingOverridesUI();
+				return String(stored ?? '');
+			} catch (err) {
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		unnamedArgumentList: [
+			commandArg.fromProps({
+				description: 'value to set. Shows the current override if omitted.',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+			}),
+		],
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'scope',
+				description: 'layer to override the setting in (default: chat)',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: overrideScopeEnum,
+			}),
+			namedArg.fromProps({
+				name: 'key',
+				description: 'setting to override. Lists all overrides of the scope as JSON if omitted.',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumProvider: overridableSettingsProvider,
+			}),
+		],
+		helpString: 'Override a Timeline Memory setting for the current chat or character, e.g. <code>/timeline-override scope=character key=inject_depth 4</code>. Chat overrides take precedence over character overrides, which take precedence over the global settings. Connection profiles can be given by name.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-override-clear',
+		callback: async (args) => {
+			const scope = args.scope || OverrideScope.CHAT;
+			if (scope !== OverrideScope.CHAT && scope !== OverrideScope.CHARACTER) {
+				toastr.error('scope must be chat or character', 'Timeline Memory');
+				return '';
+			}
+			const removed = clearOverrides(scope, args.key || null);
+			await refreshSettingOverridesUI();
+			return String(removed);
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'scope',
+				description: 'layer to clear (default: chat)',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: overrideScopeEnum,
+			}),
+			namedArg.fromProps({
+				name: 'key',
+				description: 'setting to clear. Clears every override in the scope if omitted.',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumProvider: overridableSettingsProvider,
+			}),
+		],
+		helpString: 'Remove Timeline Memory setting overrides from the current chat or character, so the next layer\'s values apply again. Returns the number of overrides removed.',
+	}));
+
+	// Abort command for static and agentic timeline fill
 	parser.addCommandObject(command.fromProps({
 		name: 'timeline-fill-abort',
 		callback: async () => {
 			try {
+				// Static fill and chapter queries: keep the results that already arrived
+				if (abortTimelineQueries()) {
+					return '';
+				}
 				const { abortAgenticTimelineFillSession, isAgenticTimelineFillActive } = await import('./agentic-timeline-fill.js');
 				if (!isAgenticTimelineFillActive()) {
-					toastr.info('No agentic timeline fill session is active.', 'Timeline Memory');
+					toastr.info('No timeline fill or chapter query is running.', 'Timeline Memory');
 					return '';
 				}
 				await abortAgenticTimelineFillSession();
@@ -586,7 +1015,7 @@ export function loadSlashCommands() {
 			}
 		},
 		namedArgumentList: [],
-		helpString: 'Abort an active agentic timeline fill session.',
+		helpString: 'Stop a running static timeline fill or chapter query, keeping the results that already arrived in {{timelineResponses}}, or abort an active agentic timeline fill session.',
 	}));
 
 	parser.addCommandObject(command.fromProps({
@@ -689,25 +1118,13 @@ export function loadSlashCommands() {
 				return '';
 			}
 
-			const chapter = timeline[chapterNumber - 1];
-			const removed = removeChapterFromTimeline(chapter.endMsgId);
+			const removed = removeChapterByNumber(chapterNumber);
 
 			if (!removed) {
 				toastr.error('Failed to remove the chapter from the timeline', 'Timeline Memory');
 				return '';
 			}
 
-			const chat = getContext().chat;
-			if (chat?.[chapter.endMsgId]?.extra?.rmr_chapter) {
-				chat[chapter.endMsgId].extra.rmr_chapter = false;
-				getContext().saveChat();
-			}
-
-			const button = $(`.mes[mesid="${chapter.endMsgId}"] .rmr-button.rmr-chapter-point`);
-			if (button.length) {
-				toggleChapterHighlight(button, chapter.endMsgId);
-			}
-
 			toastr.success(`Chapter ${chapterNumber} removed from the timeline`, 'Timeline Memory');
 			return `Removed chapter ${chapterNumber}`;
 		},
@@ -752,6 +1169,188 @@ export function loadSlashCommands() {
 		helpString: 'Migrate old timeline entries to the new JSON format. Converts plaintext format including scene->chapter terminology to structured JSON and removes timestamps from legacy entries.',
 	}));
 
+	const importModeEnum = [
+		new SlashCommandEnumValue('replace', 'replace the current timeline'),
+		new SlashCommandEnumValue('prepend', 'add before the existing chapters'),
+		new SlashCommandEnumValue('append', 'add after the existing chapters'),
+	];
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-export',
+		callback: (args) => {
+			const format = args.format || 'json';
+			const text = exportTimeline(format);
+			if (args.download === undefined || isTrueBoolean(args.download)) {
+				downloadTimeline(format);
+			}
+			return text;
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'format',
+				description: 'export format',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: [
+					new SlashCommandEnumValue('json', 'full timeline, can be imported again exactly'),
+					new SlashCommandEnumValue('markdown', 'readable document, can also be imported'),
+				],
+			}),
+			namedArg.fromProps({
+				name: 'download',
+				description: 'save the export as a file (default true)',
+				typeList: [arg_types.BOOLEAN],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Export the timeline (chapters, their metadata and volumes) as JSON or Markdown. Returns the export text.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-import',
+		callback: async (args, value) => {
+			try {
+				let message;
+				if (value && String(value).trim()) {
+					message = describeImport(importTimeline(String(value), { mode: args.mode }));
+				} else {
+					message = await openTimelineImportDialog(args.mode);
+				}
+				if (message) toastr.success(message, 'Timeline Memory');
+				return message;
+			} catch (err) {
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		unnamedArgumentList: [
+			commandArg.fromProps({
+				description: 'JSON or Markdown timeline export. Opens a file picker if omitted.',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+			}),
+		],
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'mode',
+				description: 'how to combine with an existing timeline (required if the chat already has chapters)',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: importModeEnum,
+			}),
+		],
+		helpString: 'Import a timeline exported with /timeline-export. Chapters whose messages are not in this chat are kept as archived, summary-only chapters.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-copy',
+		callback: async (args, value) => {
+			try {
+				let message;
+				if (value && String(value).trim()) {
+					message = describeImport(await copyTimelineFromChat(String(value).trim(), { mode: args.mode }));
+				} else {
+					message = await openTimelineCopyDialog(args.mode);
+				}
+				if (message) toastr.success(message, 'Timeline Memory');
+				return message;
+			} catch (err) {
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		unnamedArgumentList: [
+			commandArg.fromProps({
+				description: 'name of another chat of this character. Opens a chat picker if omitted.',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+			}),
+		],
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'mode',
+				description: 'how to combine with an existing timeline (required if the chat already has chapters)',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: importModeEnum,
+			}),
+		],
+		helpString: 'Copy the timeline from another chat of the current character, e.g. when starting a sequel or after branching. Chapters that still line up with this chat keep their message ranges; the rest are archived.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-verify',
+		callback: async (args) => {
+			try {
+				if (!args.repair) {
+					return await showVerifyReport();
+				}
+				const message = args.repair === 'all' ? await repairAllIssues() : await repairIssues(args.repair);
+				toastr.success(message, 'Timeline Memory');
+				return `${message}\n\n${formatVerifyReport(verifyTimeline())}`;
+			} catch (err) {
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'repair',
+				description: 'repair this kind of issue without showing the report',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: [
+					new SlashCommandEnumValue('all', 'repair every kind of issue'),
+					new SlashCommandEnumValue(IssueType.OUT_OF_BOUNDS, 'archive chapters past the end of the chat'),
+					new SlashCommandEnumValue(IssueType.MISSING_MARKER, 'add missing chapter markers'),
+					new SlashCommandEnumValue(IssueType.ORPHAN_MARKER, 'clear chapter markers without a chapter'),
+					new SlashCommandEnumValue(IssueType.RANGE, 'start each chapter where the previous one ends'),
+					new SlashCommandEnumValue(IssueType.VISIBILITY, 'hide summarized messages'),
+					new SlashCommandEnumValue(IssueType.HIDDEN_OUTSIDE, 'unhide messages outside chapters that Timeline Memory hid'),
+				],
+			}),
+		],
+		helpString: 'Check that chapter markers, chapter ranges and hidden messages agree, and show a report with a repair button for each kind of issue. Returns the report.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'timeline-reconcile',
+		callback: async (args) => {
+			loadTimelineData();
+			if (!args.mode) {
+				if (!findDetachedChapters().length) {
+					toastr.info('No chapters end past the last message of this chat', 'Timeline Memory');
+					return '';
+				}
+				return await checkTimelineBranch({ force: true });
+			}
+
+			try {
+				const message = repairDetachedChapters(args.mode);
+				resetMessageButtons();
+				toastr.success(message, 'Timeline Memory');
+				return message;
+			} catch (err) {
+				toastr.error(err.message, 'Timeline Memory');
+				return '';
+			}
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'mode',
+				description: 'repair to apply without asking',
+				typeList: [arg_types.STRING],
+				isRequired: false,
+				enumList: [
+					new SlashCommandEnumValue('truncate', 'remove chapters that end past the last message'),
+					new SlashCommandEnumValue('archive', 'keep chapters that end past the last message as summary-only chapters'),
+					new SlashCommandEnumValue('markers', 'rebuild chapter ranges from the chapter markers in the chat'),
+				],
+			}),
+		],
+		helpString: 'Fix a timeline copied into a branch or checkpoint, where chapters end after the last message. Without a mode, shows the same choices as when the chat is loaded.',
+	}));
+
 	parser.addCommandObject(command.fromProps({
 		name: 'chapter-summary',
 		callback: (args, value) => {
@@ -823,6 +1422,170 @@ export function loadSlashCommands() {
 		helpString: 'Regenerate the summary for an existing chapter without altering its position in the timeline.',
 	}));
 
+	parser.addCommandObject(command.fromProps({
+		name: 'resummarize-stale',
+		callback: async (args) => {
+			if (isTrueBoolean(args.list)) {
+				return getStaleChapters().join(', ');
+			}
+
+			if (args.profile !== undefined) {
+				args.profile = profileIdFromName(args.profile);
+			}
+
+			const updated = await resummarizeStaleChapters(args);
+			return updated.join(', ');
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'list',
+				description: 'only return the numbers of the stale chapters without resummarizing them',
+				typeList: [arg_types.BOOLEAN],
+				defaultValue: 'false',
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'profile',
+				description: 'Name of a connection profile to override the current one',
+				enumProvider: profilesProvider,
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'quiet',
+				description: 'Suppress toast notifications for this command',
+				typeList: [arg_types.BOOLEAN],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Resummarize every chapter whose messages were edited, swiped, deleted or inserted since it was summarized. Returns the numbers of the resummarized chapters.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'volume-create',
+		callback: async (args) => {
+			const startChapter = parseInt(args.start);
+			const endChapter = parseInt(args.end);
+			if (isNaN(startChapter) || isNaN(endChapter)) {
+				toastr.error('Start and end chapter numbers are required', 'Timeline Memory');
+				return '';
+			}
+
+			if (args.profile !== undefined) {
+				args.profile = profileIdFromName(args.profile);
+			}
+
+			return await createVolume(startChapter, endChapter, args);
+		},
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'start',
+				description: 'First chapter of the volume (1-based, inclusive)',
+				typeList: [arg_types.NUMBER],
+				isRequired: true,
+			}),
+			namedArg.fromProps({
+				name: 'end',
+				description: 'Last chapter of the volume (1-based, inclusive)',
+				typeList: [arg_types.NUMBER],
+				isRequired: true,
+			}),
+			namedArg.fromProps({
+				name: 'profile',
+				description: 'Name of a connection profile to override the summarization profile',
+				enumProvider: profilesProvider,
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'quiet',
+				description: 'Suppress toast notifications for this command',
+				typeList: [arg_types.BOOLEAN],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Summarize a contiguous run of chapters into a volume. Older volumes replace their chapters in {{timeline}}.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'volume-resummarize',
+		callback: async (args, value) => {
+			const volumeNumber = parseInt(args.volume ?? value);
+			if (isNaN(volumeNumber)) {
+				toastr.error('Volume number is required', 'Timeline Memory');
+				return '';
+			}
+
+			if (args.profile !== undefined) {
+				args.profile = profileIdFromName(args.profile);
+			}
+
+			return await resummarizeVolume(volumeNumber, args);
+		},
+		unnamedArgumentList: [
+			commandArg.fromProps({
+				description: 'Volume number to re-summarize (1-based)',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+		],
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'volume',
+				description: 'Volume number to re-summarize (1-based)',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'profile',
+				description: 'Name of a connection profile to override the summarization profile',
+				enumProvider: profilesProvider,
+				isRequired: false,
+			}),
+			namedArg.fromProps({
+				name: 'quiet',
+				description: 'Suppress toast notifications for this command',
+				typeList: [arg_types.BOOLEAN],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Regenerate a volume summary from the current summaries of its chapters.',
+	}));
+
+	parser.addCommandObject(command.fromProps({
+		name: 'volume-dissolve',
+		callback: (args, value) => {
+			const volumeNumber = parseInt(args.volume ?? value);
+			if (isNaN(volumeNumber)) {
+				toastr.error('Volume number is required', 'Timeline Memory');
+				return '';
+			}
+
+			const removed = dissolveVolume(volumeNumber);
+			if (!removed) {
+				toastr.error(`Volume ${volumeNumber} not found`, 'Timeline Memory');
+				return '';
+			}
+
+			toastr.success(`Volume ${volumeNumber} dissolved; chapters ${removed.startChapter}-${removed.endChapter} are listed individually again`, 'Timeline Memory');
+			return `Dissolved volume ${volumeNumber}`;
+		},
+		unnamedArgumentList: [
+			commandArg.fromProps({
+				description: 'Volume number to dissolve (1-based)',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+		],
+		namedArgumentList: [
+			namedArg.fromProps({
+				name: 'volume',
+				description: 'Volume number to dissolve (1-based)',
+				typeList: [arg_types.NUMBER],
+				isRequired: false,
+			}),
+		],
+		helpString: 'Remove a volume and its summary. The chapters it contained are kept.',
+	}));
+
 	parser.addCommandObject(command.fromProps({
 		name: 'remove-reasoning',
 		aliases: ['removereasoning', 'remreason'],
@@ -861,5 +1624,7 @@ export function updateToolRegistration() {
 	} else {
 		context.ToolManager.unregisterFunctionTool('query_timeline_chapter');
 		context.ToolManager.unregisterFunctionTool('query_timeline_chapters');
+		context.ToolManager.unregisterFunctionTool('get_timeline_volume');
+		context.ToolManager.unregisterFunctionTool('search_timeline');
 	}
 }
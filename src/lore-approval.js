@@ -0,0 +1,338 @@
+/**
+ * Lore Approval Module
+ *
+ * In approval mode, lore management edits are staged instead of written to the lorebook. When the session
+ * ends, each staged change is shown next to the entry as it is now, and the user approves, edits or rejects
+ * it. Only approved changes are saved, and they are recorded in the lore journal like any other change.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { world_names, loadWorldInfo, createWorldInfoEntry, deleteWorldInfoEntry, saveWorldInfo } from "../../../../world-info.js";
+import { recordLoreChange } from "./lore-journal.js";
+import { log, error } from "./logging.js";
+
+export const ProposalStatus = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+// Entry fields the AI can set, with how they are shown and edited in the review
+const ENTRY_FIELDS = {
+    comment: { label: 'Title', type: 'text' },
+    key: { label: 'Keys', type: 'list' },
+    keysecondary: { label: 'Secondary keys', type: 'list' },
+    content: { label: 'Content', type: 'textarea' },
+    constant: { label: 'Constant', type: 'boolean' },
+    selective: { label: 'Selective', type: 'boolean' },
+};
+
+let proposals = [];
+
+/**
+ * Set the fields given by the AI on a lorebook entry. Fields left undefined keep their value.
+ * @param {Object} entry - World info entry, changed in place
+ * @param {Object} fields - key, keysecondary, content, comment, constant and selective
+ */
+export function applyEntryFields(entry, fields) {
+    if (Array.isArray(fields.key)) {
+        entry.key = fields.key;
+    }
+    if (Array.isArray(fields.keysecondary)) {
+        entry.keysecondary = fields.keysecondary;
+    }
+    if (fields.content !== undefined) {
+        entry.content = fields.content;
+    }
+    if (fields.comment !== undefined) {
+        entry.comment = fields.comment;
+        if (fields.comment) entry.addMemo = true;
+    }
+    if (fields.constant !== undefined) {
+        entry.constant = fields.constant;
+    }
+    if (fields.selective !== undefined) {
+        entry.selective = fields.selective;
+    }
+}
+
+function definedFields(fields) {
+    return Object.fromEntries(Object.keys(ENTRY_FIELDS)
+        .filter(field => fields[field] !== undefined && fields[field] !== null)
+        .map(field => [field, structuredClone(fields[field])]));
+}
+
+/**
+ * Stage an edit for review instead of applying it
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @param {string} lorebook - World info name
+ * @param {number|null} uid - Entry UID (null for create)
+ * @param {Object} fields - Entry fields given by the AI
+ * @returns {string} Result message for the AI
+ */
+export function stageLoreEdit(action, lorebook, uid, fields = {}) {
+    const pending = proposals.filter(p => p.status === ProposalStatus.PENDING);
+    const existing = uid === null || uid === undefined ? null
+        : pending.find(p => p.lorebook === lorebook && p.uid === Number(uid));
+
+    // Keep one proposal per entry, so the review shows the combined change
+    if (existing?.action === 'delete') {
+        return `Error: entry with UID ${uid} is already staged for deletion`;
+    }
+    if (existing && action === 'update') {
+        Object.assign(existing.fields, definedFields(fields));
+        log(`Merged staged update of entry ${uid} in lorebook "${lorebook}"`);
+        return `Staged update of entry with UID ${uid} (change ${existing.id}). It will only be saved if the user approves it after the session.`;
+    }
+    if (existing && action === 'delete') {
+        existing.action = 'delete';
+        existing.fields = {};
+        log(`Staged update of entry ${uid} replaced by a deletion`);
+        return `Staged deletion of entry with UID ${uid} (change ${existing.id}). It will only be applied if the user approves it after the session.`;
+    }
+
+    const proposal = {
+        id: proposals.length + 1,
+        action,
+        lorebook,
+        uid: action === 'create' ? null : Number(uid),
+        fields: action === 'delete' ? {} : definedFields(fields),
+        status: ProposalStatus.PENDING,
+    };
+    proposals.push(proposal);
+    log(`Staged ${action} of ${action === 'create' ? 'a new entry' : `entry ${uid}`} in lorebook "${lorebook}"`);
+
+    switch (action) {
+        case 'create':
+            return `Staged creation of a new entry in lorebook "${lorebook}" (change ${proposal.id}). It will only be created if the user approves it after the session, so it does not appear in list_entries yet.`;
+        case 'delete':
+            return `Staged deletion of entry with UID ${uid} (change ${proposal.id}). It will only be applied if the user approves it after the session.`;
+        default:
+            return `Staged update of entry with UID ${uid} (change ${proposal.id}). It will only be saved if the user approves it after the session.`;
+    }
+}
+
+/**
+ * @returns {Array<Object>} Pending changes, summarized for the AI
+ */
+export function getStagedSummary() {
+    return proposals
+        .filter(p => p.status === ProposalStatus.PENDING)
+        .map(p => ({ change: p.id, action: p.action, uid: p.uid, ...p.fields }));
+}
+
+export function hasStagedEdits() {
+    return proposals.some(p => p.status === ProposalStatus.PENDING);
+}
+
+/**
+ * Drop all staged changes
+ * @returns {number} Number of pending changes dropped
+ */
+export function clearStagedEdits() {
+    const dropped = proposals.filter(p => p.status === ProposalStatus.PENDING).length;
+    proposals = [];
+    return dropped;
+}
+
+async function loadLorebook(lorebook) {
+    if (!world_names.includes(lorebook)) {
+        throw new Error(`World info "${lorebook}" not found`);
+    }
+    const data = await loadWorldInfo(lorebook);
+    if (!data || !data.entries) {
+        throw new Error(`Failed to load world info "${lorebook}"`);
+    }
+    return data;
+}
+
+/**
+ * Save a staged change to the lorebook
+ * @param {Object} proposal - Staged change, updated in place
+ * @param {Object} fields - Fields to write, as approved or edited by the user
+ * @param {number|null} journalSession - Lore journal session to record the change in
+ */
+async function applyProposal(proposal, fields, journalSession) {
+    const data = await loadLorebook(proposal.lorebook);
+
+    switch (proposal.action) {
+        case 'create': {
+            const entry = createWorldInfoEntry(proposal.lorebook, data);
+            if (!entry) throw new Error('Failed to create entry');
+            applyEntryFields(entry, fields);
+            await saveWorldInfo(proposal.lorebook, data, true);
+            proposal.uid = entry.uid;
+            recordLoreChange(journalSession, 'create', proposal.lorebook, entry.uid, null, entry);
+            break;
+        }
+        case 'update': {
+            const entry = data.entries[proposal.uid];
+            if (!entry) throw new Error(`Entry ${proposal.uid} no longer exists in "${proposal.lorebook}"`);
+            const before = structuredClone(entry);
+            applyEntryFields(entry, fields);
+            await saveWorldInfo(proposal.lorebook, data, true);
+            recordLoreChange(journalSession, 'update', proposal.lorebook, proposal.uid, before, entry);
+            break;
+        }
+        case 'delete': {
+            const before = data.entries[proposal.uid];
+            if (!before) throw new Error(`Entry ${proposal.uid} no longer exists in "${proposal.lorebook}"`);
+            const snapshot = structuredClone(before);
+            const deleted = await deleteWorldInfoEntry(data, proposal.uid, { silent: true });
+            if (!deleted) throw new Error(`Failed to delete entry ${proposal.uid}`);
+            await saveWorldInfo(proposal.lorebook, data, true);
+            recordLoreChange(journalSession, 'delete', proposal.lorebook, proposal.uid, snapshot, null);
+            break;
+        }
+    }
+    proposal.status = ProposalStatus.APPROVED;
+    log(`Approved staged ${proposal.action} of entry ${proposal.uid} in lorebook "${proposal.lorebook}"`);
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === undefined || value === null || value === '') return '';
+    return String(value);
+}
+
+function renderFieldInput(field, type, value) {
+    const attrs = { 'data-field': field };
+    switch (type) {
+        case 'boolean':
+            return $('<input type="checkbox" class="rmr-lore-proposal-input">').attr(attrs).prop('checked', !!value);
+        case 'textarea':
+            return $('<textarea class="text_pole rmr-lore-proposal-input" rows="4"></textarea>').attr(attrs).val(formatValue(value));
+        default:
+            return $('<input type="text" class="text_pole rmr-lore-proposal-input">').attr(attrs).val(formatValue(value));
+    }
+}
+
+function renderProposal(proposal, current) {
+    const item = $('<div class="rmr-lore-proposal"></div>').attr('data-proposal', proposal.id);
+    const name = proposal.fields.comment || current?.comment;
+    const title = proposal.action === 'create'
+        ? `${proposal.id}. Create ${name ? `"${name}"` : 'a new entry'}`
+        : `${proposal.id}. ${proposal.action === 'delete' ? 'Delete' : 'Update'} ${name ? `"${name}"` : 'entry'} (UID ${proposal.uid})`;
+
+    const header = $('<div class="rmr-lore-change-header"></div>').append($('<b></b>').text(`${title}, ${proposal.lorebook}`));
+    if (proposal.status === ProposalStatus.PENDING) {
+        header.append($('<div class="rmr-lore-change-buttons"></div>').append(
+            $('<button type="button" class="menu_button rmr-lore-approve">Approve</button>'),
+            $('<button type="button" class="menu_button rmr-lore-reject">Reject</button>'),
+        ));
+    } else {
+        header.append($('<span class="rmr-lore-change-status"></span>').text(proposal.status === ProposalStatus.APPROVED ? 'Approved' : 'Rejected'));
+    }
+    item.append(header);
+
+    if (proposal.status === ProposalStatus.PENDING && proposal.action !== 'create' && !current) {
+        item.append($('<div class="rmr-lore-change-status"></div>').text('This entry no longer exists.'));
+        return item;
+    }
+
+    // Current entry on the left, the staged result (editable) on the right
+    const proposed = proposal.action === 'delete' ? null : { ...(current ?? {}), ...proposal.fields };
+    const grid = $('<div class="rmr-lore-proposal-grid"></div>')
+        .append($('<div class="rmr-lore-proposal-heading"></div>'))
+        .append($('<div class="rmr-lore-proposal-heading"></div>').text(proposal.action === 'create' ? 'Current (new entry)' : 'Current'))
+        .append($('<div class="rmr-lore-proposal-heading"></div>').text(proposal.action === 'delete' ? 'Proposed (deleted)' : 'Proposed'));
+
+    for (const [field, { label, type }] of Object.entries(ENTRY_FIELDS)) {
+        const before = current?.[field];
+        const after = proposed?.[field];
+        const changed = proposal.action === 'delete' || formatValue(before) !== formatValue(after);
+        // Unchanged fields of an update add nothing to the review
+        if (!changed && proposal.action === 'update') continue;
+        if (proposal.action === 'delete' && !formatValue(before)) continue;
+
+        grid.append($('<div class="rmr-lore-change-label"></div>').text(label));
+        grid.append($('<div class="rmr-lore-proposal-value"></div>').toggleClass('rmr-diff-removed', changed && !!formatValue(before)).text(formatValue(before)));
+        if (proposal.status === ProposalStatus.PENDING && proposed) {
+            grid.append($('<div class="rmr-lore-proposal-value"></div>').append(renderFieldInput(field, type, after)));
+        } else {
+            grid.append($('<div class="rmr-lore-proposal-value"></div>').toggleClass('rmr-diff-added', changed && !!formatValue(after)).text(formatValue(after)));
+        }
+    }
+    return item.append(grid);
+}
+
+/**
+ * Read the fields of a proposal from the review, including the user's edits
+ * @param {JQuery} item - Rendered proposal
+ * @returns {Object}
+ */
+function readProposalFields(item) {
+    const fields = {};
+    item.find('.rmr-lore-proposal-input').each(function () {
+        const input = $(this);
+        const field = input.data('field');
+        const type = ENTRY_FIELDS[field]?.type;
+        if (type === 'boolean') {
+            fields[field] = input.prop('checked');
+        } else if (type === 'list') {
+            fields[field] = String(input.val()).split(',').map(v => v.trim()).filter(Boolean);
+        } else {
+            fields[field] = String(input.val());
+        }
+    });
+    return fields;
+}
+
+async function renderReview(content) {
+    content.empty()
+        .append($('<h3></h3>').text('Review Lore Changes'))
+        .append($('<p></p>').text('Nothing has been saved yet. Edit the proposed values if needed, then approve or reject each change. Changes still pending when this window is closed are discarded.'));
+
+    const books = {};
+    for (const proposal of proposals) {
+        let current = null;
+        if (proposal.uid !== null) {
+            try {
+                books[proposal.lorebook] ??= await loadLorebook(proposal.lorebook);
+                current = books[proposal.lorebook].entries[proposal.uid] ?? null;
+            } catch (err) {
+                error('Failed to load lorebook for review:', err);
+            }
+        }
+        content.append(renderProposal(proposal, current));
+    }
+}
+
+/**
+ * Show the staged changes and save the ones the user approves. Changes left pending are discarded.
+ * @param {number|null} journalSession - Lore journal session to record approved changes in
+ * @returns {Promise<{approved: number, rejected: number}>}
+ */
+export async function reviewStagedEdits(journalSession) {
+    const context = getContext();
+    const content = $('<div class="rmr-lore-review"></div>');
+    await renderReview(content);
+
+    content.on('click', '.rmr-lore-approve', async function () {
+        const item = $(this).closest('.rmr-lore-proposal');
+        const proposal = proposals.find(p => p.id === item.data('proposal'));
+        if (!proposal || proposal.status !== ProposalStatus.PENDING) return;
+        item.find('button').prop('disabled', true);
+        try {
+            await applyProposal(proposal, readProposalFields(item), journalSession);
+        } catch (err) {
+            error('Failed to apply staged lore change:', err);
+            toastr.error(err.message, 'Timeline Memory');
+        }
+        await renderReview(content);
+    });
+
+    content.on('click', '.rmr-lore-reject', async function () {
+        const proposal = proposals.find(p => p.id === $(this).closest('.rmr-lore-proposal').data('proposal'));
+        if (!proposal || proposal.status !== ProposalStatus.PENDING) return;
+        proposal.status = ProposalStatus.REJECTED;
+        await renderReview(content);
+    });
+
+    await context.callGenericPopup(content, context.POPUP_TYPE.TEXT, '', { okButton: 'Done', wide: true, large: true, allowVerticalScrolling: true });
+
+    const approved = proposals.filter(p => p.status === ProposalStatus.APPROVED).length;
+    const rejected = proposals.length - approved;
+    proposals = [];
+    return { approved, rejected };
+}
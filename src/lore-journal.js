@@ -0,0 +1,318 @@
+/**
+ * Lore Journal Module
+ *
+ * Records every lorebook entry a lore management session creates, updates or deletes as a before/after
+ * snapshot, so the changes can be reviewed when the session ends and rolled back with /lore-undo.
+ * Journals are kept in the metadata of the chat the session ran in.
+ */
+
+import { getContext, saveMetadataDebounced } from "../../../../extensions.js";
+import { world_names, loadWorldInfo, deleteWorldInfoEntry, saveWorldInfo } from "../../../../world-info.js";
+import { log, error } from "./logging.js";
+
+const JOURNAL_METADATA_KEY = 'lore_management_journal';
+const MAX_JOURNAL_SESSIONS = 10;
+
+export const ChangeStatus = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    REVERTED: 'reverted',
+};
+
+// Entry fields shown in the review, in display order
+const REVIEW_FIELDS = {
+    comment: 'Title',
+    key: 'Keys',
+    keysecondary: 'Secondary keys',
+    content: 'Content',
+    constant: 'Constant',
+    selective: 'Selective',
+    disable: 'Disabled',
+};
+
+/**
+ * @param {boolean} [create] - Create the journal if the chat has none yet
+ * @returns {Array<Object>|null} Sessions of the current chat, oldest first
+ */
+function getJournal(create = false) {
+    const metadata = getContext().chatMetadata;
+    if (!metadata) return null;
+    if (create && !Array.isArray(metadata[JOURNAL_METADATA_KEY])) {
+        metadata[JOURNAL_METADATA_KEY] = [];
+    }
+    return metadata[JOURNAL_METADATA_KEY] ?? null;
+}
+
+/**
+ * @param {number|null} [sessionNumber] - Session number; the latest session if omitted
+ * @returns {Object|null}
+ */
+function findSession(sessionNumber = null) {
+    const journal = getJournal() ?? [];
+    if (sessionNumber === null || sessionNumber === undefined) return journal.at(-1) ?? null;
+    return journal.find(session => session.number === Number(sessionNumber)) ?? null;
+}
+
+function snapshot(entry) {
+    return entry ? structuredClone(entry) : null;
+}
+
+function sameEntry(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Start the journal of a new lore management session
+ * @returns {number|null} Session number, or null if there is no chat to keep it in
+ */
+export function beginLoreJournal() {
+    const journal = getJournal(true);
+    if (!journal) return null;
+
+    const session = {
+        number: (journal.at(-1)?.number ?? 0) + 1,
+        startedAt: Date.now(),
+        endedAt: null,
+        changes: [],
+    };
+    journal.push(session);
+    if (journal.length > MAX_JOURNAL_SESSIONS) {
+        journal.splice(0, journal.length - MAX_JOURNAL_SESSIONS);
+    }
+    saveMetadataDebounced();
+    return session.number;
+}
+
+/**
+ * Record a change made to a lorebook entry
+ * @param {number|null} sessionNumber - Session returned by beginLoreJournal
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @param {string} lorebook - World info name
+ * @param {number} uid - Entry UID
+ * @param {Object|null} before - Entry before the change (null for a created entry)
+ * @param {Object|null} after - Entry after the change (null for a deleted entry)
+ */
+export function recordLoreChange(sessionNumber, action, lorebook, uid, before, after) {
+    const session = findSession(sessionNumber);
+    if (!session) return;
+
+    session.changes.push({
+        id: session.changes.length + 1,
+        action,
+        lorebook,
+        uid: Number(uid),
+        before: snapshot(before),
+        after: snapshot(after),
+        timestamp: Date.now(),
+        status: ChangeStatus.PENDING,
+    });
+    saveMetadataDebounced();
+}
+
+/**
+ * Close a session's journal. Sessions that changed nothing are dropped.
+ * @param {number|null} sessionNumber - Session returned by beginLoreJournal
+ * @returns {Object|null} Copy of the session, or null if it made no changes
+ */
+export function finishLoreJournal(sessionNumber) {
+    const journal = getJournal();
+    const session = findSession(sessionNumber);
+    if (!journal || !session) return null;
+
+    if (!session.changes.length) {
+        journal.splice(journal.indexOf(session), 1);
+        saveMetadataDebounced();
+        return null;
+    }
+    session.endedAt ??= Date.now();
+    saveMetadataDebounced();
+    return structuredClone(session);
+}
+
+/**
+ * @returns {Array<Object>} Copies of the journaled sessions of the current chat, oldest first
+ */
+export function getLoreJournal() {
+    return structuredClone(getJournal() ?? []);
+}
+
+/**
+ * Put an entry back the way it was before a change
+ * @param {Object} change - Journaled change, updated in place
+ */
+async function revertChange(change) {
+    if (!world_names.includes(change.lorebook)) {
+        throw new Error(`World info "${change.lorebook}" not found`);
+    }
+    const data = await loadWorldInfo(change.lorebook);
+    if (!data || !data.entries) {
+        throw new Error(`Failed to load world info "${change.lorebook}"`);
+    }
+
+    // Refuse to overwrite edits made after this change, including later changes in the same session
+    if (!sameEntry(data.entries[change.uid], change.after)) {
+        throw new Error(`Entry ${change.uid} in "${change.lorebook}" was changed after change ${change.id}; revert the later changes first`);
+    }
+
+    if (change.before) {
+        data.entries[change.uid] = structuredClone(change.before);
+    } else {
+        const deleted = await deleteWorldInfoEntry(data, change.uid, { silent: true });
+        if (!deleted) throw new Error(`Failed to delete entry ${change.uid} from "${change.lorebook}"`);
+    }
+    await saveWorldInfo(change.lorebook, data, true);
+    change.status = ChangeStatus.REVERTED;
+    log(`Reverted ${change.action} of entry ${change.uid} in lorebook "${change.lorebook}"`);
+}
+
+/**
+ * Roll back a lore management session, or a single change of it
+ * @param {number|null} [sessionNumber] - Session number; the latest session if omitted
+ * @param {number|null} [changeId] - Change to revert; every change of the session if omitted
+ * @returns {Promise<string>} Description of what was reverted
+ */
+export async function undoLoreChanges(sessionNumber = null, changeId = null) {
+    const session = findSession(sessionNumber);
+    if (!session) {
+        throw new Error(sessionNumber ? `Lore management session ${sessionNumber} not found` : 'No lore management session to undo');
+    }
+
+    if (changeId !== null && changeId !== undefined) {
+        const change = session.changes.find(c => c.id === Number(changeId));
+        if (!change) throw new Error(`Session ${session.number} has no change ${changeId}`);
+        if (change.status === ChangeStatus.REVERTED) return `Change ${change.id} of session ${session.number} is already reverted.`;
+        await revertChange(change);
+        saveMetadataDebounced();
+        return `Reverted change ${change.id} of session ${session.number}: ${describeChange(change)}.`;
+    }
+
+    // Newest first, so each entry is restored through the states it passed through
+    const reverted = [];
+    const failed = [];
+    for (const change of [...session.changes].reverse()) {
+        if (change.status === ChangeStatus.REVERTED) continue;
+        try {
+            await revertChange(change);
+            reverted.push(change.id);
+        } catch (err) {
+            error('Failed to revert lore change:', err);
+            failed.push(`change ${change.id}: ${err.message}`);
+        }
+    }
+    saveMetadataDebounced();
+
+    if (!reverted.length && !failed.length) return `Session ${session.number} has nothing left to revert.`;
+    const message = `Reverted ${reverted.length} change${reverted.length === 1 ? '' : 's'} of session ${session.number}.`;
+    return failed.length ? `${message} Could not revert ${failed.join('; ')}` : message;
+}
+
+/**
+ * Mark a change as reviewed and kept
+ * @param {number} sessionNumber
+ * @param {number} changeId
+ */
+export function acceptLoreChange(sessionNumber, changeId) {
+    const change = findSession(sessionNumber)?.changes.find(c => c.id === Number(changeId));
+    if (!change || change.status !== ChangeStatus.PENDING) return;
+    change.status = ChangeStatus.ACCEPTED;
+    saveMetadataDebounced();
+}
+
+function entryName(entry, uid) {
+    return entry?.comment ? `"${entry.comment}"` : `entry ${uid}`;
+}
+
+function describeChange(change) {
+    switch (change.action) {
+        case 'create':
+            return `created ${entryName(change.after, change.uid)}`;
+        case 'delete':
+            return `deleted ${entryName(change.before, change.uid)}`;
+        default:
+            return `updated ${entryName(change.after, change.uid)}`;
+    }
+}
+
+function formatField(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === undefined || value === null || value === '') return '(empty)';
+    return String(value);
+}
+
+function renderChange(change) {
+    const item = $('<div class="rmr-lore-change"></div>').attr('data-change', change.id);
+    const header = $('<div class="rmr-lore-change-header"></div>')
+        .append($('<b></b>').text(`${change.id}. ${describeChange(change)} (UID ${change.uid}, ${change.lorebook})`));
+
+    if (change.status === ChangeStatus.PENDING) {
+        header.append($('<div class="rmr-lore-change-buttons"></div>').append(
+            $('<button type="button" class="menu_button rmr-lore-accept">Accept</button>'),
+            $('<button type="button" class="menu_button rmr-lore-revert">Revert</button>'),
+        ));
+    } else {
+        header.append($('<span class="rmr-lore-change-status"></span>').text(change.status === ChangeStatus.REVERTED ? 'Reverted' : 'Accepted'));
+        if (change.status === ChangeStatus.ACCEPTED) {
+            header.append($('<button type="button" class="menu_button rmr-lore-revert">Revert</button>'));
+        }
+    }
+    item.append(header);
+
+    const fields = $('<div class="rmr-lore-change-fields"></div>');
+    for (const [field, label] of Object.entries(REVIEW_FIELDS)) {
+        const before = change.before?.[field];
+        const after = change.after?.[field];
+        if (change.action === 'update' && sameEntry(before, after)) continue;
+        if (change.action !== 'update' && formatField(before ?? after) === '(empty)') continue;
+
+        const row = $('<div class="rmr-lore-change-field"></div>').append($('<span class="rmr-lore-change-label"></span>').text(`${label}:`));
+        if (change.before) row.append($('<span class="rmr-diff-removed"></span>').text(formatField(before)));
+        if (change.after) row.append($('<span class="rmr-diff-added"></span>').text(formatField(after)));
+        fields.append(row);
+    }
+    return item.append(fields);
+}
+
+function renderReview(content, session) {
+    content.empty()
+        .append($('<h3></h3>').text(`Lore Management Session ${session.number}`))
+        .append($('<p></p>').text('Accept the changes to keep, or revert them. Changes left unreviewed are kept and can still be undone with /lore-undo.'));
+    for (const change of session.changes) {
+        content.append(renderChange(change));
+    }
+}
+
+/**
+ * Show the changes of a session with accept and revert buttons for each
+ * @param {number|null} [sessionNumber] - Session number; the latest session if omitted
+ * @returns {Promise<void>}
+ */
+export async function showLoreReview(sessionNumber = null) {
+    const context = getContext();
+    const session = findSession(sessionNumber);
+    if (!session || !session.changes.length) {
+        toastr.info('No lore changes to review', 'Timeline Memory');
+        return;
+    }
+
+    const content = $('<div class="rmr-lore-review"></div>');
+    renderReview(content, session);
+
+    content.on('click', '.rmr-lore-accept', function () {
+        acceptLoreChange(session.number, $(this).closest('.rmr-lore-change').data('change'));
+        renderReview(content, findSession(session.number) ?? session);
+    });
+
+    content.on('click', '.rmr-lore-revert', async function () {
+        const button = $(this);
+        button.prop('disabled', true);
+        try {
+            toastr.success(await undoLoreChanges(session.number, button.closest('.rmr-lore-change').data('change')), 'Timeline Memory');
+        } catch (err) {
+            error('Lore revert failed:', err);
+            toastr.error(err.message, 'Timeline Memory');
+        }
+        renderReview(content, findSession(session.number) ?? session);
+    });
+
+    await context.callGenericPopup(content, context.POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+}
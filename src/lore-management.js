@@ -3,252 +3,26 @@
  *
  * Provides autonomous lorebook editing capabilities during lore management sessions.
  * The AI can list entries, create/update/delete entries in the character's assigned world info, and signal session end.
+ * Sessions run as the "lore" agent mode, outside the chat and without switching the connection profile.
  */
 
-import { extension_settings, getContext } from "../../../../extensions.js";
-import { saveChatConditional, reloadCurrentChat, characters, this_chid, eventSource, event_types, stopGeneration, isSwipingAllowed, swipe_right } from "../../../../../script.js";
-import { executeSlashCommandsWithOptions } from "../../../../slash-commands.js";
+import { getContext } from "../../../../extensions.js";
+import { characters, this_chid } from "../../../../../script.js";
 import { world_names, loadWorldInfo, createWorldInfoEntry, deleteWorldInfoEntry, saveWorldInfo } from "../../../../world-info.js";
 import { settings } from "./settings.js";
-import { log, debug, error } from "./logging.js";
-import { createChatBackup } from "./backup.js";
+import { log, error } from "./logging.js";
+import { registerAgentMode, startAgentSession, abortAgentSession, isAgentSessionActive } from "./agent-sessions.js";
+import { beginLoreJournal, recordLoreChange, finishLoreJournal, showLoreReview } from "./lore-journal.js";
+import { applyEntryFields, stageLoreEdit, getStagedSummary, hasStagedEdits, clearStagedEdits, reviewStagedEdits } from "./lore-approval.js";
 
-/**
- * Switch to a profile using SlashCommandParser directly
- * @param {string} profileName - The profile name to switch to, or 'none' for no profile
- * @returns {Promise<void>}
- */
-async function switchProfile(profileName) {
-    const context = getContext();
-    const SlashCommandParser = context.SlashCommandParser;
-
-    if (!SlashCommandParser?.commands?.['profile']) {
-        error('Profile slash command not available');
-        return;
-    }
-
-    // Set up promise to wait for profile switch to complete
-    const switchCompletePromise = new Promise((resolve) => {
-        let resolved = false;
-
-        const modelChangedHandler = () => {
-            if (!resolved) {
-                log('Profile switch complete (model changed)');
-                resolved = true;
-                eventSource.removeListener(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
-                eventSource.removeListener(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
-                resolve();
-            }
-        };
-
-        const statusChangedHandler = () => {
-            if (!resolved) {
-                log('Profile switch complete (status changed)');
-                resolved = true;
-                eventSource.removeListener(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
-                eventSource.removeListener(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
-                resolve();
-            }
-        };
-
-        eventSource.once(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
-        eventSource.once(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
-
-        // Timeout in case neither event fires
-        setTimeout(() => {
-            if (!resolved) {
-                log('Profile switch timeout - continuing anyway');
-                resolved = true;
-                eventSource.removeListener(event_types.CHATCOMPLETION_MODEL_CHANGED, modelChangedHandler);
-                eventSource.removeListener(event_types.ONLINE_STATUS_CHANGED, statusChangedHandler);
-                resolve();
-            }
-        }, 3000);
-    });
-
-    const args = {
-        _scope: null,
-        _abortController: null,
-        _debugController: null,
-        _parserFlags: {},
-        _hasUnnamedArgument: false,
-        quiet: 'true'
-    };
-
-    log(`Switching to profile: ${profileName}`);
-    await SlashCommandParser.commands['profile'].callback(args, profileName);
-    await switchCompletePromise;
-    log('Profile switch complete');
-}
-
-// Session state
-const loreManagementState = {
-    active: false,
-    savedProfileId: null,
-    savedProfileName: null,
-    startMessageIndex: 0,
-    endRequested: false,
-    hiddenMessageStart: -1,  // First message index that was hidden
-    hiddenMessageEnd: -1,    // Last message index that was hidden
-    sessionChatId: null,     // Chat ID when session started (to detect actual chat switches)
-    retryCount: 0,           // Counter to prevent infinite retry loops on errors
-    sessionCompleteResolve: null, // Promise resolve function for await support
-};
-
-const MAX_RETRIES = 5;  // Maximum number of consecutive retries before aborting
-const SWIPE_RETRY_DELAYS = [500, 1000, 2000, 3000];  // Delays between swipe attempts (ms)
-const TRIGGER_RETRY_DELAYS = [500, 1000, 2000, 3000];  // Delays between trigger attempts (ms)
-
-const LORE_MANAGEMENT_METADATA_KEY = 'lore_management_session';
-
-/**
- * Save lore management state to chat metadata for recovery after refresh
- */
-function saveStateToMetadata() {
-    const context = getContext();
-    if (!context.chatMetadata) return;
-
-    context.chatMetadata[LORE_MANAGEMENT_METADATA_KEY] = {
-        active: loreManagementState.active,
-        savedProfileId: loreManagementState.savedProfileId,
-        savedProfileName: loreManagementState.savedProfileName,
-        startMessageIndex: loreManagementState.startMessageIndex,
-        hiddenMessageStart: loreManagementState.hiddenMessageStart,
-        hiddenMessageEnd: loreManagementState.hiddenMessageEnd,
-        sessionChatId: loreManagementState.sessionChatId,
-    };
-    log('Saved lore management state to metadata');
-}
-
-/**
- * Clear lore management state from chat metadata
- */
-function clearStateFromMetadata() {
-    const context = getContext();
-    if (!context.chatMetadata) return;
-
-    delete context.chatMetadata[LORE_MANAGEMENT_METADATA_KEY];
-    log('Cleared lore management state from metadata');
-}
-
-/**
- * Check for and recover from an interrupted lore management session
- * Call this on CHAT_CHANGED to handle page refresh recovery
- * @returns {Promise<boolean>} True if recovery was performed
- */
-export async function recoverInterruptedSession() {
-    const context = getContext();
-    if (!context.chatMetadata) return false;
-
-    const savedState = context.chatMetadata[LORE_MANAGEMENT_METADATA_KEY];
-    if (!savedState || !savedState.active) return false;
-
-    log('Recovering from interrupted lore management session');
-    toastr.warning('Recovering from interrupted lore management session...', 'Timeline Memory');
-
-    const chat = context.chat;
-
-    // SAFETY: Validate startMessageIndex before any destructive operations
-    if (savedState.startMessageIndex <= 0) {
-        error('Invalid startMessageIndex (0 or negative) - refusing to delete messages to prevent chat loss');
-        toastr.error('Recovery aborted: Invalid session state detected', 'Timeline Memory');
-        clearStateFromMetadata();
-        return false;
-    }
-
-    try {
-        // Delete agentic messages (from startMessageIndex to end)
-        // Only delete if startMessageIndex is within bounds
-        if (savedState.startMessageIndex <= chat.length) {
-            const messagesToDelete = chat.length - savedState.startMessageIndex;
-            if (messagesToDelete > 0) {
-                log(`Deleting ${messagesToDelete} agentic messages`);
-                chat.splice(savedState.startMessageIndex, messagesToDelete);
-            }
-        } else {
-            error(`startMessageIndex (${savedState.startMessageIndex}) exceeds chat length (${chat.length}) - skipping message deletion`);
-        }
-
-        // Unhide the messages that were hidden
-        if (savedState.hiddenMessageStart >= 0 && savedState.hiddenMessageEnd >= 0) {
-            log(`Unhiding messages ${savedState.hiddenMessageStart} to ${savedState.hiddenMessageEnd}`);
-            await executeSlashCommandsWithOptions(`/unhide ${savedState.hiddenMessageStart}-${savedState.hiddenMessageEnd}`);
-        }
-
-        // Clear the saved state
-        clearStateFromMetadata();
-
-        // Save and reload chat first
-        await saveChatConditional();
-        await reloadCurrentChat();
-
-        // Restore original profile after chat reload
-        if (savedState.savedProfileName) {
-            await switchProfile(savedState.savedProfileName);
-        } else {
-            await switchProfile('none');
-        }
-
-        // Restore timeline injection now that lore management is done
-        try {
-            const { updateTimelineInjection } = await import('./memories.js');
-            updateTimelineInjection();
-        } catch (err) {
-            debug('Could not restore timeline injection:', err.message);
-        }
-
-        log('Recovery completed successfully');
-        toastr.success('Lore management session recovered', 'Timeline Memory');
-        return true;
-
-    } catch (err) {
-        error('Error during recovery:', err);
-        toastr.error('Error recovering lore management session', 'Timeline Memory');
-        // Clear the state anyway to prevent repeated recovery attempts
-        clearStateFromMetadata();
-
-        // Still try to restore timeline injection
-        try {
-            const { updateTimelineInjection } = await import('./memories.js');
-            updateTimelineInjection();
-        } catch (injErr) {
-            debug('Could not restore timeline injection:', injErr.message);
-        }
-
-        return false;
-    }
-}
+const LORE_MODE = 'lore';
 
 /**
  * Check if a lore management session is currently active
  * @returns {boolean}
  */
 export function isLoreManagementActive() {
-    return loreManagementState.active;
-}
-
-/**
- * Get the chat ID associated with the current lore management session
- * @returns {string|null} The chat ID or null if no session is active
- */
-export function getSessionChatId() {
-    return loreManagementState.sessionChatId;
-}
-
-/**
- * Find the first visible (non-hidden/non-system) message index
- * @returns {number} The index of the first visible message, or -1 if none found
- */
-function findFirstVisibleMessageIndex() {
-    const context = getContext();
-    const chat = context.chat;
-
-    for (let i = 0; i < chat.length; i++) {
-        if (!chat[i].is_system) {
-            return i;
-        }
-    }
-    return -1;
+    return isAgentSessionActive(LORE_MODE);
 }
 
 /**
@@ -319,9 +93,10 @@ function convertNewlines(str) {
 /**
  * Edit a lorebook entry (create, update, or delete) in the character's assigned world info
  * @param {Object} args - The arguments for the edit operation
+ * @param {number|null} journalSession - Lore journal session recording the change
  * @returns {Promise<string>} Result message
  */
-async function editLorebookEntry(args) {
+async function editLorebookEntry(args, journalSession) {
     const { action, uid, key, keysecondary, constant, selective } = args;
     // Convert literal \n to actual newlines in content and comment
     const content = convertNewlines(args.content);
@@ -341,35 +116,24 @@ async function editLorebookEntry(args) {
         return `Error: failed to load world info "${lorebook}"`;
     }
 
+    const fields = { key, keysecondary, content, comment, constant, selective };
+
     switch (action) {
         case 'create': {
+            if (settings.lore_approval_mode) {
+                return stageLoreEdit(action, lorebook, null, fields);
+            }
+
             const entry = createWorldInfoEntry(lorebook, data);
             if (!entry) {
                 return 'Error: failed to create entry';
             }
 
             // Set entry properties
-            if (key && Array.isArray(key)) {
-                entry.key = key;
-            }
-            if (keysecondary && Array.isArray(keysecondary)) {
-                entry.keysecondary = keysecondary;
-            }
-            if (content) {
-                entry.content = content;
-            }
-            if (comment) {
-                entry.comment = comment;
-                entry.addMemo = true;
-            }
-            if (constant !== undefined) {
-                entry.constant = constant;
-            }
-            if (selective !== undefined) {
-                entry.selective = selective;
-            }
+            applyEntryFields(entry, fields);
 
             await saveWorldInfo(lorebook, data, true);
+            recordLoreChange(journalSession, 'create', lorebook, entry.uid, null, entry);
             log(`Created entry ${entry.uid} in lorebook "${lorebook}"`);
             return `Successfully created entry with UID ${entry.uid} in lorebook "${lorebook}"`;
         }
@@ -383,29 +147,16 @@ async function editLorebookEntry(args) {
             if (!entry) {
                 return `Error: entry with UID ${uid} not found in lorebook "${lorebook}"`;
             }
+            if (settings.lore_approval_mode) {
+                return stageLoreEdit(action, lorebook, uid, fields);
+            }
+            const before = structuredClone(entry);
 
             // Update entry properties
-            if (key && Array.isArray(key)) {
-                entry.key = key;
-            }
-            if (keysecondary && Array.isArray(keysecondary)) {
-                entry.keysecondary = keysecondary;
-            }
-            if (content !== undefined) {
-                entry.content = content;
-            }
-            if (comment !== undefined) {
-                entry.comment = comment;
-                if (comment) entry.addMemo = true;
-            }
-            if (constant !== undefined) {
-                entry.constant = constant;
-            }
-            if (selective !== undefined) {
-                entry.selective = selective;
-            }
+            applyEntryFields(entry, fields);
 
             await saveWorldInfo(lorebook, data, true);
+            recordLoreChange(journalSession, 'update', lorebook, uid, before, entry);
             log(`Updated entry ${uid} in lorebook "${lorebook}"`);
             return `Successfully updated entry with UID ${uid} in lorebook "${lorebook}"`;
         }
@@ -418,6 +169,10 @@ async function editLorebookEntry(args) {
             if (!data.entries[uid]) {
                 return `Error: entry with UID ${uid} not found in lorebook "${lorebook}"`;
             }
+            if (settings.lore_approval_mode) {
+                return stageLoreEdit(action, lorebook, uid);
+            }
+            const before = structuredClone(data.entries[uid]);
 
             const deleted = await deleteWorldInfoEntry(data, uid, { silent: true });
             if (!deleted) {
@@ -425,6 +180,7 @@ async function editLorebookEntry(args) {
             }
 
             await saveWorldInfo(lorebook, data, true);
+            recordLoreChange(journalSession, 'delete', lorebook, uid, before, null);
             log(`Deleted entry ${uid} from lorebook "${lorebook}"`);
             return `Successfully deleted entry with UID ${uid} from lorebook "${lorebook}"`;
         }
@@ -435,611 +191,169 @@ async function editLorebookEntry(args) {
 }
 
 /**
- * Signal the end of the lore management session
- * @returns {string} Confirmation message
+ * Tools offered to the model during a lore management session
+ * @param {Object} session - Session passed by the agent session module
+ * @returns {import('./agent-runner.js').AgentTool[]}
  */
-function endLoreManagementTool() {
-    // Immediately disable the session to prevent any async callbacks from proceeding
-    // This must happen BEFORE any await points to prevent race conditions
-    loreManagementState.active = false;
-    loreManagementState.endRequested = true;
-    log('End lore management requested via tool - session marked inactive');
-
-    // Stop the generation monitor FIRST to prevent spurious swipes from generation_ended events
-    stopGenerationMonitor();
-
-    // Schedule cleanup to happen after this tool returns
-    // Use setTimeout to ensure the tool response is processed first
-    setTimeout(() => {
-        cleanupLoreManagementSession();
-    }, 100);
-
-    return 'Lore management session ending. All lorebook changes have been saved.';
-}
-
-/**
- * Register the lore management tools
- */
-export function registerLoreTools() {
-    const context = getContext();
-    if (!context.ToolManager) {
-        error('ToolManager not available, cannot register lore tools');
-        return;
-    }
-
-    // Unregister existing tools first
-    unregisterLoreTools();
-
-    log('Registering lore management tools');
-
-    // Tool: list_entries
-    context.ToolManager.registerFunctionTool({
-        name: 'list_entries',
-        displayName: 'List Lorebook Entries',
-        description: 'List all entries in the character\'s assigned world info (lorebook). Returns the lorebook name, entry count, and details for each entry including uid, comment, keys, content, and settings. Use this to see what entries exist before editing them.',
-        stealth: false,
-        parameters: {
-            type: 'object',
-            properties: {},
-            required: []
-        },
-        action: async () => {
-            const result = await listEntries();
-            return JSON.stringify(result, null, 2);
+function getLoreTools(session) {
+    return [
+        {
+            name: 'list_entries',
+            description: 'List all entries in the character\'s assigned world info (lorebook). Returns the lorebook name, entry count, and details for each entry including uid, comment, keys, content, and settings. Use this to see what entries exist before editing them.',
+            parameters: {
+                type: 'object',
+                properties: {},
+                required: []
+            },
+            action: async () => {
+                const result = await listEntries();
+                // Staged changes are not in the lorebook yet, so list them separately
+                if (settings.lore_approval_mode && !result.error) {
+                    result.stagedChanges = getStagedSummary();
+                }
+                return JSON.stringify(result, null, 2);
+            },
+            formatMessage: () => 'Listing lorebook entries...',
         },
-        shouldRegister: () => loreManagementState.active,
-        formatMessage: () => 'Listing lorebook entries...',
-    });
-
-    // Tool: edit_entry
-    context.ToolManager.registerFunctionTool({
-        name: 'edit_entry',
-        displayName: 'Edit Lorebook Entry',
-        description: 'Create, update, or delete an entry in the character\'s assigned world info (lorebook). For create/update, provide key (primary keywords array), content, and optionally keysecondary, comment, constant, and selective. For update/delete, uid is required.',
-        stealth: false,
-        parameters: {
-            type: 'object',
-            properties: {
-                action: {
-                    type: 'string',
-                    enum: ['create', 'update', 'delete'],
-                    description: 'The action to perform'
-                },
-                uid: {
-                    type: 'integer',
-                    description: 'Entry UID (required for update and delete)'
+        {
+            name: 'edit_entry',
+            description: 'Create, update, or delete an entry in the character\'s assigned world info (lorebook). For create/update, provide key (primary keywords array), content, and optionally keysecondary, comment, constant, and selective. For update/delete, uid is required.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    action: {
+                        type: 'string',
+                        enum: ['create', 'update', 'delete'],
+                        description: 'The action to perform'
+                    },
+                    uid: {
+                        type: 'integer',
+                        description: 'Entry UID (required for update and delete)'
+                    },
+                    key: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Primary keywords that trigger this entry'
+                    },
+                    keysecondary: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Secondary keywords (used with selective mode)'
+                    },
+                    content: {
+                        type: 'string',
+                        description: 'The content/text of the entry'
+                    },
+                    comment: {
+                        type: 'string',
+                        description: 'Title/memo for the entry'
+                    },
+                    constant: {
+                        type: 'boolean',
+                        description: 'If true, entry is always active regardless of keywords'
+                    },
+                    selective: {
+                        type: 'boolean',
+                        description: 'If true, requires secondary keywords to also match'
+                    }
                 },
-                key: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: 'Primary keywords that trigger this entry'
-                },
-                keysecondary: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: 'Secondary keywords (used with selective mode)'
-                },
-                content: {
-                    type: 'string',
-                    description: 'The content/text of the entry'
-                },
-                comment: {
-                    type: 'string',
-                    description: 'Title/memo for the entry'
-                },
-                constant: {
-                    type: 'boolean',
-                    description: 'If true, entry is always active regardless of keywords'
-                },
-                selective: {
-                    type: 'boolean',
-                    description: 'If true, requires secondary keywords to also match'
+                required: ['action']
+            },
+            action: async (args) => {
+                return await editLorebookEntry(args, session.data.journalSession);
+            },
+            formatMessage: (args) => {
+                switch (args.action) {
+                    case 'create':
+                        return 'Creating new entry...';
+                    case 'update':
+                        return `Updating entry ${args.uid}...`;
+                    case 'delete':
+                        return `Deleting entry ${args.uid}...`;
+                    default:
+                        return 'Editing lorebook entry...';
                 }
             },
-            required: ['action']
-        },
-        action: async (args) => {
-            return await editLorebookEntry(args);
         },
-        shouldRegister: () => loreManagementState.active,
-        formatMessage: (args) => {
-            switch (args.action) {
-                case 'create':
-                    return 'Creating new entry...';
-                case 'update':
-                    return `Updating entry ${args.uid}...`;
-                case 'delete':
-                    return `Deleting entry ${args.uid}...`;
-                default:
-                    return 'Editing lorebook entry...';
-            }
-        },
-    });
-
-    // Tool: end_lore_management
-    context.ToolManager.registerFunctionTool({
-        name: 'end_lore_management',
-        displayName: 'End Lore Management',
-        description: 'Signal that you are done managing lorebooks. Call this when you have finished all lorebook edits.',
-        stealth: true,
-        parameters: {
-            type: 'object',
-            properties: {},
-            required: []
-        },
-        action: () => {
-            return endLoreManagementTool();
+        {
+            name: 'end_lore_management',
+            description: 'Signal that you are done managing lorebooks. Call this when you have finished all lorebook edits.',
+            parameters: {
+                type: 'object',
+                properties: {},
+                required: []
+            },
+            action: () => {
+                return settings.lore_approval_mode
+                    ? 'Lore management session ending. The staged changes will be shown to the user for approval.'
+                    : 'Lore management session ending. All lorebook changes have been saved.';
+            },
+            formatMessage: () => 'Ending lore management session...',
         },
-        shouldRegister: () => loreManagementState.active,
-        formatMessage: () => 'Ending lore management session...',
-    });
-
-    log('Lore management tools registered');
-}
-
-/**
- * Unregister the lore management tools
- */
-export function unregisterLoreTools() {
-    const context = getContext();
-    if (!context.ToolManager) {
-        return;
-    }
-
-    try {
-        context.ToolManager.unregisterFunctionTool('list_entries');
-        context.ToolManager.unregisterFunctionTool('edit_entry');
-        context.ToolManager.unregisterFunctionTool('end_lore_management');
-        debug('Lore management tools unregistered');
-    } catch (err) {
-        // Tools may not have been registered
-        debug('Some lore tools were not registered:', err.message);
-    }
+    ];
 }
 
 /**
- * Get the profile name by ID
- * @param {string} profileId - The profile ID
- * @returns {string|null} The profile name or null
+ * Review the session's changes: staged changes in approval mode, otherwise the journaled ones
+ * @param {Object} session - Session passed by the agent session module
  */
-function getProfileNameById(profileId) {
-    if (!profileId || !extension_settings.connectionManager?.profiles) {
-        return null;
-    }
-    const profile = extension_settings.connectionManager.profiles.find(p => p.id === profileId);
-    return profile ? profile.name : null;
-}
-
-/**
- * Start a lore management session
- * @returns {Promise<void>} Resolves when the session is fully complete
- */
-export async function startLoreManagementSession() {
-    if (loreManagementState.active) {
-        toastr.warning('A lore management session is already active', 'Timeline Memory');
-        return;
-    }
+async function reviewLoreSession(session) {
+    log('Cleaning up lore management session');
 
-    // SAFETY: Check if agentic timeline fill session is active (prevent concurrent sessions)
+    // After a switch to another chat, the journal belongs to a chat that is no longer loaded
     const context = getContext();
-    if (context.chatMetadata?.agentic_timeline_fill_session?.active) {
-        toastr.warning('Cannot start lore management while timeline fill session is active', 'Timeline Memory');
-        return;
-    }
-
-    // Create a backup before any operations
-    await createChatBackup('lore management');
-
-    const loreProfileId = settings.lore_management_profile;
-    if (!loreProfileId) {
-        toastr.error('No lore management profile configured', 'Timeline Memory');
-        return;
-    }
-
-    const loreProfileName = getProfileNameById(loreProfileId);
-    if (!loreProfileName) {
-        toastr.error('Configured lore management profile not found', 'Timeline Memory');
-        return;
-    }
-
-    // SAFETY: Validate chat exists and has messages
-    if (!context.chat || context.chat.length === 0) {
-        error('Cannot start lore management session on empty chat');
-        toastr.error('Cannot start session on empty chat', 'Timeline Memory');
-        return;
-    }
-
-    // Create a promise that resolves when the session is complete
-    const sessionCompletePromise = new Promise((resolve) => {
-        loreManagementState.sessionCompleteResolve = resolve;
-    });
-
-    // Save current state
-    loreManagementState.savedProfileId = extension_settings.connectionManager?.selectedProfile || null;
-    loreManagementState.savedProfileName = getProfileNameById(loreManagementState.savedProfileId);
-    loreManagementState.startMessageIndex = context.chat.length;
-    loreManagementState.endRequested = false;
-    loreManagementState.retryCount = 0;
-    loreManagementState.hiddenMessageStart = -1;
-    loreManagementState.hiddenMessageEnd = -1;
-    loreManagementState.sessionChatId = context.getCurrentChatId?.() || null;
-    loreManagementState.active = true;
-
-    // Clear timeline injection while lore management is active
-    try {
-        const { updateTimelineInjection } = await import('./memories.js');
-        updateTimelineInjection();
-    } catch (err) {
-        debug('Could not update timeline injection:', err.message);
-    }
-
-    log('Starting lore management session');
-    log(`Saved profile: ${loreManagementState.savedProfileName || 'none'}`);
-    log(`Start message index: ${loreManagementState.startMessageIndex}`);
-    log(`Session chat ID: ${loreManagementState.sessionChatId}`);
-
-    try {
-        // Hide existing messages to give the AI a clean slate
-        const firstVisibleIndex = findFirstVisibleMessageIndex();
-        if (firstVisibleIndex >= 0 && context.chat.length > 0) {
-            loreManagementState.hiddenMessageStart = firstVisibleIndex;
-            loreManagementState.hiddenMessageEnd = context.chat.length - 1;
-            log(`Hiding messages ${firstVisibleIndex} to ${loreManagementState.hiddenMessageEnd} for clean context`);
-            await executeSlashCommandsWithOptions(`/hide ${firstVisibleIndex}-${loreManagementState.hiddenMessageEnd}`);
-        }
-
-        // Save state to metadata for recovery after page refresh
-        saveStateToMetadata();
-        await saveChatConditional();
-
-        // Register lore tools
-        registerLoreTools();
-
-        // Swap to lore management profile
-        await switchProfile(loreProfileName);
-
-        // Wait for profile swap to fully settle
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        // Add user message using /send command (doesn't trigger generation)
-        const prompt = settings.lore_management_prompt || 'begin lore retrieval';
-        log(`Sending user message: ${prompt}`);
-        await executeSlashCommandsWithOptions(`/send ${prompt}`);
-
-        log('Added lore management user message');
+    const inSessionChat = context.getCurrentChatId?.() === session.chatId;
 
-        // Trigger initial generation (this starts the async monitoring loop)
-        await triggerLoreManagement();
-
-        // Wait for the session to complete (cleanup will resolve this)
-        log('Waiting for lore management session to complete...');
-        await sessionCompletePromise;
-        log('Lore management session completed');
-
-    } catch (err) {
-        error('Lore management session failed:', err);
-        toastr.error('Lore management session failed: ' + err.message, 'Timeline Memory');
-        await cleanupLoreManagementSession();
-    }
-}
-
-/**
- * Wait until isSwipingAllowed() returns true
- * @param {number} maxWait - Maximum time to wait in ms
- * @param {number} interval - Polling interval in ms
- * @returns {Promise<boolean>} True if swiping is allowed, false if timed out
- */
-async function waitForSwipeReady(maxWait = 5000, interval = 100) {
-    const startTime = Date.now();
-    while (!isSwipingAllowed()) {
-        if (Date.now() - startTime > maxWait) {
-            return false;
+    let reviewed = false;
+    if (inSessionChat && hasStagedEdits()) {
+        try {
+            const { approved, rejected } = await reviewStagedEdits(session.data.journalSession);
+            toastr.info(`${approved} lore change${approved === 1 ? '' : 's'} approved, ${rejected} discarded`, 'Timeline Memory');
+            reviewed = true;
+        } catch (err) {
+            error('Lore approval review failed:', err);
         }
-        await new Promise(resolve => setTimeout(resolve, interval));
     }
-    return true;
-}
-
-/**
- * Handle generation end - retry since generation_ended only fires when no tool call continues
- */
-function onGenerationEnded() {
-    if (!loreManagementState.active || loreManagementState.endRequested) {
-        return;
+    const discarded = clearStagedEdits();
+    if (discarded) {
+        toastr.warning(`${discarded} staged lore change${discarded === 1 ? ' was' : 's were'} discarded`, 'Timeline Memory');
     }
+    const journaled = inSessionChat ? finishLoreJournal(session.data.journalSession) : null;
 
-    // Increment retry count and check limit
-    loreManagementState.retryCount++;
-    if (loreManagementState.retryCount > MAX_RETRIES) {
-        error(`Max retries (${MAX_RETRIES}) exceeded, aborting lore management session`);
-        toastr.error('Lore management aborted: AI failed to make valid tool calls', 'Timeline Memory');
-        abortLoreManagementSession();
-        return;
+    // Offer the changes for review without holding up callers waiting on the session
+    if (journaled && !reviewed) {
+        showLoreReview(journaled.number).catch(err => error('Lore review failed:', err));
     }
-
-    log(`Generation ended without tool call (retry ${loreManagementState.retryCount}/${MAX_RETRIES}), attempting retry...`);
-
-    // Use setTimeout to not block the event handler
-    setTimeout(async () => {
-        log('Retry callback executing...');
-
-        if (!loreManagementState.active) {
-            log('Bailing: session no longer active');
-            return;
-        }
-        if (loreManagementState.endRequested) {
-            log('Bailing: end was requested');
-            return;
-        }
-
-        // Try swipe attempts with increasing delays
-        let swipeSucceeded = false;
-        for (let i = 0; i < SWIPE_RETRY_DELAYS.length; i++) {
-            if (!loreManagementState.active || loreManagementState.endRequested) {
-                log('Bailing: session state changed during swipe retries');
-                return;
-            }
-
-            // Wait for UI to settle
-            log(`Swipe attempt ${i + 1}/${SWIPE_RETRY_DELAYS.length}: waiting for swipe to be allowed...`);
-            const ready = await waitForSwipeReady(10000, 200);
-
-            if (!ready) {
-                log(`Swipe attempt ${i + 1}: timed out waiting for swipe readiness`);
-                if (i < SWIPE_RETRY_DELAYS.length - 1) {
-                    log(`Waiting ${SWIPE_RETRY_DELAYS[i]}ms before next swipe attempt...`);
-                    await new Promise(resolve => setTimeout(resolve, SWIPE_RETRY_DELAYS[i]));
-                }
-                continue;
-            }
-
-            // On first attempt, wait extra 5 seconds for UI to fully settle
-            if (i === 0) {
-                log('Swipe allowed - waiting 5 seconds for UI to fully settle...');
-                await new Promise(resolve => setTimeout(resolve, 5000));
-
-                if (!loreManagementState.active || loreManagementState.endRequested) {
-                    log('Bailing: session state changed during initial delay');
-                    return;
-                }
-            }
-
-            // Final check right before swipe
-            if (!loreManagementState.active || loreManagementState.endRequested) {
-                log('Bailing: session state changed after swipe wait');
-                return;
-            }
-
-            // Reload chat to ensure fresh state before swipe
-            log(`Swipe attempt ${i + 1}: reloading chat before swipe...`);
-            try {
-                await reloadCurrentChat();
-            } catch (reloadErr) {
-                log(`Chat reload failed: ${reloadErr.message}, continuing anyway`);
-            }
-
-            // Check again after reload
-            if (!loreManagementState.active || loreManagementState.endRequested) {
-                log('Bailing: session state changed after chat reload');
-                return;
-            }
-
-            log(`Swipe attempt ${i + 1}: executing swipe...`);
-            try {
-                await swipe_right();
-                log('Swipe completed successfully');
-                swipeSucceeded = true;
-                break;
-            } catch (swipeErr) {
-                // If session ended during swipe, bail silently
-                if (!loreManagementState.active || loreManagementState.endRequested) {
-                    log('Swipe error after session ended, bailing silently');
-                    return;
-                }
-                log(`Swipe attempt ${i + 1} failed: ${swipeErr.message}`);
-                if (i < SWIPE_RETRY_DELAYS.length - 1) {
-                    log(`Waiting ${SWIPE_RETRY_DELAYS[i]}ms before next swipe attempt...`);
-                    await new Promise(resolve => setTimeout(resolve, SWIPE_RETRY_DELAYS[i]));
-                }
-            }
-        }
-
-        if (swipeSucceeded) {
-            return;  // Swipe worked, new generation will be triggered automatically
-        }
-
-        // All swipe attempts failed - try trigger attempts with increasing delays
-        log('All swipe attempts failed, trying trigger instead...');
-
-        for (let i = 0; i < TRIGGER_RETRY_DELAYS.length; i++) {
-            if (!loreManagementState.active || loreManagementState.endRequested) {
-                log('Bailing: session state changed during trigger retries');
-                return;
-            }
-
-            log(`Trigger attempt ${i + 1}/${TRIGGER_RETRY_DELAYS.length}: executing trigger...`);
-            try {
-                await executeSlashCommandsWithOptions('/trigger');
-                log('Trigger completed successfully');
-                return;  // Trigger worked
-            } catch (triggerErr) {
-                // If session ended during trigger, bail silently
-                if (!loreManagementState.active || loreManagementState.endRequested) {
-                    log('Trigger error after session ended, bailing silently');
-                    return;
-                }
-                log(`Trigger attempt ${i + 1} failed: ${triggerErr.message}`);
-                if (i < TRIGGER_RETRY_DELAYS.length - 1) {
-                    log(`Waiting ${TRIGGER_RETRY_DELAYS[i]}ms before next trigger attempt...`);
-                    await new Promise(resolve => setTimeout(resolve, TRIGGER_RETRY_DELAYS[i]));
-                }
-            }
-        }
-
-        // Final check before aborting
-        if (!loreManagementState.active || loreManagementState.endRequested) {
-            log('Session ended during retries, no need to abort');
-            return;
-        }
-
-        // All attempts failed - abort the session
-        error('All swipe and trigger attempts failed, aborting lore management session');
-        toastr.error('Lore management aborted: Failed to retry after AI did not make a tool call', 'Timeline Memory');
-        abortLoreManagementSession();
-    }, 0);
 }
 
-/**
- * Start monitoring for generation end (only fires when no tool call auto-continues)
- */
-function startGenerationMonitor() {
-    log('Starting generation monitor');
-    eventSource.on(event_types.GENERATION_ENDED, onGenerationEnded);
-}
-
-/**
- * Stop monitoring generation events
- */
-function stopGenerationMonitor() {
-    log('Stopping generation monitor');
-    eventSource.removeListener(event_types.GENERATION_ENDED, onGenerationEnded);
-}
-
-/**
- * Trigger the initial lore management generation
- * SillyTavern's tool calling flow handles subsequent generations automatically.
- * The generation monitor handles re-triggering if AI doesn't make a tool call.
- */
-async function triggerLoreManagement() {
-    log('Triggering initial lore management generation');
-
-    // Start monitoring for generation completions
-    startGenerationMonitor();
-
-    try {
-        // Trigger generation - SillyTavern will auto-continue after tool calls
-        // The end_lore_management tool (stealth) will handle cleanup when done
-        await executeSlashCommandsWithOptions('/trigger');
-        log('Initial generation triggered');
-    } catch (err) {
-        error('Error triggering lore management:', err);
-        stopGenerationMonitor();
-        // If initial trigger fails, clean up
-        await cleanupLoreManagementSession();
-    }
-}
+registerAgentMode({
+    id: LORE_MODE,
+    title: 'Lore Management',
+    description: 'Edit the character\'s lorebook from the story so far',
+    startMessage: 'Reading the story...',
+    getProfileId: () => settings.lore_management_profile,
+    getSystemPrompt: () => settings.lore_management_system_prompt,
+    getUserPrompt: () => settings.lore_management_prompt || 'begin lore retrieval',
+    getTools: getLoreTools,
+    endTools: ['end_lore_management'],
+    onStart: (session) => {
+        session.data.journalSession = beginLoreJournal();
+        clearStagedEdits();
+    },
+    onEnd: reviewLoreSession,
+});
 
 /**
- * Clean up after a lore management session
+ * Start a lore management session
+ * @returns {Promise<void>} Resolves when the session is fully complete
  */
-async function cleanupLoreManagementSession() {
-    // Use sessionCompleteResolve as the indicator of whether cleanup is needed
-    // (it's only set when a session starts and cleared when cleanup finishes)
-    if (!loreManagementState.sessionCompleteResolve) {
-        log('Cleanup called but no active session to clean up');
-        return;
-    }
-
-    // Set active to false immediately to prevent any async callbacks (like swipe retries) from proceeding
-    loreManagementState.active = false;
-
-    log('Cleaning up lore management session');
-
-    const context = getContext();
-    const chat = context.chat;
-
-    try {
-        // Stop monitoring and unregister tools first
-        stopGenerationMonitor();
-        unregisterLoreTools();
-
-        // Delete all messages from the session
-        // SAFETY: Refuse to delete from index 0 - this would delete the entire chat
-        if (loreManagementState.startMessageIndex <= 0) {
-            error('Invalid startMessageIndex (0 or negative) - skipping message deletion in cleanup to prevent chat loss');
-        } else if (loreManagementState.startMessageIndex <= chat.length) {
-            const messagesToDelete = chat.length - loreManagementState.startMessageIndex;
-            if (messagesToDelete > 0) {
-                log(`Deleting ${messagesToDelete} messages from lore management session`);
-                chat.splice(loreManagementState.startMessageIndex, messagesToDelete);
-            }
-        } else {
-            error(`startMessageIndex (${loreManagementState.startMessageIndex}) exceeds chat length (${chat.length}) - skipping message deletion`);
-        }
-
-        // Unhide the messages that were hidden at session start
-        if (loreManagementState.hiddenMessageStart >= 0 && loreManagementState.hiddenMessageEnd >= 0) {
-            log(`Unhiding messages ${loreManagementState.hiddenMessageStart} to ${loreManagementState.hiddenMessageEnd}`);
-            await executeSlashCommandsWithOptions(`/unhide ${loreManagementState.hiddenMessageStart}-${loreManagementState.hiddenMessageEnd}`);
-        }
-
-        // Clear state from metadata BEFORE saving so it persists
-        clearStateFromMetadata();
-
-        // Save and reload chat
-        await saveChatConditional();
-        await reloadCurrentChat();
-
-        // Restore original profile after chat reload
-        // This ensures the profile swap persists and doesn't get overwritten
-        const profileToRestore = loreManagementState.savedProfileName;
-        if (profileToRestore) {
-            await switchProfile(profileToRestore);
-        } else {
-            // No profile was selected before, select none
-            await switchProfile('none');
-        }
-
-        log('Lore management session cleaned up successfully');
-        toastr.success('Lore management session completed', 'Timeline Memory');
-
-    } catch (err) {
-        error('Error during cleanup:', err);
-        toastr.error('Error cleaning up lore management session', 'Timeline Memory');
-    } finally {
-        // Clear state from metadata (safety net in case of errors)
-        clearStateFromMetadata();
-
-        // Reset state
-        loreManagementState.active = false;
-        loreManagementState.savedProfileId = null;
-        loreManagementState.savedProfileName = null;
-        loreManagementState.startMessageIndex = 0;
-        loreManagementState.endRequested = false;
-        loreManagementState.retryCount = 0;
-        loreManagementState.hiddenMessageStart = -1;
-        loreManagementState.hiddenMessageEnd = -1;
-        loreManagementState.sessionChatId = null;
-
-        // Restore timeline injection now that lore management is done
-        try {
-            const { updateTimelineInjection } = await import('./memories.js');
-            updateTimelineInjection();
-        } catch (err) {
-            debug('Could not restore timeline injection:', err.message);
-        }
-
-        // Resolve the session complete promise so awaiting callers can continue
-        if (loreManagementState.sessionCompleteResolve) {
-            log('Resolving session complete promise');
-            loreManagementState.sessionCompleteResolve();
-            loreManagementState.sessionCompleteResolve = null;
-        }
-    }
+export async function startLoreManagementSession() {
+    await startAgentSession(LORE_MODE);
 }
 
 /**
  * Abort an active lore management session
  */
 export async function abortLoreManagementSession() {
-    // Check if there's actually a session to abort
-    if (!loreManagementState.sessionCompleteResolve) {
-        return;
-    }
-
-    log('Aborting lore management session');
-    loreManagementState.active = false;
-    loreManagementState.endRequested = true;
-    stopGeneration();
-    await cleanupLoreManagementSession();
+    await abortAgentSession(LORE_MODE);
 }
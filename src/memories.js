@@ -1,20 +1,23 @@
 import { extension_settings, getContext } from "../../../../extensions.js";
 import { MacrosParser, evaluateMacros } from "../../../../macros.js";
 import { getRegexedString, regex_placement } from '../../../regex/engine.js';
-import { getCharaFilename, escapeRegex, trimSpaces } from "../../../../utils.js";
-import { settings, ChapterEndMode } from "./settings.js";
-import { toggleChapterHighlight } from "./messages.js";
+import { getCharaFilename, escapeRegex, trimSpaces, uuidv4, getStringHash } from "../../../../utils.js";
+import { settings, ChapterEndMode, AutoChapterMode, TimelineFormat } from "./settings.js";
+import { toggleChapterHighlight, resetMessageButtons } from "./messages.js";
 import { debug } from "./logging.js";
 import { ConnectionManagerRequestService } from "../../../shared.js";
 import { amount_gen, main_api, setExtensionPrompt, extension_prompt_types, extension_prompt_roles } from "../../../../../script.js";
 import { oai_settings, openai_settings, chat_completion_sources, reasoning_effort_types } from "../../../../../scripts/openai.js";
 import { reasoning_templates } from "../../../../../scripts/reasoning.js";
 import { getPresetManager } from "../../../../../scripts/preset-manager.js";
-import { isLoreManagementActive } from "./lore-management.js";
-import { isAgenticTimelineFillActive } from "./agentic-timeline-fill.js";
-import { updateRetrievalProgress, isProgressVisible } from "./retrieval-progress.js";
+import { isAgentSessionActive } from "./agent-sessions.js";
+import { showRetrievalProgress, hideRetrievalProgress, updateRetrievalProgress, isProgressVisible, updateStreamPreview, setProgressStopHandler, getProgressStopHandler } from "./retrieval-progress.js";
 import { translate } from "../../../../../scripts/i18n.js";
 import { createChatBackup } from "./backup.js";
+import { getCachedAnswer, storeAnswer } from "./query-cache.js";
+import { Workflow } from "./usage.js";
+import { sendRequestWithRetry } from "./request-retry.js";
+import { tokenize } from "./timeline-search.js";
 
 const runSlashCommand = getContext().executeSlashCommandsWithOptions;
 const CHAT_COMPLETION_APIS = ['claude', 'openrouter', 'windowai', 'scale', 'ai21', 'makersuite', 'vertexai', 'mistralai', 'custom', 'google', 'cohere', 'perplexity', 'groq', '01ai', 'nanogpt', 'deepseek', 'aimlapi', 'xai', 'pollinations', 'moonshot', 'zai'];
@@ -190,6 +193,7 @@ function getIncludeReasoning(profileId) {
 
 // Store timeline data
 let timelineData = [];
+let timelineVolumes = []; // [{ summary, startChapter, endChapter }] - 1-based, inclusive, sorted by startChapter
 let timelineFillResults = [];
 let currentChatContent = null; // Captured chat content for {{currentChat}} macro
 
@@ -231,6 +235,21 @@ const delay_ms = ()=> {
 }
 let last_gen_timestamp = 0;
 
+/**
+ * Wait for the next request slot allowed by rate_limit.
+ * Slots are reserved before waiting, so concurrent callers are spaced out too.
+ */
+async function waitForRateLimit() {
+	const limit = Number(settings.rate_limit);
+	if (!(limit > 0)) return;
+	const slot = Math.max(Date.now(), last_gen_timestamp + 60000 / limit);
+	last_gen_timestamp = slot;
+	const wait = slot - Date.now();
+	if (wait > 0) {
+		await new Promise(resolve => setTimeout(resolve, wait));
+	}
+}
+
 export function getTimelineFillResults() {
 	return Array.isArray(timelineFillResults) ? [...timelineFillResults] : [];
 }
@@ -245,7 +264,8 @@ function saveTimelineFillResults() {
 	context.saveMetadata();
 }
 
-export function setTimelineFillResults(results) {
+// Resolves once the injection prompt holds the new results, so a generation started next sees them
+export async function setTimelineFillResults(results) {
 	if (Array.isArray(results)) {
 		timelineFillResults = [...results];
 	} else {
@@ -253,14 +273,14 @@ export function setTimelineFillResults(results) {
 	}
 	saveTimelineFillResults();
 	// Update injection prompt with new data
-	updateTimelineInjection();
+	await updateTimelineInjection();
 }
 
-export function resetTimelineFillResults() {
+export async function resetTimelineFillResults() {
 	timelineFillResults = [];
 	saveTimelineFillResults();
 	// Update injection prompt with new data
-	updateTimelineInjection();
+	await updateTimelineInjection();
 }
 
 /**
@@ -272,7 +292,7 @@ export function getCurrentChatContent() {
 }
 
 /**
- * Set the current chat content (called by agentic-timeline-fill.js)
+ * Set the current chat content (called by agent-sessions.js)
  * @param {string|null} content - The chat content to store
  */
 export function setCurrentChatContent(content) {
@@ -292,6 +312,278 @@ export function getTimelineEntries() {
 	return Array.isArray(timelineData) ? [...timelineData] : [];
 }
 
+export function getTimelineVolumes() {
+	return Array.isArray(timelineVolumes) ? [...timelineVolumes] : [];
+}
+
+/**
+ * Find the volume a chapter belongs to
+ * @param {number} chapterNumber - 1-based chapter number
+ * @returns {number} 1-based volume number, or 0 if the chapter is not in a volume
+ */
+export function getVolumeForChapter(chapterNumber) {
+	const index = timelineVolumes.findIndex(v => chapterNumber >= v.startChapter && chapterNumber <= v.endChapter);
+	return index + 1;
+}
+
+const CHAPTER_LIST_FIELDS = ['characters', 'locations', 'tags'];
+
+/**
+ * Clean up structured chapter metadata from the model or the editor.
+ * List fields accept either arrays or comma-separated strings; empty fields are dropped.
+ * @param {Object} metadata - Raw metadata
+ * @returns {{title?: string, characters?: string[], locations?: string[], time?: string, tags?: string[]}}
+ */
+export function normalizeChapterMetadata(metadata) {
+	const normalized = {};
+	if (!metadata || typeof metadata !== 'object') return normalized;
+
+	for (const key of ['title', 'time']) {
+		const value = typeof metadata[key] === 'string' ? metadata[key].trim() : '';
+		if (value) normalized[key] = value;
+	}
+	for (const key of CHAPTER_LIST_FIELDS) {
+		let value = metadata[key];
+		if (typeof value === 'string') value = value.split(',');
+		if (!Array.isArray(value)) continue;
+		const items = [...new Set(value.map(item => String(item ?? '').trim()).filter(Boolean))];
+		if (items.length) normalized[key] = items;
+	}
+	return normalized;
+}
+
+function chapterToJson(chapter, index) {
+	const metadata = normalizeChapterMetadata(chapter);
+	return {
+		chapter_id: index + 1,
+		...(metadata.title && { title: metadata.title }),
+		...(chapter.archived ? { archived: true } : {
+			message_range: {
+				start: chapter.startMsgId,
+				end: chapter.endMsgId
+			}
+		}),
+		...(metadata.time && { time: metadata.time }),
+		...(metadata.characters && { characters: metadata.characters }),
+		...(metadata.locations && { locations: metadata.locations }),
+		...(metadata.tags && { tags: metadata.tags }),
+		summary: chapter.summary
+	};
+}
+
+/**
+ * Build the structured timeline, rolling chapters up into their volumes.
+ * The most recent `volume_expand_recent` volumes are emitted as individual chapters.
+ * @param {number} chapterCount - Only include the first N chapters (used when resummarizing)
+ * @returns {Array<Object>} Timeline entries in chronological order
+ */
+function buildTimelineJson(chapterCount = timelineData.length) {
+	const chapters = timelineData.slice(0, chapterCount);
+	const volumes = timelineVolumes.filter(v => v.endChapter <= chapters.length);
+	const expandRecent = Math.max(0, Number(settings.volume_expand_recent) || 0);
+	const collapsed = volumes.slice(0, Math.max(0, volumes.length - expandRecent));
+
+	const entries = [];
+	let i = 0;
+	while (i < chapters.length) {
+		const volumeIndex = collapsed.findIndex(v => v.startChapter === i + 1);
+		if (volumeIndex >= 0) {
+			const volume = collapsed[volumeIndex];
+			const first = chapters[volume.startChapter - 1];
+			const last = chapters[volume.endChapter - 1];
+			entries.push({
+				volume_id: timelineVolumes.indexOf(volume) + 1,
+				chapter_range: {
+					start: volume.startChapter,
+					end: volume.endChapter
+				},
+				...(first.archived || last.archived ? { archived: true } : {
+					message_range: {
+						start: first.startMsgId,
+						end: last.endMsgId
+					}
+				}),
+				summary: volume.summary
+			});
+			i = volume.endChapter;
+			continue;
+		}
+		entries.push(chapterToJson(chapters[i], i));
+		i++;
+	}
+	return entries;
+}
+
+/**
+ * Get the chapters that make up a volume, for drilling down from a volume summary
+ * @param {number} volumeNumber - 1-based volume number
+ * @returns {Array<Object>|null} Chapter entries, or null if the volume does not exist
+ */
+export function getVolumeChapters(volumeNumber) {
+	if (volumeNumber < 1 || volumeNumber > timelineVolumes.length) {
+		return null;
+	}
+	const volume = timelineVolumes[volumeNumber - 1];
+	const chapters = [];
+	for (let n = volume.startChapter; n <= volume.endChapter; n++) {
+		if (timelineData[n - 1]) chapters.push(chapterToJson(timelineData[n - 1], n - 1));
+	}
+	return chapters;
+}
+
+// {{timeline}} with optional arguments, e.g. {{timeline::markdown::last=5}}
+const TIMELINE_MACRO_REGEX = /{{timeline((?:::[^}]*)?)}}/gi;
+
+/**
+ * Parse the arguments of a {{timeline::...}} macro.
+ * Arguments are separated by "::": a format name (`format=` is optional), `last=N`, or a chapter range
+ * (`chapters=A-B`, or just `A-B`).
+ * @param {string} args - Everything after "timeline" in the macro
+ * @returns {{format: string, last: number|null, from: number|null, to: number|null}}
+ */
+function parseTimelineMacroArgs(args) {
+    const formats = Object.values(TimelineFormat);
+    const options = {
+        format: formats.includes(settings.timeline_format) ? settings.timeline_format : TimelineFormat.JSON,
+        last: null,
+        from: null,
+        to: null,
+    };
+    for (const arg of String(args ?? '').split('::')) {
+        const [key, value] = arg.includes('=') ? arg.split('=').map(part => part.trim().toLowerCase()) : ['', arg.trim().toLowerCase()];
+        if (!value) continue;
+        const range = value.match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+        if ((!key || key === 'format') && formats.includes(value)) {
+            options.format = value;
+        } else if (key === 'last' && /^\d+$/.test(value)) {
+            options.last = Number(value);
+        } else if ((key === 'chapters' || (!key && range?.[2])) && range) {
+            options.from = Number(range[1]);
+            options.to = Number(range[2] ?? range[1]);
+        } else {
+            debug(`Ignoring unknown {{timeline}} argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Keep the timeline entries that overlap the chapters selected by macro arguments
+ * @param {Array<Object|null>} entries - Entries from buildTimelineJson; null entries are skipped
+ * @param {{last: number|null, from: number|null, to: number|null}} options - Parsed macro arguments
+ * @param {number} chapterCount - Number of chapters the entries cover
+ * @returns {Array<Object>}
+ */
+function selectTimelineEntries(entries, { last, from, to }, chapterCount) {
+    let first = 1;
+    let lastChapter = Infinity;
+    if (from !== null) {
+        first = Math.min(from, to);
+        lastChapter = Math.max(from, to);
+    }
+    if (last !== null) {
+        first = Math.max(first, chapterCount - last + 1);
+    }
+    return entries.filter(entry => {
+        if (!entry) return false;
+        const start = entry.chapter_range?.start ?? entry.chapter_id;
+        const end = entry.chapter_range?.end ?? entry.chapter_id;
+        return start <= lastChapter && end >= first;
+    });
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function timelineEntryHeading(entry) {
+    return entry.volume_id !== undefined
+        ? `Volume ${entry.volume_id} (chapters ${entry.chapter_range.start}-${entry.chapter_range.end})`
+        : `Chapter ${entry.chapter_id}`;
+}
+
+function timelineEntryRange(entry) {
+    return entry.archived ? 'archived' : `messages ${entry.message_range.start}-${entry.message_range.end}`;
+}
+
+function timelineEntryToMarkdown(entry) {
+    const details = [
+        entry.time && `Time: ${entry.time}`,
+        entry.characters && `Characters: ${entry.characters.join(', ')}`,
+        entry.locations && `Locations: ${entry.locations.join(', ')}`,
+        entry.tags && `Tags: ${entry.tags.join(', ')}`,
+    ].filter(Boolean);
+    const lines = [`- **${timelineEntryHeading(entry)}${entry.title ? `: ${entry.title}` : ''}** (${timelineEntryRange(entry)})`];
+    if (details.length) lines.push(`  ${details.join(' | ')}`);
+    if (entry.summary) lines.push(`  ${entry.summary}`);
+    return lines.join('\n');
+}
+
+function timelineEntryToXml(entry) {
+    const isVolume = entry.volume_id !== undefined;
+    const tag = isVolume ? 'volume' : 'chapter';
+    const attributes = [
+        `id="${isVolume ? entry.volume_id : entry.chapter_id}"`,
+        isVolume && `chapters="${entry.chapter_range.start}-${entry.chapter_range.end}"`,
+        entry.archived ? 'archived="true"' : `messages="${entry.message_range.start}-${entry.message_range.end}"`,
+    ].filter(Boolean);
+    const children = ['title', 'time', 'characters', 'locations', 'tags', 'summary']
+        .filter(key => entry[key])
+        .map(key => `<${key}>${escapeXml(Array.isArray(entry[key]) ? entry[key].join(', ') : entry[key])}</${key}>`);
+    return [`<${tag} ${attributes.join(' ')}>`, ...children, `</${tag}>`].join('\n');
+}
+
+function timelineEntryToLine(entry) {
+    const text = [entry.title, entry.summary].filter(Boolean).join(' - ');
+    return `${timelineEntryHeading(entry)} (${timelineEntryRange(entry)}): ${text}`;
+}
+
+/**
+ * Render timeline entries in one of the {{timeline}} formats
+ * @param {Array<Object>} entries - Entries from buildTimelineJson
+ * @param {string} format - TimelineFormat
+ * @returns {string}
+ */
+function formatTimeline(entries, format) {
+    switch (format) {
+        case TimelineFormat.COMPACT:
+            return JSON.stringify(entries);
+        case TimelineFormat.MARKDOWN:
+            return entries.map(timelineEntryToMarkdown).join('\n');
+        case TimelineFormat.XML:
+            return entries.map(timelineEntryToXml).join('\n');
+        case TimelineFormat.LINES:
+            return entries.map(timelineEntryToLine).join('\n');
+        default:
+            return JSON.stringify(entries, null, 2);
+    }
+}
+
+/**
+ * Replace every {{timeline}} and {{timeline::...}} macro in a prompt
+ * @param {string} text - Prompt text
+ * @param {Array<Object|null>} entries - Timeline entries to draw from
+ * @param {number} chapterCount - Number of chapters the entries cover
+ * @returns {string}
+ */
+function replaceTimelineMacros(text, entries, chapterCount) {
+    if (!text) return text;
+    return text.replace(TIMELINE_MACRO_REGEX, (_match, args) => {
+        const options = parseTimelineMacroArgs(args);
+        return formatTimeline(selectTimelineEntries(entries, options, chapterCount), options.format);
+    });
+}
+
+/**
+ * Replace the {{timeline}} macros in one of the extension's own prompts
+ * @param {string} text - Prompt text
+ * @param {number} [chapterCount] - Only include the first N chapters (used when resummarizing)
+ * @returns {string}
+ */
+function substituteTimeline(text, chapterCount = timelineData.length) {
+    return replaceTimelineMacros(text, buildTimelineJson(chapterCount), chapterCount);
+}
+
 /**
  * Get the max tokens setting for the current connection or a specific profile
  * @param {string} profileId - The connection profile ID (optional)
@@ -429,6 +721,42 @@ async function getMaxTokensForProfile(profileId) {
 	return amount_gen || 2048;
 }
 
+/**
+ * Get the context size of the current connection or a specific profile
+ * @param {string} profileId - The connection profile ID (optional)
+ * @returns {number} The context size in tokens
+ */
+function getContextSizeForProfile(profileId) {
+	const fallback = Number(getContext().maxContext) || 4096;
+	if (!profileId || profileId === 'current') {
+		return main_api === 'openai' ? (Number(oai_settings.openai_max_context) || fallback) : fallback;
+	}
+
+	try {
+		const profiles = extension_settings?.connectionManager?.profiles || [];
+		const profile = profiles.find(p => p.id === profileId);
+		if (!profile?.preset) {
+			return fallback;
+		}
+
+		// Claude and other chat completion sources use the 'openai' preset manager
+		const isChatCompletion = CHAT_COMPLETION_APIS.includes(profile.api) || profile.api === 'openai';
+		const presetManager = getPresetManager(isChatCompletion ? 'openai' : profile.api);
+		if (!presetManager) {
+			return fallback;
+		}
+
+		if (isChatCompletion) {
+			const presetIndex = presetManager.getAllPresets().indexOf(profile.preset);
+			return Number(openai_settings[presetIndex]?.openai_max_context) || fallback;
+		}
+		return Number(presetManager.getPresetSettings(profile.preset)?.max_length) || fallback;
+	} catch (error) {
+		debug('Error getting context size for profile:', error);
+		return fallback;
+	}
+}
+
 /**
  * Build override payload for ConnectionManagerRequestService based on profile API
  * @param {string} profileId - The connection profile ID
@@ -469,6 +797,31 @@ function buildOverridePayload(profileId, maxTokens) {
 	return {};
 }
 
+/**
+ * Max tokens and override payload for a request sent through a connection profile
+ * @param {string} profileId - The connection profile ID
+ * @returns {Promise<{maxTokens: number, overridePayload: object}>}
+ */
+export async function getProfileRequestOptions(profileId) {
+	const maxTokens = await getMaxTokensForProfile(profileId);
+	const overridePayload = buildOverridePayload(profileId, maxTokens);
+	const reasoningEffort = getReasoningEffort(profileId);
+	if (reasoningEffort !== undefined) overridePayload.reasoning_effort = reasoningEffort;
+	const includeReasoning = getIncludeReasoning(profileId);
+	if (includeReasoning !== undefined) overridePayload.include_reasoning = includeReasoning;
+	return { maxTokens, overridePayload };
+}
+
+/**
+ * Fill in the macros of an agent session prompt, including {{timeline}} with its format and range arguments
+ * @param {string} text - Prompt text
+ * @returns {string}
+ */
+export function substituteAgentPrompt(text) {
+	const context = getContext();
+	return context.substituteParams(substituteTimeline(text || ''), context.name1, context.name2);
+}
+
 function bookForChar(characterId) {
 	debug('getting books for character', characterId);
 	let char_data, char_file;
@@ -489,23 +842,8 @@ function bookForChar(characterId) {
 // Initialize the timeline macro
 export function initTimelineMacro() {
 	MacrosParser.registerMacro('timeline', () => {
-		if (!timelineData || timelineData.length === 0) return '[]';
-
-		// Return structured JSON format
-		const jsonTimeline = timelineData.map((chapter, index) => {
-			return {
-				chapter_id: index + 1,
-				message_range: {
-					start: chapter.startMsgId,
-					end: chapter.endMsgId
-				},
-				summary: chapter.summary
-			};
-		});
-
-		// Return as JSON string (MacrosParser will handle the stringification)
-		return jsonTimeline;
-	}, 'A timeline of summarized chapters from the chat in JSON format');
+		return substituteTimeline('{{timeline}}');
+	}, 'A timeline of summarized chapters (and volumes of older chapters) from the chat, in the format chosen in the settings');
 
 	// Register the chapter macro - returns all chapter contents with headers
 	MacrosParser.registerMacro('chapter', async () => {
@@ -606,7 +944,7 @@ const TIMELINE_INJECT_KEY = 'TIMELINE_MEMORY_INJECT';
 
 /**
  * Check if timeline injection should be active
- * Returns false during internal generations (arc analyzer, queries), lore management, or agentic timeline fill
+ * Returns false during internal generations (arc analyzer, queries)
  * @returns {boolean}
  */
 function shouldInjectTimeline() {
@@ -616,69 +954,216 @@ function shouldInjectTimeline() {
         return false;
     }
 
-    // Don't inject during lore management mode
-    if (isLoreManagementActive()) {
-        debug('Timeline injection skipped: lore management active');
-        return false;
-    }
+    return true;
+}
 
-    // Don't inject during agentic timeline fill mode
-    if (isAgenticTimelineFillActive()) {
-        debug('Timeline injection skipped: agentic timeline fill active');
-        return false;
-    }
+// Compression levels for timeline entries that do not fit the injection budget
+const EntryLevel = {
+    FULL: 0,
+    SUMMARY_ONLY: 1,
+    TITLE_ONLY: 2,
+    DROPPED: 3,
+};
+// Number of recent messages that timeline responses are ranked against
+const INJECTION_RELEVANCE_MESSAGES = 5;
 
-    return true;
+let injectionRevision = 0;
+let injectionReport = null;
+
+/**
+ * Token count and trimming of the last injected prompt, for the settings preview
+ * @returns {Object|null} Null when injection is off
+ */
+export function getInjectionReport() {
+    return injectionReport;
+}
+
+async function setInjectionReport(report) {
+    injectionReport = report;
+    const { renderInjectionPreview } = await import('./settings.js');
+    renderInjectionPreview();
 }
 
 /**
- * Update the timeline injection prompt
- * Called when settings change or timeline data is updated
+ * Shorten a timeline entry to a compression level
+ * @param {Object} entry - Chapter or volume entry from buildTimelineJson
+ * @param {number} level - EntryLevel
+ * @returns {Object|null} The shortened entry, or null when dropped
  */
-export function updateTimelineInjection() {
-    // Clear injection if disabled or if lore management is active
-    if (!settings.inject_enabled) {
-        setExtensionPrompt(TIMELINE_INJECT_KEY, '', extension_prompt_types.IN_CHAT, 0);
-        debug('Timeline injection disabled');
-        return;
-    }
+function compressTimelineEntry(entry, level) {
+    if (level === EntryLevel.FULL) return entry;
+    if (level === EntryLevel.DROPPED) return null;
+    const { chapter_id, volume_id, chapter_range, archived, message_range, title, summary } = entry;
+    return {
+        ...(chapter_id !== undefined && { chapter_id }),
+        ...(volume_id !== undefined && { volume_id, chapter_range }),
+        ...(archived ? { archived } : { message_range }),
+        ...(level === EntryLevel.SUMMARY_ONLY ? { summary } : { title }),
+    };
+}
 
-    // Clear injection during lore management mode
-    if (isLoreManagementActive()) {
-        setExtensionPrompt(TIMELINE_INJECT_KEY, '', extension_prompt_types.IN_CHAT, 0);
-        debug('Timeline injection cleared: lore management active');
-        return;
-    }
+/**
+ * Split the timeline fill results into units that can be dropped one by one, least relevant first.
+ * Static results are dropped whole; an agentic answer is dropped paragraph by paragraph.
+ * @returns {{agentic: boolean, units: Array<{value: *, text: string, score: number, kept: boolean}>}}
+ */
+function getResponseUnits() {
+    const chat = getContext().chat ?? [];
+    const recent = chat.filter(message => !message.is_system).slice(-INJECTION_RELEVANCE_MESSAGES);
+    const recentTerms = new Set(tokenize(recent.map(message => message.mes).join('\n')));
+    const score = text => {
+        const terms = new Set(tokenize(text));
+        return [...terms].filter(term => recentTerms.has(term)).length;
+    };
 
-    // Clear injection during agentic timeline fill mode
-    if (isAgenticTimelineFillActive()) {
-        setExtensionPrompt(TIMELINE_INJECT_KEY, '', extension_prompt_types.IN_CHAT, 0);
-        debug('Timeline injection cleared: agentic timeline fill active');
-        return;
+    const results = Array.isArray(timelineFillResults) ? timelineFillResults : [];
+    if (results.length === 1 && results[0].mode === 'agentic') {
+        const paragraphs = String(results[0].response || '').split(/\n\s*\n/).filter(paragraph => paragraph.trim());
+        return { agentic: true, units: paragraphs.map(paragraph => ({ value: paragraph, text: paragraph, score: score(paragraph), kept: true })) };
     }
+    return {
+        agentic: false,
+        units: results.map(result => ({
+            value: result,
+            text: JSON.stringify(result),
+            // Failed and empty answers go first
+            score: result.error || !result.response ? -1 : score(`${result.query} ${result.response}`),
+            kept: true,
+        })),
+    };
+}
 
+/**
+ * Render the injection prompt template
+ * @param {Array<Object|null>} entries - Timeline entries, null for dropped ones
+ * @param {{agentic: boolean, units: Array<Object>}} responses - Timeline responses from getResponseUnits
+ * @returns {string}
+ */
+function renderInjectionPrompt(entries, responses) {
     const context = getContext();
-
-    // Build the injection prompt by evaluating macros
-    let prompt = settings.inject_prompt || '';
-
-    // Replace timeline-specific macros
-    const timelineContext = evaluateMacros('{{timeline}}', {});
-    const timelineResponsesContext = evaluateMacros('{{timelineResponses}}', {});
+    const kept = responses.units.filter(unit => unit.kept).map(unit => unit.value);
+    const timelineResponsesStr = responses.agentic ? kept.join('\n\n') : JSON.stringify(kept);
     const lastMessageId = evaluateMacros('{{lastMessageId}}', {});
     const firstIncludedMessageId = evaluateMacros('{{firstIncludedMessageId}}', {});
 
-    // Convert to strings if they're arrays/objects
-    const timelineStr = typeof timelineContext === 'string' ? timelineContext : JSON.stringify(timelineContext, null, 2);
-    const timelineResponsesStr = typeof timelineResponsesContext === 'string' ? timelineResponsesContext : JSON.stringify(timelineResponsesContext, null, 2);
-
-    prompt = prompt.replace(/{{timeline}}/gi, timelineStr);
+    let prompt = settings.inject_prompt || '';
+    prompt = replaceTimelineMacros(prompt, entries, timelineData.length);
     prompt = prompt.replace(/{{timelineResponses}}/gi, timelineResponsesStr);
     prompt = prompt.replace(/{{lastMessageId}}/gi, String(lastMessageId));
     prompt = prompt.replace(/{{firstIncludedMessageId}}/gi, String(firstIncludedMessageId));
 
     // Substitute standard params like {{char}}, {{user}}, etc.
-    prompt = context.substituteParams(prompt, context.name1, context.name2);
+    return context.substituteParams(prompt, context.name1, context.name2);
+}
+
+/**
+ * Build the injection prompt, trimming it to `inject_token_budget` when set.
+ * Oldest chapters lose their metadata first, then the least relevant timeline responses are dropped,
+ * then the oldest chapters are cut down to their titles, and finally the oldest chapters are dropped.
+ * @returns {Promise<{prompt: string, report: Object}>}
+ */
+async function buildInjectionPrompt() {
+    const context = getContext();
+    const budget = Math.max(0, Number(settings.inject_token_budget) || 0);
+    const fullEntries = timelineData.length ? buildTimelineJson() : [];
+    const levels = fullEntries.map(() => EntryLevel.FULL);
+    const responses = getResponseUnits();
+    const currentEntries = () => fullEntries.map((entry, i) => compressTimelineEntry(entry, levels[i]));
+
+    let prompt = renderInjectionPrompt(fullEntries, responses);
+    // Without a budget nothing is trimmed, so the prompt is not counted
+    const originalTokens = budget > 0 ? await context.getTokenCountAsync(prompt) : null;
+    let tokens = originalTokens;
+
+    if (budget > 0 && tokens > budget) {
+        // Only entries that the template's {{timeline}} macros select are worth trimming
+        const macroOptions = [...(settings.inject_prompt || '').matchAll(TIMELINE_MACRO_REGEX)].map(match => parseTimelineMacroArgs(match[1]));
+        const selected = new Set(macroOptions.flatMap(options => selectTimelineEntries(fullEntries, options, timelineData.length)));
+        const entryFormat = macroOptions[0]?.format ?? TimelineFormat.JSON;
+
+        const steps = [];
+        fullEntries.forEach((entry, index) => {
+            if (!selected.has(entry)) return;
+            if (Object.keys(compressTimelineEntry(entry, EntryLevel.SUMMARY_ONLY)).length < Object.keys(entry).length) {
+                steps.push({ index, level: EntryLevel.SUMMARY_ONLY });
+            }
+        });
+        [...responses.units].sort((a, b) => a.score - b.score).forEach(unit => steps.push({ unit }));
+        // Untitled entries have nothing to shrink to, so they are dropped in the title pass
+        fullEntries.forEach((entry, index) => {
+            if (selected.has(entry)) steps.push({ index, level: entry.title ? EntryLevel.TITLE_ONLY : EntryLevel.DROPPED });
+        });
+        fullEntries.forEach((entry, index) => {
+            if (selected.has(entry) && entry.title) steps.push({ index, level: EntryLevel.DROPPED });
+        });
+
+        // Estimate the savings per step from the changed part only, and recount the whole prompt once the estimate fits
+        const partTokens = async (step) => {
+            if (step.unit) return step.unit.kept ? context.getTokenCountAsync(step.unit.text) : 0;
+            const entry = compressTimelineEntry(fullEntries[step.index], levels[step.index]);
+            return entry ? context.getTokenCountAsync(formatTimeline([entry], entryFormat)) : 0;
+        };
+        let estimate = tokens;
+        for (const step of steps) {
+            const before = await partTokens(step);
+            if (step.unit) step.unit.kept = false;
+            else levels[step.index] = step.level;
+            estimate -= before - await partTokens(step);
+            if (estimate > budget) continue;
+
+            prompt = renderInjectionPrompt(currentEntries(), responses);
+            tokens = await context.getTokenCountAsync(prompt);
+            if (tokens <= budget) break;
+            estimate = tokens;
+        }
+        prompt = renderInjectionPrompt(currentEntries(), responses);
+        tokens = await context.getTokenCountAsync(prompt);
+    }
+
+    const entryLabel = entry => entry.volume_id !== undefined ? `volume ${entry.volume_id}` : `chapter ${entry.chapter_id}`;
+    const trimmedAt = level => fullEntries.filter((_entry, i) => levels[i] === level).map(entryLabel);
+    const report = {
+        budget,
+        originalTokens,
+        tokens,
+        characters: prompt.length,
+        summaryOnly: trimmedAt(EntryLevel.SUMMARY_ONLY),
+        titleOnly: trimmedAt(EntryLevel.TITLE_ONLY),
+        dropped: trimmedAt(EntryLevel.DROPPED),
+        responsesDropped: responses.units.filter(unit => !unit.kept).length,
+        responsesTotal: responses.units.length,
+        agenticResponse: responses.agentic,
+    };
+    return { prompt, report };
+}
+
+/**
+ * Update the timeline injection prompt
+ * Called when settings change or timeline data is updated. Failures are logged rather than thrown, since most
+ * callers do not wait for the update.
+ */
+export async function updateTimelineInjection() {
+    try {
+        await applyTimelineInjection();
+    } catch (err) {
+        console.error('Failed to update the timeline injection:', err);
+    }
+}
+
+async function applyTimelineInjection() {
+    // Any update still counting tokens is now out of date
+    const revision = ++injectionRevision;
+
+    // Clear injection if disabled or if lore management is active
+    if (!settings.inject_enabled) {
+        setExtensionPrompt(TIMELINE_INJECT_KEY, '', extension_prompt_types.IN_CHAT, 0);
+        debug('Timeline injection disabled');
+        await setInjectionReport(null);
+        return;
+    }
+
+    const { prompt, report } = await buildInjectionPrompt();
+    if (revision !== injectionRevision) return;
 
     // Set the extension prompt
     const depth = settings.inject_depth || 0;
@@ -697,7 +1182,8 @@ export function updateTimelineInjection() {
         injectionFilter
     );
 
-    debug(`Timeline injection updated: depth=${depth}, role=${role}, length=${prompt.length}`);
+    debug(`Timeline injection updated: depth=${depth}, role=${role}, tokens=${report.tokens}`);
+    await setInjectionReport(report);
 }
 
 // Load timeline data from chat metadata
@@ -708,6 +1194,11 @@ export function loadTimelineData() {
 	} else {
 		timelineData = [];
 	}
+	if (Array.isArray(context.chatMetadata?.timelineVolumes)) {
+		timelineVolumes = context.chatMetadata.timelineVolumes;
+	} else {
+		timelineVolumes = [];
+	}
 	// Also load timeline fill results from metadata
 	if (Array.isArray(context.chatMetadata?.timelineFillResults)) {
 		timelineFillResults = context.chatMetadata.timelineFillResults;
@@ -725,6 +1216,7 @@ function saveTimelineData() {
 		context.chatMetadata = {};
 	}
 	context.chatMetadata.timeline = timelineData;
+	context.chatMetadata.timelineVolumes = timelineVolumes;
 	context.saveMetadata();
 
 	// Refresh the summaries list in the settings panel
@@ -746,12 +1238,15 @@ async function refreshSummariesList() {
 }
 
 // Add a chapter to the timeline
-function addChapterToTimeline(summary, startMsgId, endMsgId) {
+function addChapterToTimeline(summary, startMsgId, endMsgId, metadata = {}) {
 	const newChapter = {
-		summary: summary,
 		startMsgId: startMsgId,
-		endMsgId: endMsgId
+		endMsgId: endMsgId,
+		endAnchor: anchorFor(getContext().chat[endMsgId]),
+		...normalizeChapterMetadata(metadata)
 	};
+	setChapterSummary(newChapter, summary, RevisionSource.SUMMARIZE, commandArgs?.profile || settings.profile);
+	newChapter.contentHash = chapterContentHash(newChapter);
 
 	timelineData.push(newChapter);
 	saveTimelineData();
@@ -841,44 +1336,566 @@ export function migrateTimelineData() {
 // Remove a chapter from the timeline
 export function removeChapterFromTimeline(endMsgId) {
 	// Find the chapter with this endMsgId
-	const chapterIndex = timelineData.findIndex(chapter => chapter.endMsgId === endMsgId);
+	const chapterIndex = timelineData.findIndex(chapter => !chapter.archived && chapter.endMsgId === endMsgId);
 
 	if (chapterIndex === -1) {
 		debug('No chapter found with endMsgId:', endMsgId);
 		return false;
 	}
 
+	return removeChapterAt(chapterIndex);
+}
+
+/**
+ * Remove a chapter by its number. Unlike removeChapterFromTimeline this also works for archived chapters.
+ * The chapter end marker in the chat is cleared as well.
+ * @param {number} chapterNumber - 1-based chapter number
+ * @returns {Object|false} The removed chapter, or false if it does not exist
+ */
+export function removeChapterByNumber(chapterNumber) {
+	if (chapterNumber < 1 || chapterNumber > timelineData.length) {
+		return false;
+	}
+	const chapter = timelineData[chapterNumber - 1];
+	const chat = getContext().chat;
+	if (!chapter.archived && chat?.[chapter.endMsgId]?.extra?.rmr_chapter) {
+		chat[chapter.endMsgId].extra.rmr_chapter = false;
+		getContext().saveChat();
+		const button = $(`.mes[mesid="${chapter.endMsgId}"] .rmr-button.rmr-chapter-point`);
+		if (button.length) {
+			toggleChapterHighlight(button, chapter.endMsgId);
+		}
+	}
+	return removeChapterAt(chapterNumber - 1);
+}
+
+function removeChapterAt(chapterIndex) {
 	// Get the chapter before removing it
 	const removedChapter = timelineData[chapterIndex];
 
-	// If hide_chapter is enabled, unhide the messages from this chapter
-	if (settings.hide_chapter) {
-		const chat = getContext().chat;
-		const startIdx = removedChapter.startMsgId === 0 ? 0 : removedChapter.startMsgId + 1;
-
-		// Unhide all messages in the chapter range
-		for (let i = startIdx; i <= removedChapter.endMsgId; i++) {
-			if (chat[i] && chat[i].is_system === true) {
-				// Unhide the message
-				chat[i].is_system = false;
-
-				// Also update the visible message element
-				const mes_elem = $(`.mes[mesid="${i}"]`);
-				if (mes_elem.length) {
-					mes_elem.attr('is_system', 'false');
+	unhideChapterMessages(removedChapter);
+
+	// Remove the chapter from timeline
+	timelineData.splice(chapterIndex, 1);
+	// A volume that lost a chapter no longer matches its summary, so dissolve it; shift the ones after it
+	const removedNumber = chapterIndex + 1;
+	timelineVolumes = timelineVolumes
+		.filter(v => removedNumber < v.startChapter || removedNumber > v.endChapter)
+		.map(v => v.startChapter > removedNumber
+			? { ...v, startChapter: v.startChapter - 1, endChapter: v.endChapter - 1 }
+			: v);
+	saveTimelineData();
+	debug('Removed chapter from timeline:', removedChapter);
+
+	return removedChapter;
+}
+
+// If hide_chapter is enabled, unhide the messages of a chapter that is going away
+function unhideChapterMessages(chapter) {
+	if (!settings.hide_chapter || chapter.archived) {
+		return;
+	}
+
+	const chat = getContext().chat;
+	const startIdx = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
+
+	// Unhide all messages in the chapter range
+	for (let i = startIdx; i <= chapter.endMsgId; i++) {
+		if (chat[i] && chat[i].is_system === true) {
+			// Unhide the message
+			chat[i].is_system = false;
+			if (chat[i].extra) delete chat[i].extra.rmr_hidden;
+
+			// Also update the visible message element
+			const mes_elem = $(`.mes[mesid="${i}"]`);
+			if (mes_elem.length) {
+				mes_elem.attr('is_system', 'false');
+			}
+		}
+	}
+
+	getContext().saveChat();
+}
+
+// ---- Branches and checkpoints ----
+
+export const BranchRepair = {
+	TRUNCATE: 'truncate',
+	ARCHIVE: 'archive',
+	MARKERS: 'markers',
+};
+
+// Chat for which the user chose to ignore detached chapters
+let branchCheckDismissed = null;
+
+/**
+ * Find chapters that end past the last message of the chat, e.g. after opening a branch or
+ * checkpoint that was created in the middle of them
+ * @returns {number[]} 1-based chapter numbers
+ */
+export function findDetachedChapters() {
+	const chat = getContext().chat ?? [];
+	const detached = [];
+	timelineData.forEach((chapter, index) => {
+		if (!chapter.archived && chapter.endMsgId >= chat.length) detached.push(index + 1);
+	});
+	return detached;
+}
+
+/**
+ * Remove every chapter that ends past the last message of the chat
+ * @returns {number} Number of chapters removed
+ */
+export function truncateDetachedChapters() {
+	const detached = findDetachedChapters();
+	for (const chapterNumber of [...detached].reverse()) {
+		removeChapterAt(chapterNumber - 1);
+	}
+	return detached.length;
+}
+
+/**
+ * Keep chapters that end past the last message of the chat as archived, summary-only chapters
+ * @returns {number} Number of chapters archived
+ */
+export function archiveDetachedChapters() {
+	const context = getContext();
+	const source = context.chatMetadata?.main_chat || context.getCurrentChatId();
+	const detached = findDetachedChapters();
+
+	for (const chapterNumber of detached) {
+		const chapter = timelineData[chapterNumber - 1];
+		// Messages before the branch point belong to the open chapter again
+		unhideChapterMessages(chapter);
+		timelineData[chapterNumber - 1] = {
+			...chapter,
+			startMsgId: null,
+			endMsgId: null,
+			archived: true,
+			source: { chat: source, startMsgId: chapter.startMsgId, endMsgId: chapter.endMsgId },
+		};
+	}
+
+	if (detached.length) saveTimelineData();
+	return detached.length;
+}
+
+/**
+ * Rebuild chapter ranges from the chapter end markers in the chat.
+ * Chapters whose end message has no marker are removed, and each remaining chapter starts where the previous one ended.
+ * @returns {{removed: number, adjusted: number}}
+ */
+export function reconcileTimelineWithMarkers() {
+	const chat = getContext().chat ?? [];
+	let previousEnd = 0;
+	let removed = 0;
+	let adjusted = 0;
+
+	for (let i = 0; i < timelineData.length;) {
+		const chapter = timelineData[i];
+		if (chapter.archived) {
+			i++;
+			continue;
+		}
+		if (!chat[chapter.endMsgId]?.extra?.rmr_chapter) {
+			removeChapterAt(i);
+			removed++;
+			continue;
+		}
+		if (chapter.startMsgId !== previousEnd) {
+			chapter.startMsgId = previousEnd;
+			adjusted++;
+		}
+		previousEnd = chapter.endMsgId;
+		i++;
+	}
+
+	if (adjusted) saveTimelineData();
+	debug(`Reconciled timeline with chapter markers: ${removed} removed, ${adjusted} adjusted`);
+	return { removed, adjusted };
+}
+
+/**
+ * Apply one of the branch repairs
+ * @param {string} mode - A BranchRepair value
+ * @returns {string} Description of what changed
+ */
+export function repairDetachedChapters(mode) {
+	switch (mode) {
+		case BranchRepair.TRUNCATE:
+			return `Removed ${truncateDetachedChapters()} chapters past the end of the chat.`;
+		case BranchRepair.ARCHIVE:
+			return `Archived ${archiveDetachedChapters()} chapters past the end of the chat.`;
+		case BranchRepair.MARKERS: {
+			const { removed, adjusted } = reconcileTimelineWithMarkers();
+			return `Removed ${removed} chapters without a chapter marker and adjusted ${adjusted} chapter ranges.`;
+		}
+		default:
+			throw new Error(`Unknown repair mode "${mode}". Use truncate, archive or markers.`);
+	}
+}
+
+/**
+ * On chat load, offer to repair chapters that point past the end of the chat.
+ * This happens when a branch or checkpoint is created before the last chapter end, since the timeline is copied with it.
+ * @param {Object} options
+ * @param {boolean} [options.force] - Ask even if the user dismissed the prompt for this chat
+ * @returns {Promise<string>} Description of the repair, or empty string if nothing was done
+ */
+export async function checkTimelineBranch({ force = false } = {}) {
+	const context = getContext();
+	const chatId = context.getCurrentChatId();
+	const detached = findDetachedChapters();
+	if (!detached.length || (!force && branchCheckDismissed === chatId)) {
+		return '';
+	}
+
+	const origin = context.chatMetadata?.main_chat
+		? `This chat is a branch or checkpoint of "${context.chatMetadata.main_chat}".`
+		: 'This chat is shorter than its timeline.';
+	const content = $('<div></div>')
+		.append($('<h3></h3>').text('Timeline Memory'))
+		.append($('<p></p>').text(`${origin} ${detached.length === 1 ? `Chapter ${detached[0]} ends` : `Chapters ${detached[0]}-${detached[detached.length - 1]} end`} after the last message (${context.chat.length - 1}).`))
+		.append($('<p></p>').text('Truncate removes these chapters, Archive keeps them as summary-only chapters, and Reconcile rebuilds all chapter ranges from the chapter markers in this chat.'));
+
+	const result = await context.callGenericPopup(content, context.POPUP_TYPE.TEXT, '', {
+		okButton: 'Truncate',
+		cancelButton: 'Ignore',
+		customButtons: [
+			{ text: 'Archive', result: 2 },
+			{ text: 'Reconcile', result: 3 },
+		],
+	});
+
+	const mode = { 1: BranchRepair.TRUNCATE, 2: BranchRepair.ARCHIVE, 3: BranchRepair.MARKERS }[result];
+	if (!mode) {
+		branchCheckDismissed = chatId;
+		return '';
+	}
+
+	const message = repairDetachedChapters(mode);
+	resetMessageButtons();
+	toastr.success(message, 'Timeline Memory');
+	return message;
+}
+
+// ---- Anchors ----
+
+// Message objects in chat order as of the last re-anchoring, used to map old message IDs to new ones
+let chatSnapshot = [];
+
+/**
+ * Get the stable anchor of a message, assigning one if needed.
+ * Chapters remember the anchor of their end message so they can find it again after messages move.
+ * @param {Object} message - Chat message
+ * @returns {string|undefined}
+ */
+function anchorFor(message) {
+	if (!message) return undefined;
+	message.extra = message.extra || {};
+	if (!message.extra.rmr_anchor) {
+		message.extra.rmr_anchor = uuidv4();
+	}
+	return message.extra.rmr_anchor;
+}
+
+// Remember the current message order, e.g. after loading a chat
+export function snapshotChatOrder() {
+	chatSnapshot = [...(getContext().chat ?? [])];
+}
+
+function findChapterAt(messageId) {
+	return timelineData.find(chapter => !chapter.archived
+		&& messageId >= (chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1)
+		&& messageId <= chapter.endMsgId);
+}
+
+/**
+ * Move chapter ranges along with their messages after messages were deleted, inserted, edited or swiped.
+ * Chapters keep pointing at the same end message; if that message was deleted, the chapter ends at its
+ * last remaining message instead, and a chapter with no messages left is archived.
+ * Chapters whose messages changed are flagged with `contentChanged`.
+ * @param {number} [editedMessageId] - Message that was edited or swiped, if known
+ * @returns {boolean} Whether the timeline changed
+ */
+export function reanchorTimeline(editedMessageId) {
+	if (isInternalGeneration || !timelineData?.length) {
+		snapshotChatOrder();
+		return false;
+	}
+
+	const context = getContext();
+	const chat = context.chat ?? [];
+	const newIndex = new Map(chat.map((message, index) => [message, index]));
+	const anchorIndex = new Map();
+	chat.forEach((message, index) => {
+		if (message?.extra?.rmr_anchor) anchorIndex.set(message.extra.rmr_anchor, index);
+	});
+	const previous = chatSnapshot;
+	const previousSet = new Set(previous);
+	let timelineChanged = false;
+	let chatChanged = false;
+
+	const flag = (chapter) => {
+		if (chapter && !chapter.contentChanged) {
+			chapter.contentChanged = true;
+			timelineChanged = true;
+		}
+	};
+
+	// Flag chapters that lost messages, using the ranges as they were before the change
+	if (previous.length) {
+		previous.forEach((message, oldId) => {
+			if (!newIndex.has(message)) flag(findChapterAt(oldId));
+		});
+	}
+
+	// Work out the new end of every chapter
+	const oldEnds = new Map();
+	const anchored = [];
+	for (const chapter of timelineData) {
+		// Chapters past the end of the previous chat belong to a branch; checkTimelineBranch handles them
+		if (chapter.archived || chapter.endMsgId >= previous.length) continue;
+		const oldEnd = chapter.endMsgId;
+		const oldStart = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
+		let newEnd = chapter.endAnchor ? (anchorIndex.get(chapter.endAnchor) ?? -1) : oldEnd;
+
+		if (newEnd === -1 && previous.length) {
+			// The end message was deleted: end at the last message of the chapter that still exists
+			for (let id = oldEnd - 1; id >= oldStart; id--) {
+				if (newIndex.has(previous[id])) {
+					newEnd = newIndex.get(previous[id]);
+					break;
 				}
 			}
+			if (newEnd !== -1) {
+				chat[newEnd].extra = chat[newEnd].extra || {};
+				chat[newEnd].extra.rmr_chapter = true;
+				chapter.endAnchor = anchorFor(chat[newEnd]);
+				chatChanged = true;
+			}
+		}
+
+		oldEnds.set(oldEnd, newEnd);
+		anchored.push(chapter);
+		if (newEnd === -1) {
+			// Every message of the chapter is gone; keep its summary
+			Object.assign(chapter, {
+				startMsgId: null,
+				endMsgId: null,
+				archived: true,
+				source: { chat: context.getCurrentChatId(), startMsgId: chapter.startMsgId, endMsgId: oldEnd },
+			});
+			timelineChanged = true;
+		} else if (newEnd !== oldEnd) {
+			chapter.endMsgId = newEnd;
+			timelineChanged = true;
 		}
+	}
 
+	// Starts follow the end of the chapter they pointed at
+	for (const chapter of anchored) {
+		if (chapter.archived || chapter.startMsgId === 0) continue;
+		let newStart = oldEnds.get(chapter.startMsgId);
+		if (newStart === undefined || newStart === -1) {
+			newStart = newIndex.get(previous[chapter.startMsgId]) ?? chapter.startMsgId;
+		}
+		if (newStart !== chapter.startMsgId) {
+			chapter.startMsgId = newStart;
+			timelineChanged = true;
+		}
+	}
+
+	// Flag chapters that gained inserted messages or had a message edited
+	if (previous.length) {
+		chat.forEach((message, id) => {
+			if (!previousSet.has(message)) flag(findChapterAt(id));
+		});
+	}
+	if (Number.isInteger(editedMessageId)) {
+		flag(findChapterAt(editedMessageId));
+	}
+
+	snapshotChatOrder();
+	if (chatChanged) context.saveChat();
+	if (timelineChanged) {
+		saveTimelineData();
+		resetMessageButtons();
+		debug('Re-anchored timeline:', timelineData);
+	}
+	return timelineChanged;
+}
+
+/**
+ * Hash of the messages a chapter covers, stored when it is summarized so later edits can be detected
+ * @param {Object} chapter - Timeline chapter
+ * @returns {number|null} Null if the chapter's messages are not in this chat
+ */
+function chapterContentHash(chapter) {
+	const chat = getContext().chat ?? [];
+	if (chapter.archived || chapter.endMsgId >= chat.length) return null;
+	const start = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
+	return getStringHash(chat.slice(start, chapter.endMsgId + 1).map(message => `${message.name}: ${message.mes}`).join('\n'));
+}
+
+/**
+ * Whether a chapter's messages changed since it was summarized.
+ * Chapters summarized before content hashes were stored rely on the flag set by reanchorTimeline.
+ * @param {Object} chapter - Timeline chapter
+ * @returns {boolean}
+ */
+export function isChapterStale(chapter) {
+	if (!chapter || chapter.archived) return false;
+	if (chapter.contentHash === undefined || chapter.contentHash === null) return !!chapter.contentChanged;
+	const hash = chapterContentHash(chapter);
+	return hash !== null && hash !== chapter.contentHash;
+}
+
+/**
+ * Numbers of the chapters whose summaries are stale
+ * @returns {number[]}
+ */
+export function getStaleChapters() {
+	loadTimelineData();
+	return timelineData
+		.map((chapter, index) => isChapterStale(chapter) ? index + 1 : null)
+		.filter(number => number !== null);
+}
+
+/**
+ * On chat load, give chapters from before anchors existed the anchor of their end message
+ */
+export function initChapterAnchors() {
+	const chat = getContext().chat ?? [];
+	let changed = false;
+	for (const chapter of timelineData) {
+		if (chapter.archived || chapter.endAnchor) continue;
+		const message = chat[chapter.endMsgId];
+		// Only trust the stored range if the end message is still marked
+		if (!message?.extra?.rmr_chapter) continue;
+		chapter.endAnchor = anchorFor(message);
+		changed = true;
+	}
+	if (changed) {
 		getContext().saveChat();
+		saveTimelineData();
 	}
+	snapshotChatOrder();
+}
 
-	// Remove the chapter from timeline
-	timelineData.splice(chapterIndex, 1);
+/**
+ * Add imported chapters and volumes to the timeline.
+ * Chapters that are not archived must point at messages of the current chat; their end markers are set.
+ * @param {Array<Object>} chapters - Chapter entries in timeline order
+ * @param {Array<Object>} volumes - Volumes, numbered relative to `chapters`
+ * @param {'replace'|'prepend'|'append'} mode - Replace the timeline, or add before/after the existing chapters
+ * @returns {number} Number of chapters in the timeline afterwards
+ */
+export function importTimelineEntries(chapters, volumes, mode) {
+	const chat = getContext().chat;
+
+	if (mode === 'replace') {
+		for (const chapter of timelineData) {
+			if (!chapter.archived && chat[chapter.endMsgId]?.extra) {
+				chat[chapter.endMsgId].extra.rmr_chapter = false;
+			}
+		}
+		timelineData = [...chapters];
+		timelineVolumes = [...volumes];
+	} else if (mode === 'prepend') {
+		const shift = chapters.length;
+		timelineVolumes = [
+			...volumes,
+			...timelineVolumes.map(v => ({ ...v, startChapter: v.startChapter + shift, endChapter: v.endChapter + shift })),
+		];
+		timelineData = [...chapters, ...timelineData];
+	} else {
+		const shift = timelineData.length;
+		timelineVolumes = [
+			...timelineVolumes,
+			...volumes.map(v => ({ ...v, startChapter: v.startChapter + shift, endChapter: v.endChapter + shift })),
+		];
+		timelineData = [...timelineData, ...chapters];
+	}
+
+	for (const chapter of chapters) {
+		chapter.revisions = [];
+		setChapterSummary(chapter, chapter.summary, RevisionSource.IMPORT);
+		if (!chapter.archived && chat[chapter.endMsgId]) {
+			chat[chapter.endMsgId].extra = chat[chapter.endMsgId].extra || {};
+			chat[chapter.endMsgId].extra.rmr_chapter = true;
+			chapter.endAnchor = anchorFor(chat[chapter.endMsgId]);
+		}
+	}
+	snapshotChatOrder();
+
+	getContext().saveChat();
 	saveTimelineData();
-	debug('Removed chapter from timeline:', removedChapter);
+	resetMessageButtons();
+	debug(`Imported ${chapters.length} chapters (${mode}):`, chapters);
+	return timelineData.length;
+}
 
-	return removedChapter;
+// ---- Summary revisions ----
+
+export const RevisionSource = {
+	ORIGINAL: 'original', // summary from before revisions were kept
+	SUMMARIZE: 'summarize',
+	RESUMMARIZE: 'resummarize',
+	EDIT: 'edit',
+	IMPORT: 'import',
+	REVERT: 'revert',
+};
+const MAX_SUMMARY_REVISIONS = 20;
+
+/**
+ * Set a chapter's summary and record it in the chapter's revision history
+ * @param {Object} chapter - Timeline chapter
+ * @param {string} summary - New summary
+ * @param {string} source - RevisionSource that produced the summary
+ * @param {string|null} [profile] - Connection profile ID used to generate it
+ */
+function setChapterSummary(chapter, summary, source, profile = null) {
+	// Chapters from before revisions were kept start their history with the summary they have
+	if (chapter.revisions === undefined && chapter.summary) {
+		chapter.revisions = [{ summary: chapter.summary, source: RevisionSource.ORIGINAL, profile: null, timestamp: null }];
+	}
+	chapter.summary = summary;
+	chapter.revisions ??= [];
+	if (chapter.revisions.at(-1)?.summary === summary) return;
+	chapter.revisions.push({ summary, source, profile: profile || null, timestamp: Date.now() });
+	if (chapter.revisions.length > MAX_SUMMARY_REVISIONS) {
+		chapter.revisions.splice(0, chapter.revisions.length - MAX_SUMMARY_REVISIONS);
+	}
+}
+
+/**
+ * Get the summary revisions of a chapter, oldest first. The last one is the current summary.
+ * @param {number} chapterNumber - 1-based chapter number
+ * @returns {Array<{summary: string, source: string, profile: string|null, timestamp: number|null}>}
+ */
+export function getChapterRevisions(chapterNumber) {
+	const chapter = timelineData[chapterNumber - 1];
+	if (!chapter) return [];
+	if (!chapter.revisions?.length) {
+		return [{ summary: chapter.summary, source: RevisionSource.ORIGINAL, profile: null, timestamp: null }];
+	}
+	return chapter.revisions.map(revision => ({ ...revision }));
+}
+
+/**
+ * Restore an earlier summary of a chapter. The restored text becomes a new revision, so the revert can be undone.
+ * @param {number} chapterNumber - 1-based chapter number
+ * @param {number} revisionIndex - Index into getChapterRevisions
+ * @returns {string|null} The restored summary, or null if the chapter or revision does not exist
+ */
+export function revertChapterSummary(chapterNumber, revisionIndex) {
+	const revision = getChapterRevisions(chapterNumber)[revisionIndex];
+	if (!revision) return null;
+	setChapterSummary(timelineData[chapterNumber - 1], revision.summary, RevisionSource.REVERT, revision.profile);
+	saveTimelineData();
+	debug(`Reverted chapter ${chapterNumber} to revision ${revisionIndex + 1}`);
+	return revision.summary;
 }
 
 // Get a specific chapter's summary
@@ -894,12 +1911,50 @@ export function updateChapterSummary(chapterNumber, newSummary) {
 	if (chapterNumber < 1 || chapterNumber > timelineData.length) {
 		return false;
 	}
-	timelineData[chapterNumber - 1].summary = newSummary;
+	setChapterSummary(timelineData[chapterNumber - 1], newSummary, RevisionSource.EDIT);
 	saveTimelineData();
 	debug('Updated chapter summary:', chapterNumber, newSummary);
 	return true;
 }
 
+/**
+ * Change the message range of a chapter
+ * @param {number} chapterNumber - 1-based chapter number
+ * @param {number} startMsgId - End of the previous chapter (0 for the first chapter)
+ * @param {number} endMsgId - Last message of the chapter
+ * @returns {boolean} Whether the chapter exists
+ */
+export function updateChapterRange(chapterNumber, startMsgId, endMsgId) {
+	if (chapterNumber < 1 || chapterNumber > timelineData.length) {
+		return false;
+	}
+	timelineData[chapterNumber - 1].startMsgId = startMsgId;
+	timelineData[chapterNumber - 1].endMsgId = endMsgId;
+	saveTimelineData();
+	debug('Updated chapter range:', chapterNumber, startMsgId, endMsgId);
+	return true;
+}
+
+/**
+ * Replace a chapter's structured metadata (title, characters, locations, time, tags)
+ * @param {number} chapterNumber - 1-based chapter number
+ * @param {Object} metadata - New metadata; fields left empty are cleared
+ * @returns {boolean} Whether the chapter exists
+ */
+export function updateChapterMetadata(chapterNumber, metadata) {
+	if (chapterNumber < 1 || chapterNumber > timelineData.length) {
+		return false;
+	}
+	const chapter = timelineData[chapterNumber - 1];
+	for (const key of ['title', 'time', ...CHAPTER_LIST_FIELDS]) {
+		delete chapter[key];
+	}
+	Object.assign(chapter, normalizeChapterMetadata(metadata));
+	saveTimelineData();
+	debug('Updated chapter metadata:', chapterNumber, metadata);
+	return true;
+}
+
 // Get a specific chapter's full chat history
 export async function getChapterHistory(chapterNumber) {
 	if (chapterNumber < 1 || chapterNumber > timelineData.length) {
@@ -909,6 +1964,11 @@ export async function getChapterHistory(chapterNumber) {
 	const chapter = timelineData[chapterNumber - 1];
 	const chat = getContext().chat;
 
+	// Archived chapters were imported from another chat; only their summary exists here
+	if (chapter.archived) {
+		return null;
+	}
+
 	// Determine the actual start index
 	// If startMsgId is 0, start from 0. Otherwise, start from startMsgId + 1 to skip the previous chapter marker
 	const actualStartIdx = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
@@ -996,7 +2056,7 @@ async function swapProfile(profileId = null) {
 	return swapped;
 }
 
-async function genSummaryWithSlash(history, id=0, { resummarizeChapterNumber = null } = {}) {
+async function genSummaryWithSlash(history, id=0, { resummarizeChapterNumber = null, userTemplate = settings.memory_prompt_template, systemTemplate = settings.memory_system_prompt, workflow = Workflow.SUMMARY, validate = null } = {}) {
 	// Initialize commandArgs if not set
 	if (!commandArgs) {
 		commandArgs = {};
@@ -1018,30 +2078,12 @@ async function genSummaryWithSlash(history, id=0, { resummarizeChapterNumber = n
 		}
 		// Get timeline context for macro replacement
 		// If resummarizing a chapter, only include chapters before the target (the AI shouldn't know about future events)
-		let timelineContext;
-		if (resummarizeChapterNumber !== null && timelineData && timelineData.length > 0) {
-			const chapterIndex = resummarizeChapterNumber - 1;
-			// Only include chapters before the target chapter
-			const modifiedTimeline = timelineData.slice(0, chapterIndex).map((chapter, index) => {
-				return {
-					chapter_id: index + 1,
-					message_range: {
-						start: chapter.startMsgId,
-						end: chapter.endMsgId
-					},
-					summary: chapter.summary
-				};
-			});
-			// Stringify to match the format evaluateMacros would produce
-			timelineContext = JSON.stringify(modifiedTimeline);
-		} else {
-			timelineContext = evaluateMacros('{{timeline}}', {});
-		}
+		const timelineChapterCount = resummarizeChapterNumber !== null ? resummarizeChapterNumber - 1 : timelineData.length;
 
-		const prompt_text = settings.memory_prompt_template.replace('{{content}}', history.trim());
+		const prompt_text = userTemplate.replace('{{content}}', history.trim());
 
 		// Replace {{timeline}} macro in prompt
-		let finalPrompt = prompt_text.replace(/{{timeline}}/gi, timelineContext);
+		let finalPrompt = substituteTimeline(prompt_text, timelineChapterCount);
 
 		// Also substitute standard params like {{char}}, {{user}}, etc.
 		const context = getContext();
@@ -1049,10 +2091,10 @@ async function genSummaryWithSlash(history, id=0, { resummarizeChapterNumber = n
 
 		// Process system prompt with macro replacements
 		let systemPrompt = '';
-		if (settings.memory_system_prompt && settings.memory_system_prompt.trim()) {
-			systemPrompt = settings.memory_system_prompt.replace('{{content}}', history.trim());
+		if (systemTemplate && systemTemplate.trim()) {
+			systemPrompt = systemTemplate.replace('{{content}}', history.trim());
 			// Replace {{timeline}} macro in system prompt
-			systemPrompt = systemPrompt.replace(/{{timeline}}/gi, timelineContext);
+			systemPrompt = substituteTimeline(systemPrompt, timelineChapterCount);
 			// Also substitute standard params like {{char}}, {{user}}, etc.
 			systemPrompt = context.substituteParams(systemPrompt, context.name1, context.name2);
 		}
@@ -1071,44 +2113,28 @@ async function genSummaryWithSlash(history, id=0, { resummarizeChapterNumber = n
 			}
 			messages.push({ role: 'user', content: finalPrompt });
 
-			// Get max tokens for the profile
-			const maxTokens = await getMaxTokensForProfile(profileId);
-			debug(`Using max tokens: ${maxTokens} for profile: ${profileId}`);
-
-			// Build override payload for special cases like OpenAI o1 models
-			const overridePayload = buildOverridePayload(profileId, maxTokens);
-
-			// Get the reasoning effort value for this profile
-			const reasoningEffort = getReasoningEffort(profileId);
-
-			// Add reasoning_effort to override payload if it exists
-			if (reasoningEffort !== undefined) {
-				overridePayload.reasoning_effort = reasoningEffort;
-			}
-
-			// z.ai requires an explicit flag to return reasoning content
-			const includeReasoning = getIncludeReasoning(profileId);
-			if (includeReasoning !== undefined) {
-				overridePayload.include_reasoning = includeReasoning;
-			}
-
-			// Use ConnectionManagerRequestService to send the request
-			const result = await ConnectionManagerRequestService.sendRequest(
-				profileId,              // profileId
-				messages,               // prompt (as messages array)
-				maxTokens,              // maxTokens
-				{                       // custom options
+			// Send through the profile, retrying failed requests and empty replies and falling back to other profiles
+			const final_content = await sendRequestWithRetry({
+				workflow,
+				profileId,
+				messages,
+				custom: {
 					includePreset: true,  // Include generation preset from profile
 					includeInstruct: true, // Include instruct settings
 					stream: false         // Don't stream the response
 				},
-				overridePayload         // overridePayload with correct parameter names
-			);
-
-			// Extract content from response - parse reasoning if needed
-			const content = result?.content || result || '';
-			const parsed_result = getContext().parseReasoningFromString(content);
-			const final_content = parsed_result ? parsed_result.content : content;
+				parse: (result) => {
+					// Extract content from response - parse reasoning if needed
+					const content = result?.content || result || '';
+					const parsed_result = getContext().parseReasoningFromString(content);
+					const text = parsed_result ? parsed_result.content : content;
+					if (!String(text).trim()) {
+						throw new Error('The summary response was empty');
+					}
+					validate?.(text);
+					return text;
+				},
+			});
 
 			debug('Successfully used ConnectionManagerRequestService for summary');
 			return final_content;
@@ -1122,6 +2148,32 @@ async function genSummaryWithSlash(history, id=0, { resummarizeChapterNumber = n
 	}
 }
 
+// Ask for title, characters, locations, time and tags of a summarized chapter
+async function generateChapterMetadata(content, summary, { resummarizeChapterNumber = null } = {}) {
+	infoToast("Generating chapter metadata....");
+	const userTemplate = settings.chapter_metadata_prompt_template.replace(/{{summary}}/gi, () => summary);
+	const systemTemplate = settings.chapter_metadata_system_prompt.replace(/{{summary}}/gi, () => summary);
+	try {
+		// A reply without a JSON object is asked for again
+		const validate = (text) => {
+			if (!/\{[\s\S]*\}/.test(text)) throw new Error('Chapter metadata response contained no JSON object');
+		};
+		const result = await genSummaryWithSlash(content, 0, { resummarizeChapterNumber, userTemplate, systemTemplate, workflow: Workflow.CHAPTER_METADATA, validate });
+		const cleaned = stripCodeFences(String(result ?? ''));
+		const start = cleaned.indexOf('{');
+		const end = cleaned.lastIndexOf('}');
+		if (start === -1 || end <= start) {
+			debug('Chapter metadata response contained no JSON object:', result);
+			return {};
+		}
+		return normalizeChapterMetadata(JSON.parse(cleaned.slice(start, end + 1)));
+	} catch (err) {
+		console.error('Failed to generate chapter metadata:', err);
+		oopsToast("Chapter metadata could not be generated; keeping the summary only.");
+		return {};
+	}
+}
+
 async function generateMemory(message) {
 	const mes_id = Number(message.attr('mesid'));
 
@@ -1330,7 +2382,11 @@ function validateTimelineFillItems(rawItems) {
 	return normalized;
 }
 
-export async function runTimelineFill({ profileOverride, quiet = true } = {}) {
+export async function runTimelineFill(options = {}) {
+	return await withQueryAbort((signal) => fillTimeline(options, signal));
+}
+
+async function fillTimeline({ profileOverride, quiet = true } = {}, signal) {
 	// Create a backup before any operations
 	await createChatBackup('timeline fill');
 
@@ -1345,25 +2401,42 @@ export async function runTimelineFill({ profileOverride, quiet = true } = {}) {
 	isInternalGeneration = true;
 
 	const context = getContext();
-	const timelineMacroResult = evaluateMacros('{{timeline}}', {}) ?? [];
 	const historyMacroResult = evaluateMacros('{{chapterHistory}}', {}) ?? [];
 
-	const timelineContext = typeof timelineMacroResult === 'string'
-		? timelineMacroResult
-		: JSON.stringify(timelineMacroResult, null, 2);
-
 	const historyContext = typeof historyMacroResult === 'string'
 		? historyMacroResult
 		: JSON.stringify(historyMacroResult, null, 2);
 
+	// Pre-select chapters whose text matches the latest messages
+	let candidatesContext = '';
+	const candidateCount = Number(settings.timeline_fill_search_candidates) || 0;
+	if (candidateCount > 0 && timelineData.length) {
+		try {
+			const { findCandidateChapters } = await import('./timeline-search.js');
+			const recentText = context.chat.filter(mes => !mes.is_system).slice(-3).map(mes => mes.mes).join('\n');
+			const candidates = await findCandidateChapters(recentText, candidateCount);
+			if (candidates.length) {
+				candidatesContext = `Candidate chapters from a search of the full chapter text, most relevant first: ${candidates.join(', ')}. Prefer these when choosing chapters to query.`;
+			}
+			debug('Timeline fill candidate chapters:', candidates);
+		} catch (err) {
+			debug('Timeline fill candidate search failed:', err);
+		}
+	}
+
 	let userPrompt = settings.timeline_fill_prompt_template || '';
-	userPrompt = userPrompt.replace(/{{timeline}}/gi, timelineContext);
+	userPrompt = substituteTimeline(userPrompt);
 	userPrompt = userPrompt.replace(/{{chapterHistory}}/gi, historyContext);
+	if (/{{timelineCandidates}}/i.test(userPrompt)) {
+		userPrompt = userPrompt.replace(/{{timelineCandidates}}/gi, candidatesContext);
+	} else if (candidatesContext) {
+		userPrompt += `\n\n${candidatesContext}`;
+	}
 	userPrompt = context.substituteParams(userPrompt, context.name1, context.name2);
 
 	let systemPrompt = settings.timeline_fill_system_prompt || '';
 	if (systemPrompt) {
-		systemPrompt = systemPrompt.replace(/{{timeline}}/gi, timelineContext);
+		systemPrompt = substituteTimeline(systemPrompt);
 		systemPrompt = systemPrompt.replace(/{{chapterHistory}}/gi, historyContext);
 		systemPrompt = context.substituteParams(systemPrompt, context.name1, context.name2);
 	}
@@ -1374,191 +2447,147 @@ export async function runTimelineFill({ profileOverride, quiet = true } = {}) {
 	}
 	messages.push({ role: 'user', content: userPrompt });
 
+	let stoppedError = null;
 	try {
 		debug('Timeline fill request messages:', messages);
 
-		const maxTokens = await getMaxTokensForProfile(profileId);
-		const overridePayload = buildOverridePayload(profileId, maxTokens);
-		const reasoningEffort = getReasoningEffort(profileId);
-		if (reasoningEffort !== undefined) {
-			overridePayload.reasoning_effort = reasoningEffort;
-		}
-		const includeReasoning = getIncludeReasoning(profileId);
-		if (includeReasoning !== undefined) {
-			overridePayload.include_reasoning = includeReasoning;
-		}
-
-		const result = await ConnectionManagerRequestService.sendRequest(
+		// Replies without a JSON array of queries are retried like failed requests
+		const tasks = await sendRequestWithRetry({
+			workflow: Workflow.TIMELINE_FILL,
 			profileId,
 			messages,
-			maxTokens,
-			{
+			custom: {
 				includePreset: true,
 				includeInstruct: true,
 				stream: false,
+				signal,
 			},
-			overridePayload,
-		);
-
-		const rawContent = result?.content || result || '';
-		const parsedReasoning = await reasoningParser(rawContent, profileId, { strict: false });
-		const content = parsedReasoning ? parsedReasoning.content : rawContent;
-
-		debug('Timeline fill raw response:', content);
-
-		const parsed = extractJsonArrayFromText(content);
-		let items = [];
+			parse: async (result, usedProfileId) => {
+				const rawContent = result?.content || result || '';
+				const parsedReasoning = await reasoningParser(rawContent, usedProfileId, { strict: false });
+				const content = parsedReasoning ? parsedReasoning.content : rawContent;
+
+				debug('Timeline fill raw response:', content);
+
+				const parsed = extractJsonArrayFromText(content);
+				let items = [];
+
+				if (Array.isArray(parsed)) {
+					items = parsed;
+				} else if (parsed?.queries && Array.isArray(parsed.queries)) {
+					items = parsed.queries;
+				} else if (parsed?.timelineQueries && Array.isArray(parsed.timelineQueries)) {
+					items = parsed.timelineQueries;
+				} else {
+					throw new Error('Timeline fill response did not include a JSON array of queries.');
+				}
 
-		if (Array.isArray(parsed)) {
-			items = parsed;
-		} else if (parsed?.queries && Array.isArray(parsed.queries)) {
-			items = parsed.queries;
-		} else if (parsed?.timelineQueries && Array.isArray(parsed.timelineQueries)) {
-			items = parsed.timelineQueries;
-		} else {
-			throw new Error('Timeline fill response did not include a JSON array of queries.');
-		}
+				return validateTimelineFillItems(items);
+			},
+		});
 
-		const tasks = validateTimelineFillItems(items);
 		const aggregatedResults = [];
 		const previousCommandArgs = commandArgs;
 		commandArgs = { ...(previousCommandArgs || {}), quiet };
 
-		setTimelineFillResults([]);
+		await setTimelineFillResults([]);
 
-		// Count total queries for progress tracking (excluding those that exceed the chapter limit)
+		// Expand the tasks into individual queries, in result order
 		const chapterLimit = settings.query_chapter_limit || 0;
 		const queryLimit = settings.timeline_fill_query_limit || 0;
-		let totalQueries = 0;
-		for (const task of tasks) {
-			const { chapters } = task;
+		let jobs = [];
+		for (const { query, chapters } of tasks) {
 			if (!chapters.length) continue;
-			const contiguous = chaptersAreContiguous(chapters);
 			// Range queries count as 1, non-contiguous chapters count individually
-			// Skip range queries that exceed the chapter limit (if limit is set)
-			if (contiguous && chapters.length > 1) {
-				if (chapterLimit === 0 || chapters.length <= chapterLimit) {
-					totalQueries += 1;
+			if (chaptersAreContiguous(chapters) && chapters.length > 1) {
+				// Skip queries that exceed the chapter limit (if limit is set)
+				if (chapterLimit > 0 && chapters.length > chapterLimit) {
+					debug(`Timeline fill skipping query: exceeds ${chapterLimit}-chapter limit (${chapters.length} chapters requested)`);
+					continue;
 				}
+				jobs.push({ mode: 'range', query, chapters });
 			} else {
-				totalQueries += chapters.length;
+				for (const chapter of chapters) {
+					jobs.push({ mode: 'single', query, chapters: [chapter] });
+				}
 			}
 		}
 
 		// Apply query limit if set
-		if (queryLimit > 0 && totalQueries > queryLimit) {
-			debug(`Timeline fill limiting queries from ${totalQueries} to ${queryLimit}`);
-			totalQueries = queryLimit;
+		if (queryLimit > 0 && jobs.length > queryLimit) {
+			debug(`Timeline fill limiting queries from ${jobs.length} to ${queryLimit}`);
+			jobs = jobs.slice(0, queryLimit);
 		}
+		const totalQueries = jobs.length;
 
 		// Switch to querying phase if progress is visible
 		if (isProgressVisible()) {
 			updateRetrievalProgress({ phase: 'querying', current: 0, total: totalQueries });
 		}
 
-		let completedQueries = 0;
-
-		try {
-			for (const task of tasks) {
-				const { query, chapters } = task;
-				if (!chapters.length) {
-					continue;
+		const runJob = async ({ mode, query, chapters }) => {
+			const startChapter = chapters[0];
+			const endChapter = chapters[chapters.length - 1];
+			try {
+				const status = {};
+				const response = mode === 'range'
+					? await queryChapters(startChapter, endChapter, query, status)
+					: await queryChapter(startChapter, query, status);
+				// Answers cut off by Stop are kept, but marked so the model does not take them as complete
+				if (status.partial) {
+					return { mode, query, chapters, startChapter, endChapter, response: `${response} [stopped]`, partial: true };
 				}
+				return { mode, query, chapters, startChapter, endChapter, response: String(response ?? '') };
+			} catch (error) {
+				debug(`Timeline fill ${mode === 'range' ? 'range' : 'chapter'} query failed:`, error);
+				return { mode, query, chapters, startChapter, endChapter, response: '', error: error?.message || String(error) };
+			}
+		};
 
-				const contiguous = chaptersAreContiguous(chapters);
-				const start = chapters[0];
-				const end = chapters[chapters.length - 1];
-
-				if (contiguous && chapters.length > 1) {
-					// Skip queries that exceed the chapter limit (if limit is set)
-					if (chapterLimit > 0 && chapters.length > chapterLimit) {
-						debug(`Timeline fill skipping query: exceeds ${chapterLimit}-chapter limit (${chapters.length} chapters requested)`);
-						continue;
-					}
-					try {
-						const response = await queryChapters(start, end, query);
-						aggregatedResults.push({
-							mode: 'range',
-							query,
-							chapters,
-							startChapter: start,
-							endChapter: end,
-							response: String(response ?? ''),
-						});
-					} catch (error) {
-						debug('Timeline fill range query failed:', error);
-						aggregatedResults.push({
-							mode: 'range',
-							query,
-							chapters,
-							startChapter: start,
-							endChapter: end,
-							response: '',
-							error: error?.message || String(error),
-						});
-					}
-					completedQueries++;
-					if (isProgressVisible()) {
-						updateRetrievalProgress({ current: completedQueries, total: totalQueries });
-					}
-					// Stop if we've hit the query limit
-					if (queryLimit > 0 && completedQueries >= queryLimit) {
-						debug(`Timeline fill reached query limit of ${queryLimit}`);
-						break;
-					}
-				} else {
-					for (const chapter of chapters) {
-						// Stop if we've hit the query limit
-						if (queryLimit > 0 && completedQueries >= queryLimit) {
-							debug(`Timeline fill reached query limit of ${queryLimit}`);
-							break;
-						}
-						try {
-							const response = await queryChapter(chapter, query);
-							aggregatedResults.push({
-								mode: 'single',
-								query,
-								chapters: [chapter],
-								startChapter: chapter,
-								endChapter: chapter,
-								response: String(response ?? ''),
-							});
-						} catch (error) {
-							debug('Timeline fill chapter query failed:', error);
-							aggregatedResults.push({
-								mode: 'single',
-								query,
-								chapters: [chapter],
-								startChapter: chapter,
-								endChapter: chapter,
-								response: '',
-								error: error?.message || String(error),
-							});
-						}
-						completedQueries++;
-						if (isProgressVisible()) {
-							updateRetrievalProgress({ current: completedQueries, total: totalQueries });
-						}
-					}
-				}
-				// Stop outer loop if we've hit the query limit
-				if (queryLimit > 0 && completedQueries >= queryLimit) {
-					break;
+		// Run up to timeline_fill_concurrency queries at once; results keep the order of the queries
+		const results = new Array(jobs.length);
+		let nextJob = 0;
+		let completedQueries = 0;
+		const worker = async () => {
+			while (nextJob < jobs.length && !signal.aborted) {
+				const index = nextJob++;
+				await waitForRateLimit();
+				if (signal.aborted) break;
+				results[index] = await runJob(jobs[index]);
+				completedQueries++;
+				if (isProgressVisible()) {
+					updateRetrievalProgress({ current: completedQueries, total: totalQueries });
 				}
 			}
+		};
+
+		try {
+			const concurrency = Math.max(1, Number(settings.timeline_fill_concurrency) || 1);
+			await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+			aggregatedResults.push(...results.filter(Boolean));
 
 			// Mark as complete
 			if (isProgressVisible()) {
-				updateRetrievalProgress({ phase: 'complete', current: completedQueries, total: totalQueries, message: 'All queries complete!' });
+				updateRetrievalProgress({ phase: 'complete', current: completedQueries, total: totalQueries, message: signal.aborted ? 'Stopped.' : 'All queries complete!' });
 			}
 		} finally {
 			commandArgs = previousCommandArgs;
 		}
 
-		setTimelineFillResults(aggregatedResults);
+		await setTimelineFillResults(aggregatedResults);
+		if (signal.aborted) {
+			const kept = aggregatedResults.filter(result => !result.error && !result.partial).length;
+			const partial = aggregatedResults.filter(result => result.partial).length;
+			const partialNote = partial ? ` and ${partial} cut-off answer${partial === 1 ? '' : 's'} marked [stopped]` : '';
+			stoppedError = new DOMException(`Timeline fill stopped; kept ${kept} complete result${kept === 1 ? '' : 's'}${partialNote} in {{timelineResponses}}.`, 'AbortError');
+			throw stoppedError;
+		}
 		return aggregatedResults;
 	} catch (error) {
 		debug('Timeline fill failed:', error);
+		if (signal.aborted && error !== stoppedError) {
+			throw new DOMException('Timeline fill stopped before any queries ran.', 'AbortError');
+		}
 		throw error;
 	} finally {
 		// Always reset the flag when done
@@ -1567,8 +2596,149 @@ export async function runTimelineFill({ profileOverride, quiet = true } = {}) {
 }
 
 
-// Query a chapter with a specific question
-export async function queryChapter(chapterNumber, query) {
+// ---- Query requests ----
+
+// Aborts the running query requests; shared by a timeline fill and the queries it runs
+let queryAbortController = null;
+
+/**
+ * Stop the running timeline fill or chapter queries.
+ * Answers that were already streamed in part are kept.
+ * @returns {boolean} Whether anything was running
+ */
+export function abortTimelineQueries() {
+	if (!queryAbortController || queryAbortController.signal.aborted) {
+		return false;
+	}
+	queryAbortController.abort();
+	return true;
+}
+
+/**
+ * Whether a timeline fill or chapter query is running
+ * @returns {boolean}
+ */
+export function isTimelineQueryRunning() {
+	return !!queryAbortController;
+}
+
+/**
+ * Run a query operation under the shared abort controller, starting one if none is active.
+ * A Stop handler that is already set, such as an agent session's, is kept and restored afterwards.
+ * @param {Function} operation - Receives the AbortSignal
+ */
+async function withQueryAbort(operation) {
+	if (queryAbortController) {
+		return await operation(queryAbortController.signal);
+	}
+	queryAbortController = new AbortController();
+	const previousStopHandler = getProgressStopHandler();
+	if (!previousStopHandler) {
+		setProgressStopHandler(abortTimelineQueries);
+	}
+	try {
+		return await operation(queryAbortController.signal);
+	} finally {
+		queryAbortController = null;
+		setProgressStopHandler(previousStopHandler);
+	}
+}
+
+// The streamed query shown in the progress overlay; parallel queries wait for it to finish before showing theirs
+let streamPreviewOwner = null;
+
+/**
+ * Send a chapter query through the query profile.
+ * With streaming enabled, the answer is shown in the progress overlay as it arrives.
+ * @param {Array<{role: string, content: string}>} messages - Prompt messages
+ * @returns {Promise<{text: string, partial: boolean}>} The answer, or the part of it received before the query was stopped
+ */
+async function sendQueryRequest(messages) {
+	const profileId = settings.query_profile;
+	debug(`Using ConnectionManagerRequestService with profile: ${profileId}`);
+	const signal = queryAbortController?.signal;
+	if (signal?.aborted) {
+		throw new Error('Query stopped');
+	}
+
+	const stream = !!settings.query_streaming;
+	if (!streamPreviewOwner) updateStreamPreview('');
+
+	// Send through the query profile, retrying failed requests and empty answers
+	const answer = await sendRequestWithRetry({
+		workflow: Workflow.QUERY,
+		profileId,
+		messages,
+		custom: {
+			includePreset: true, // Include generation preset from profile
+			stream,              // Stream the response into the progress overlay
+			signal,              // Stopped by abortTimelineQueries
+		},
+		parse: async (result, usedProfileId) => {
+			let content;
+			let partial = false;
+			if (stream && typeof result === 'function') {
+				// Streaming returns a generator factory; each chunk carries the full text so far
+				content = '';
+				const owner = {};
+				try {
+					for await (const chunk of result()) {
+						content = chunk?.text ?? content;
+						if (!streamPreviewOwner) streamPreviewOwner = owner;
+						if (streamPreviewOwner === owner) updateStreamPreview(content);
+					}
+				} catch (error) {
+					if (!signal?.aborted || !content) throw error;
+					partial = true;
+				} finally {
+					if (streamPreviewOwner === owner) streamPreviewOwner = null;
+				}
+			} else {
+				content = result?.content || result || '';
+			}
+			if (signal?.aborted && !content) {
+				throw new Error('Query stopped');
+			}
+
+			// Extract content from response - parse reasoning if needed
+			const parsed_reasoning = await reasoningParser(content, usedProfileId);
+			const text = parsed_reasoning ? parsed_reasoning.content : content;
+			if (!signal?.aborted && !String(text).trim()) {
+				throw new Error('The query response was empty');
+			}
+			return { text, partial };
+		},
+	});
+	debug('Successfully used ConnectionManagerRequestService for query');
+	return answer;
+}
+
+/**
+ * Cache key for a query: the chapters with their content and summary hashes, the query prompts and the query profile.
+ * Editing a chapter, resummarizing it or changing the prompts or profile makes earlier answers miss.
+ * @param {number[]} chapterNumbers - 1-based chapter numbers
+ * @returns {string}
+ */
+function queryCacheKey(chapterNumbers) {
+	const chapters = chapterNumbers.map(number => {
+		const chapter = timelineData[number - 1];
+		return `${number}:${chapterContentHash(chapter) ?? 'archived'}:${getStringHash(chapter.summary ?? '')}`;
+	}).join(',');
+	const prompts = getStringHash(`${settings.chapter_query_system_prompt}\n${settings.chapter_query_prompt_template}`);
+	return `${chapters}|${prompts}|${settings.query_profile}`;
+}
+
+// Query a chapter with a specific question; status.partial is set when the answer was cut off by Stop
+export async function queryChapter(chapterNumber, query, status = {}) {
+	return await withQueryAbort(() => runChapterQuery(chapterNumber, query, status));
+}
+
+// Query multiple chapters with a specific question; status.partial is set when the answer was cut off by Stop
+export async function queryChapters(startChapter, endChapter, query, status = {}) {
+	return await withQueryAbort(() => runChaptersQuery(startChapter, endChapter, query, status));
+}
+
+async function runChapterQuery(chapterNumber, query, status = {}) {
 	// Initialize commandArgs if not set
 	if (!commandArgs) {
 		commandArgs = {};
@@ -1592,6 +2762,10 @@ export async function queryChapter(chapterNumber, query) {
 			return msg;
 		}
 
+		if (timelineData[chapterNumber - 1].archived) {
+			return `Chapter ${chapterNumber} is archived (imported from another chat), so its messages cannot be queried. Its summary is: ${timelineData[chapterNumber - 1].summary}`;
+		}
+
 		const chapterHistory = await getChapterHistory(chapterNumber);
 		if (!chapterHistory) {
 			const msg = `Chapter ${chapterNumber} not found.`;
@@ -1603,20 +2777,17 @@ export async function queryChapter(chapterNumber, query) {
 		debug(`Querying chapter ${chapterNumber}:`, chapter);
 		debug(`Chapter history length: ${chapterHistory.length} messages`);
 
-		const timelineContext = evaluateMacros('{{timeline}}', {});
-
 		// Format the chapter history - this is ALL messages from the chapter
 		const chapterContext = chapterHistory.map((it) => `${it.name}: ${it.mes}`).join("\n\n");
 
 		debug(`Chapter context length: ${chapterContext.length} characters`);
-		debug(`Timeline context length: ${timelineContext.length} characters`);
 		debug(`Query: ${query}`);
 
 		// Build the prompt - for now, use simple string replacement to ensure it works
 		let prompt = settings.chapter_query_prompt_template;
 
 		// Replace macros in order - most specific first
-		prompt = prompt.replace(/{{timeline}}/gi, timelineContext);
+		prompt = substituteTimeline(prompt);
 		prompt = prompt.replace(/{{chapter}}/gi, chapterContext);
 		// Also replace {{chapterSummary}} with the actual chapter summary
 		prompt = prompt.replace(/{{chapterSummary}}/gi, chapter.summary);
@@ -1631,7 +2802,7 @@ export async function queryChapter(chapterNumber, query) {
 		if (settings.chapter_query_system_prompt && settings.chapter_query_system_prompt.trim()) {
 			systemPrompt = settings.chapter_query_system_prompt;
 			// Replace the same macros in system prompt
-			systemPrompt = systemPrompt.replace(/{{timeline}}/gi, timelineContext);
+			systemPrompt = substituteTimeline(systemPrompt);
 			systemPrompt = systemPrompt.replace(/{{chapter}}/gi, chapterContext);
 			// Also replace {{chapterSummary}} with the actual chapter summary
 			systemPrompt = systemPrompt.replace(/{{chapterSummary}}/gi, chapter.summary);
@@ -1643,12 +2814,16 @@ export async function queryChapter(chapterNumber, query) {
 		debug(`Final prompt length: ${prompt.length} characters`);
 		debug(`System prompt length: ${systemPrompt.length} characters`);
 
+		const cacheKey = queryCacheKey([chapterNumber]);
+		const cached = getCachedAnswer(cacheKey, query);
+		if (cached !== null) {
+			return cached;
+		}
+
 		infoToast(`Querying chapter ${chapterNumber}...`);
 
 		// Use ConnectionManagerRequestService if a profile is specified
 		if (settings.query_profile && ConnectionManagerRequestService) {
-			debug(`Using ConnectionManagerRequestService with profile: ${settings.query_profile}`);
-
 			// Build messages array for the request
 			const messages = [];
 			if (systemPrompt) {
@@ -1656,44 +2831,13 @@ export async function queryChapter(chapterNumber, query) {
 			}
 			messages.push({ role: 'user', content: prompt });
 
-			// Get max tokens for the profile
-			const maxTokens = await getMaxTokensForProfile(settings.query_profile);
-			debug(`Using max tokens: ${maxTokens} for profile: ${settings.query_profile}`);
-
-			// Build override payload for special cases like OpenAI o1 models
-			const overridePayload = buildOverridePayload(settings.query_profile, maxTokens);
-
-			// Get the reasoning effort value for this profile
-			const reasoningEffort = getReasoningEffort(settings.query_profile);
-
-			// Add reasoning_effort to override payload if it exists
-			if (reasoningEffort !== undefined) {
-				overridePayload.reasoning_effort = reasoningEffort;
+			const { text: answer, partial } = await sendQueryRequest(messages);
+			status.partial = partial;
+			// A stopped query may hold only part of the answer
+			if (!partial && !queryAbortController?.signal.aborted) {
+				storeAnswer(cacheKey, query, answer);
 			}
-			const includeReasoning = getIncludeReasoning(settings.query_profile);
-			if (includeReasoning !== undefined) {
-				overridePayload.include_reasoning = includeReasoning;
-			}
-
-			// Use ConnectionManagerRequestService to send the request
-			const result = await ConnectionManagerRequestService.sendRequest(
-				settings.query_profile,  // profileId
-				messages,                // prompt (as messages array)
-				maxTokens,               // maxTokens
-				{                        // custom options
-					includePreset: true, // Include generation preset from profile
-					stream: false        // Don't stream the response
-				},
-				overridePayload          // overridePayload with correct parameter names
-			);
-
-			// Extract content from response - parse reasoning if needed
-			const content = result?.content || result || '';
-			const parsed_reasoning = await reasoningParser(content, settings.query_profile);
-			const final_content = parsed_reasoning ? parsed_reasoning.content : content;
-			console.log('final_content', final_content);
-			debug('Successfully used ConnectionManagerRequestService for query');
-			return final_content;
+			return answer;
 		}
 
 		// No profile specified and no fallback available
@@ -1708,8 +2852,7 @@ export async function queryChapter(chapterNumber, query) {
 	}
 }
 
-// Query multiple chapters with a specific question
-export async function queryChapters(startChapter, endChapter, query) {
+async function runChaptersQuery(startChapter, endChapter, query, status = {}) {
 	// Initialize commandArgs if not set
 	if (!commandArgs) {
 		commandArgs = {};
@@ -1750,6 +2893,11 @@ export async function queryChapters(startChapter, endChapter, query) {
 		const chapterSummaries = [];
 
 		for (let i = startChapter; i <= endChapter; i++) {
+			// Archived chapters only contribute their summary
+			if (timelineData[i - 1].archived) {
+				chapterSummaries.push(`Chapter ${i} Summary (archived): ${timelineData[i - 1].summary}`);
+				continue;
+			}
 			const chapterHistory = await getChapterHistory(i);
 			if (!chapterHistory) {
 				const msg = `Chapter ${i} not found.`;
@@ -1766,8 +2914,6 @@ export async function queryChapters(startChapter, endChapter, query) {
 			chapterSummaries.push(`Chapter ${i} Summary: ${chapter.summary}`);
 		}
 
-		const timelineContext = evaluateMacros('{{timeline}}', {});
-
 		// Format all chapters with headers
 		const allChaptersContext = chaptersData.map(chapterData => {
 			const chapterContent = chapterData.history.map((it) => `${it.name}: ${it.mes}`).join("\n\n");
@@ -1778,14 +2924,13 @@ export async function queryChapters(startChapter, endChapter, query) {
 		const allSummariesContext = chapterSummaries.join("\n\n");
 
 		debug(`Total chapters context length: ${allChaptersContext.length} characters`);
-		debug(`Timeline context length: ${timelineContext.length} characters`);
 		debug(`Query: ${query}`);
 
 		// Build the prompt - use simple string replacement to ensure it works
 		let prompt = settings.chapter_query_prompt_template;
 
 		// Replace macros in order - most specific first
-		prompt = prompt.replace(/{{timeline}}/gi, timelineContext);
+		prompt = substituteTimeline(prompt);
 		prompt = prompt.replace(/{{chapter}}/gi, allChaptersContext);
 		// Replace {{chapterSummary}} with all chapter summaries
 		prompt = prompt.replace(/{{chapterSummary}}/gi, allSummariesContext);
@@ -1800,7 +2945,7 @@ export async function queryChapters(startChapter, endChapter, query) {
 		if (settings.chapter_query_system_prompt && settings.chapter_query_system_prompt.trim()) {
 			systemPrompt = settings.chapter_query_system_prompt;
 			// Replace the same macros in system prompt
-			systemPrompt = systemPrompt.replace(/{{timeline}}/gi, timelineContext);
+			systemPrompt = substituteTimeline(systemPrompt);
 			systemPrompt = systemPrompt.replace(/{{chapter}}/gi, allChaptersContext);
 			// Replace {{chapterSummary}} with all chapter summaries
 			systemPrompt = systemPrompt.replace(/{{chapterSummary}}/gi, allSummariesContext);
@@ -1813,12 +2958,17 @@ export async function queryChapters(startChapter, endChapter, query) {
 		debug(`System prompt length: ${systemPrompt.length} characters`);
 
 		const chapterRange = startChapter === endChapter ? `chapter ${startChapter}` : `chapters ${startChapter}-${endChapter}`;
+		const chapterNumbers = Array.from({ length: endChapter - startChapter + 1 }, (_, offset) => startChapter + offset);
+		const cacheKey = queryCacheKey(chapterNumbers);
+		const cached = getCachedAnswer(cacheKey, query);
+		if (cached !== null) {
+			return cached;
+		}
+
 		infoToast(`Querying ${chapterRange}...`);
 
 		// Use ConnectionManagerRequestService if a profile is specified
 		if (settings.query_profile && ConnectionManagerRequestService) {
-			debug(`Using ConnectionManagerRequestService with profile: ${settings.query_profile}`);
-
 			// Build messages array for the request
 			const messages = [];
 			if (systemPrompt) {
@@ -1826,44 +2976,13 @@ export async function queryChapters(startChapter, endChapter, query) {
 			}
 			messages.push({ role: 'user', content: prompt });
 
-			// Get max tokens for the profile
-			const maxTokens = await getMaxTokensForProfile(settings.query_profile);
-			debug(`Using max tokens: ${maxTokens} for profile: ${settings.query_profile}`);
-
-			// Build override payload for special cases like OpenAI o1 models
-			const overridePayload = buildOverridePayload(settings.query_profile, maxTokens);
-
-			// Get the reasoning effort value for this profile
-			const reasoningEffort = getReasoningEffort(settings.query_profile);
-
-			// Add reasoning_effort to override payload if it exists
-			if (reasoningEffort !== undefined) {
-				overridePayload.reasoning_effort = reasoningEffort;
+			const { text: answer, partial } = await sendQueryRequest(messages);
+			status.partial = partial;
+			// A stopped query may hold only part of the answer
+			if (!partial && !queryAbortController?.signal.aborted) {
+				storeAnswer(cacheKey, query, answer);
 			}
-			const includeReasoning = getIncludeReasoning(settings.query_profile);
-			if (includeReasoning !== undefined) {
-				overridePayload.include_reasoning = includeReasoning;
-			}
-
-			// Use ConnectionManagerRequestService to send the request
-			const result = await ConnectionManagerRequestService.sendRequest(
-				settings.query_profile,  // profileId
-				messages,                // prompt (as messages array)
-				maxTokens,               // maxTokens
-				{                        // custom options
-					includePreset: true, // Include generation preset from profile
-					stream: false        // Don't stream the response
-				},
-				overridePayload          // overridePayload with correct parameter names
-			);
-
-			// Extract content from response - parse reasoning if needed
-			const content = result?.content || result || '';
-			const parsed_reasoning = await reasoningParser(content, settings.query_profile);
-			const final_content = parsed_reasoning ? parsed_reasoning.content : content;
-			console.log('final_content', final_content);
-			debug('Successfully used ConnectionManagerRequestService for query');
-			return final_content;
+			return answer;
 		}
 
 		// No profile specified and no fallback available
@@ -1881,7 +3000,7 @@ export async function queryChapters(startChapter, endChapter, query) {
 async function summarizeHistoryEntries(message_history, { targetMessageId, hideAfter = false, resummarizeChapterNumber = null } = {}) {
 	if (!Array.isArray(message_history) || message_history.length === 0) {
 		oopsToast("No visible chapter content! Skipping summary.");
-		return "";
+		return { summary: "", metadata: {} };
 	}
 
 	const max_tokens = getContext().maxContext - 100; // reserve space for instructions
@@ -1916,7 +3035,7 @@ async function summarizeHistoryEntries(message_history, { targetMessageId, hideA
 		const chunk_sums = [];
 		let cid = 0;
 		while (cid < chunks.length) {
-			const chunk_sum = await genSummaryWithSlash(chunks[cid], Number(cid) + 1, { resummarizeChapterNumber });
+			const chunk_sum = await genSummaryWithSlash(chunks[cid], Number(cid) + 1, { resummarizeChapterNumber, workflow: Workflow.CHUNK_SUMMARY });
 			if (chunk_sum.length > 0) {
 				chunk_sums.push(chunk_sum);
 				cid++;
@@ -1925,7 +3044,7 @@ async function summarizeHistoryEntries(message_history, { targetMessageId, hideA
 					"Timeline Memory",
 					"There was an error generating a summary for chunk #" + (Number(cid) + 1),
 					{ okButton: 'Retry', cancelButton: 'Cancel' });
-				if (result !== 1) return "";
+				if (result !== 1) return { summary: "", metadata: {} };
 			}
 		}
 		final_context = chunk_sums.join("\n\n");
@@ -1934,12 +3053,12 @@ async function summarizeHistoryEntries(message_history, { targetMessageId, hideA
 		}
 	} else {
 		oopsToast("No visible chapter content! Skipping summary.");
-		return "";
+		return { summary: "", metadata: {} };
 	}
 
 	if (!final_context?.length) {
 		oopsToast("No final content - skipping summary.");
-		return "";
+		return { summary: "", metadata: {} };
 	}
 
 	infoToast("Generating chapter summary....");
@@ -1951,6 +3070,9 @@ async function summarizeHistoryEntries(message_history, { targetMessageId, hideA
 		for (const mes of message_history) {
 			if (mes?.index === undefined) continue;
 			chat[mes.index].is_system = true;
+			// Remembered so /timeline-verify can tell these from messages hidden with /hide
+			chat[mes.index].extra = chat[mes.index].extra || {};
+			chat[mes.index].extra.rmr_hidden = true;
 			const mes_elem = $(`.mes[mesid="${mes.index}"]`);
 			if (mes_elem.length) mes_elem.attr('is_system', 'true');
 		}
@@ -1959,9 +3081,14 @@ async function summarizeHistoryEntries(message_history, { targetMessageId, hideA
 
 	if (!trimmedResult.length) {
 		oopsToast("No final content - skipping summary.");
+		return { summary: "", metadata: {} };
 	}
 
-	return trimmedResult;
+	const metadata = settings.chapter_metadata_enabled
+		? await generateChapterMetadata(final_context, trimmedResult, { resummarizeChapterNumber })
+		: {};
+
+	return { summary: trimmedResult, metadata };
 }
 
 async function generateChapterSummary(mes_id) {
@@ -1989,14 +3116,19 @@ export async function summarizeChapter(messageOrId, options={}) {
 	let last_end = chat.slice(0, mes_id + 1).findLastIndex((it) => it.extra?.rmr_chapter);
 	if (last_end < 0) { last_end = 0; }
 
-	const summary = await generateChapterSummary(mes_id);
+	const { summary, metadata } = await generateChapterSummary(mes_id);
 	if (summary.length === 0) {
 		errorToast("Chapter summary returned empty!");
 		return;
 	}
 
+	// A title chosen by the Arc Analyzer takes precedence over a generated one
+	if (options.title) {
+		metadata.title = options.title;
+	}
+
 	// Add to timeline
-	addChapterToTimeline(summary, last_end, mes_id);
+	addChapterToTimeline(summary, last_end, mes_id, metadata);
 
 	// Mark chapter end
 	chat[mes_id].extra.rmr_chapter = true;
@@ -2032,6 +3164,11 @@ export async function resummarizeChapter(chapterNumber, options = {}) {
 	const chapter = timelineData[chapterIndex];
 	const chat = getContext().chat;
 
+	if (chapter.archived) {
+		oopsToast(`Chapter ${chapterNumber} is archived; its messages are not in this chat.`);
+		return "";
+	}
+
 	const startIdx = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
 	const endIdx = chapter.endMsgId;
 	if (endIdx >= chat.length) {
@@ -2059,17 +3196,139 @@ export async function resummarizeChapter(chapterNumber, options = {}) {
 		};
 	}));
 
-	const summary = await summarizeHistoryEntries(processedHistory, { targetMessageId: endIdx, hideAfter: false, resummarizeChapterNumber: chapterNumber });
+	const { summary, metadata } = await summarizeHistoryEntries(processedHistory, { targetMessageId: endIdx, hideAfter: false, resummarizeChapterNumber: chapterNumber });
 	if (!summary.length) {
 		return "";
 	}
 
-	timelineData[chapterIndex].summary = summary;
+	setChapterSummary(timelineData[chapterIndex], summary, RevisionSource.RESUMMARIZE, commandArgs?.profile || settings.profile);
+	timelineData[chapterIndex].contentHash = chapterContentHash(chapter);
+	delete timelineData[chapterIndex].contentChanged;
+	// Keep the existing title (e.g. from the Arc Analyzer) and only fill in fields the new pass produced
+	const { title, ...generated } = metadata;
+	Object.assign(timelineData[chapterIndex], generated);
+	if (title && !timelineData[chapterIndex].title) {
+		timelineData[chapterIndex].title = title;
+	}
 	saveTimelineData();
 	doneToast(`Chapter ${chapterNumber} summary updated.`);
 	return summary;
 }
 
+/**
+ * Resummarize every stale chapter in order, showing progress in the retrieval overlay
+ * @param {Object} [options] - Command arguments passed on to resummarizeChapter (e.g. profile)
+ * @returns {Promise<number[]>} Numbers of the chapters that were resummarized
+ */
+export async function resummarizeStaleChapters(options = {}) {
+	const stale = getStaleChapters();
+	if (!stale.length) {
+		oopsToast("No stale chapters to resummarize.");
+		return [];
+	}
+
+	const showProgress = !isProgressVisible();
+	if (showProgress) showRetrievalProgress('querying', 'Resummarizing Stale Chapters');
+
+	const updated = [];
+	try {
+		for (const [index, chapterNumber] of stale.entries()) {
+			updateRetrievalProgress({ current: index, total: stale.length, message: `Resummarizing chapter ${chapterNumber}...` });
+			if (await resummarizeChapter(chapterNumber, options)) {
+				updated.push(chapterNumber);
+			}
+		}
+		updateRetrievalProgress({ phase: 'complete', current: stale.length, total: stale.length, message: `Resummarized ${updated.length} of ${stale.length} chapters.` });
+	} finally {
+		if (showProgress) hideRetrievalProgress();
+	}
+	return updated;
+}
+
+// ---- Volumes ----
+
+async function generateVolumeSummary(startChapter, endChapter) {
+	const content = timelineData
+		.slice(startChapter - 1, endChapter)
+		.map((chapter, offset) => `Chapter ${startChapter + offset}: ${chapter.summary}`)
+		.join("\n\n");
+	infoToast(`Generating volume summary for chapters ${startChapter}-${endChapter}....`);
+	const result = await genSummaryWithSlash(content, 0, {
+		resummarizeChapterNumber: startChapter,
+		userTemplate: settings.volume_prompt_template,
+		systemTemplate: settings.volume_system_prompt,
+		workflow: Workflow.VOLUME_SUMMARY,
+	});
+	return typeof result === 'string' ? result.trim() : '';
+}
+
+/**
+ * Roll a contiguous run of chapters up into a volume with its own summary
+ * @param {number} startChapter - First chapter (1-based, inclusive)
+ * @param {number} endChapter - Last chapter (1-based, inclusive)
+ * @param {Object} options - Command args (profile, quiet)
+ * @returns {Promise<string>} The volume summary, or an empty string on failure
+ */
+export async function createVolume(startChapter, endChapter, options = {}) {
+	commandArgs = options;
+	loadTimelineData();
+
+	if (!Number.isInteger(startChapter) || !Number.isInteger(endChapter) || startChapter < 1 || endChapter > timelineData.length || startChapter > endChapter) {
+		errorToast(`Invalid chapter range ${startChapter}-${endChapter} (timeline has ${timelineData.length} chapters).`);
+		return "";
+	}
+	const overlapping = timelineVolumes.findIndex(v => startChapter <= v.endChapter && endChapter >= v.startChapter);
+	if (overlapping >= 0) {
+		errorToast(`Chapters ${startChapter}-${endChapter} overlap volume ${overlapping + 1}. Dissolve it first.`);
+		return "";
+	}
+
+	const summary = await generateVolumeSummary(startChapter, endChapter);
+	if (!summary.length) {
+		errorToast("Volume summary returned empty!");
+		return "";
+	}
+
+	timelineVolumes.push({ summary, startChapter, endChapter });
+	timelineVolumes.sort((a, b) => a.startChapter - b.startChapter);
+	saveTimelineData();
+	doneToast(`Volume ${getVolumeForChapter(startChapter)} created from chapters ${startChapter}-${endChapter}.`);
+	return summary;
+}
+
+export async function resummarizeVolume(volumeNumber, options = {}) {
+	commandArgs = options;
+	loadTimelineData();
+	if (volumeNumber < 1 || volumeNumber > timelineVolumes.length) {
+		errorToast(`Volume ${volumeNumber} not found.`);
+		return "";
+	}
+
+	const volume = timelineVolumes[volumeNumber - 1];
+	const summary = await generateVolumeSummary(volume.startChapter, volume.endChapter);
+	if (!summary.length) {
+		oopsToast("No final content - skipping summary.");
+		return "";
+	}
+
+	volume.summary = summary;
+	saveTimelineData();
+	doneToast(`Volume ${volumeNumber} summary updated.`);
+	return summary;
+}
+
+// Remove a volume, leaving its chapters in the timeline
+export function dissolveVolume(volumeNumber) {
+	loadTimelineData();
+	if (volumeNumber < 1 || volumeNumber > timelineVolumes.length) {
+		return null;
+	}
+	const [removed] = timelineVolumes.splice(volumeNumber - 1, 1);
+	saveTimelineData();
+	debug('Dissolved volume:', removed);
+	return removed;
+}
+
 // Removed lorebook functionality - these functions are no longer needed
 export async function rememberEvent() {
 	oopsToast("Memory events are no longer saved to lorebooks. Chapters are now tracked in the timeline.");
@@ -2125,6 +3384,37 @@ function validateArcItems(items) {
         .filter(Boolean);
 }
 
+/**
+ * Send an Arc Analyzer request, retrying replies without a JSON array or whose items are all invalid
+ * @param {string} profileId - Arc Analyzer profile
+ * @param {Array<{role: string, content: string}>} messages - Prompt messages
+ * @returns {Promise<Array>} Validated arcs; empty only when the reply was an empty array
+ */
+async function sendArcRequest(profileId, messages) {
+    return await sendRequestWithRetry({
+        workflow: Workflow.ARC_ANALYSIS,
+        profileId,
+        messages,
+        custom: { includePreset: true, includeInstruct: true, stream: false },
+        parse: async (result, usedProfileId) => {
+            const content = result?.content || result || '';
+            const parsed = await reasoningParser(content, usedProfileId);
+            const finalContent = parsed ? parsed.content : content;
+
+            const unfenced = stripJsonFences(finalContent);
+            const arr = tryParseJsonArray(unfenced);
+            if (!Array.isArray(arr)) {
+                throw new Error('Arc Analyzer response did not include a JSON array');
+            }
+            const arcs = validateArcItems(arr);
+            if (arr.length && !arcs.length) {
+                throw new Error('Arc Analyzer response had no valid arc entries');
+            }
+            return arcs;
+        },
+    });
+}
+
 function _sanitize(text) {
     try {
         if (typeof DOMPurify !== 'undefined') return DOMPurify.sanitize(String(text ?? ''));
@@ -2160,9 +3450,12 @@ function getMostRecentMessageId() {
 /**
  * Fetch arcs from the API (without showing popup or managing session state)
  * @param {string|null} profileOverride - Optional profile ID override
+ * @param {Object} [span] - Optional message range to analyze instead of the whole visible chat
+ * @param {number} [span.startMsgId] - First message ID to include
+ * @param {number} [span.endMsgId] - Last message ID to include
  * @returns {Promise<Array>} Array of validated arc objects
  */
-async function fetchArcsFromAPI(profileOverride = null) {
+async function fetchArcsFromAPI(profileOverride = null, { startMsgId = null, endMsgId = null } = {}) {
     const context = getContext();
     const profileId = profileOverride || settings.arc_profile;
 
@@ -2171,7 +3464,26 @@ async function fetchArcsFromAPI(profileOverride = null) {
     }
 
     // Build prompt content
-    const history = evaluateMacros('{{chapterHistory}}', {});
+    let history;
+    if (startMsgId !== null) {
+        // Same shape as {{chapterHistory}}, limited to the requested span
+        const chat = context.chat || [];
+        const last = endMsgId ?? chat.length - 1;
+        const items = [];
+        for (let i = startMsgId; i <= last && i < chat.length; i++) {
+            const m = chat[i];
+            if (m?.is_system) continue;
+            items.push({
+                id: i,
+                name: String(m?.name || (m?.is_user ? context.name1 : context.name2) || ''),
+                role: m?.is_user ? 'user' : 'assistant',
+                text: String(m?.mes || ''),
+            });
+        }
+        history = JSON.stringify(items);
+    } else {
+        history = evaluateMacros('{{chapterHistory}}', {});
+    }
     let prompt = settings.arc_analyzer_prompt_template || '';
     prompt = prompt.replace(/{{chapterHistory}}/gi, history);
     prompt = context.substituteParams(prompt, context.name1, context.name2);
@@ -2188,30 +3500,47 @@ async function fetchArcsFromAPI(profileOverride = null) {
     if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
     messages.push({ role: 'user', content: prompt });
 
-    // Token + overrides
-    const maxTokens = await getMaxTokensForProfile(profileId);
-    const overridePayload = buildOverridePayload(profileId, maxTokens);
-    const reasoningEffort = getReasoningEffort(profileId);
-    if (reasoningEffort !== undefined) overridePayload.reasoning_effort = reasoningEffort;
-    const includeReasoning = getIncludeReasoning(profileId);
-    if (includeReasoning !== undefined) overridePayload.include_reasoning = includeReasoning;
+    return await sendArcRequest(profileId, messages);
+}
 
-    // Send via ConnectionManagerRequestService
-    const result = await ConnectionManagerRequestService.sendRequest(
-        profileId,
-        messages,
-        maxTokens,
-        { includePreset: true, includeInstruct: true, stream: false },
-        overridePayload,
-    );
+/**
+ * Run the Arc Analyzer on one span of messages, for callers outside this module
+ * @param {{startMsgId: number, endMsgId: number}} span - Message range to analyze
+ * @param {string|null} profileOverride - Optional profile ID override
+ * @returns {Promise<Array>} Arcs ending inside the span, sorted by chapterEnd
+ */
+export async function analyzeArcSpan(span, profileOverride = null) {
+    isInternalGeneration = true;
+    try {
+        const arcs = await fetchArcsFromAPI(profileOverride, span);
+        return arcs
+            .filter((arc) => arc.chapterEnd >= span.startMsgId && arc.chapterEnd <= span.endMsgId)
+            .sort((a, b) => a.chapterEnd - b.chapterEnd);
+    } finally {
+        isInternalGeneration = false;
+    }
+}
 
-    const content = result?.content || result || '';
-    const parsed = await reasoningParser(content, profileId);
-    const finalContent = parsed ? parsed.content : content;
+/**
+ * Number of tokens of chat history that fit in one Arc Analyzer request: the profile's context size,
+ * less the response length and the prompts without their {{chapterHistory}}
+ * @param {string|null} profileOverride - Optional profile ID override
+ * @returns {Promise<number>}
+ */
+export async function getArcHistoryBudget(profileOverride = null) {
+    const context = getContext();
+    const profileId = profileOverride || settings.arc_profile;
+    if (!profileId) {
+        throw new Error('No arc analyzer profile selected');
+    }
 
-    const unfenced = stripJsonFences(finalContent);
-    const arr = tryParseJsonArray(unfenced);
-    return validateArcItems(arr);
+    const prompts = [settings.arc_analyzer_system_prompt || '', settings.arc_analyzer_prompt_template || '']
+        .map((prompt) => context.substituteParams(prompt.replace(/{{chapterHistory}}/gi, ''), context.name1, context.name2))
+        .join('\n');
+    const promptTokens = await context.getTokenCountAsync(prompts);
+    const available = getContextSizeForProfile(profileId) - await getMaxTokensForProfile(profileId) - promptTokens;
+    // Leave room for tokenizer differences and message formatting
+    return Math.floor(available * 0.9);
 }
 
 /**
@@ -2330,7 +3659,7 @@ async function showArcPopup(arcs) {
                 btn.disabled = true;
 
                 // Call summarizeChapter directly with the profile override (pass ID directly)
-                const options = {};
+                const options = { title: arc.title };
                 if (settings.profile) {
                     options.profile = settings.profile;
                 }
@@ -2536,7 +3865,7 @@ async function showArcPopup(arcs) {
                             btn.textContent = 'Summarizing...';
                             btn.disabled = true;
 
-                            const options = {};
+                            const options = { title: arc.title };
                             if (settings.profile) options.profile = settings.profile;
                             await summarizeChapter(mesId, options);
 
@@ -2699,30 +4028,7 @@ export async function analyzeArcs(profileOverride = null, forceReanalyze = false
         if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
         messages.push({ role: 'user', content: prompt });
 
-        // Token + overrides
-        const maxTokens = await getMaxTokensForProfile(profileId);
-        const overridePayload = buildOverridePayload(profileId, maxTokens);
-        const reasoningEffort = getReasoningEffort(profileId);
-        if (reasoningEffort !== undefined) overridePayload.reasoning_effort = reasoningEffort;
-        const includeReasoning = getIncludeReasoning(profileId);
-        if (includeReasoning !== undefined) overridePayload.include_reasoning = includeReasoning;
-
-        // Send via ConnectionManagerRequestService
-        const result = await ConnectionManagerRequestService.sendRequest(
-            profileId,
-            messages,
-            maxTokens,
-            { includePreset: true, includeInstruct: true, stream: false },
-            overridePayload,
-        );
-
-        const content = result?.content || result || '';
-        const parsed = await reasoningParser(content, profileId);
-        const finalContent = parsed ? parsed.content : content;
-
-        const unfenced = stripJsonFences(finalContent);
-        const arr = tryParseJsonArray(unfenced);
-        const arcs = validateArcItems(arr);
+        const arcs = await sendArcRequest(profileId, messages);
 
         if (!arcs.length) {
             toastr.warning('No valid arc entries found in output', 'Arc Analyzer');
@@ -2743,3 +4049,87 @@ export async function analyzeArcs(profileOverride = null, forceReanalyze = false
         isInternalGeneration = false;
     }
 }
+
+// ---- Auto Chapter ----
+
+let autoChapterRunning = false;
+
+/**
+ * Measure the open (not yet summarized) chapter: everything after the last chapter marker
+ * @returns {Promise<{startMsgId: number, endMsgId: number, messageCount: number, tokenCount: number}|null>}
+ */
+async function measureOpenChapter() {
+    const context = getContext();
+    const chat = context.chat || [];
+    if (!chat.length) return null;
+
+    const lastMarker = chat.findLastIndex((it) => it.extra?.rmr_chapter);
+    const startMsgId = lastMarker + 1;
+    const endMsgId = chat.length - 1;
+    if (startMsgId > endMsgId) return null;
+
+    const visible = chat.slice(startMsgId).filter((it) => !it.is_system);
+    const text = visible.map((it) => `${it.name}: ${it.mes}`).join("\n\n");
+    const tokenCount = settings.auto_chapter_token_limit > 0 ? await context.getTokenCountAsync(text) : 0;
+
+    return { startMsgId, endMsgId, messageCount: visible.length, tokenCount };
+}
+
+/**
+ * End the open chapter automatically if it has grown past the configured message or token limit.
+ * Called after every received message.
+ */
+export async function checkAutoChapter() {
+    if (!settings.auto_chapter_enabled) return;
+    if (autoChapterRunning || isInternalGeneration) return;
+    if (isAgentSessionActive()) return;
+
+    const messageLimit = Number(settings.auto_chapter_message_limit) || 0;
+    const tokenLimit = Number(settings.auto_chapter_token_limit) || 0;
+    if (messageLimit <= 0 && tokenLimit <= 0) return;
+
+    autoChapterRunning = true;
+    try {
+        const span = await measureOpenChapter();
+        if (!span) return;
+
+        const overMessages = messageLimit > 0 && span.messageCount >= messageLimit;
+        const overTokens = tokenLimit > 0 && span.tokenCount >= tokenLimit;
+        if (!overMessages && !overTokens) return;
+
+        debug('Auto chapter threshold crossed:', span);
+
+        const options = {};
+        if (settings.profile) {
+            options.profile = settings.profile;
+        }
+
+        let endMsgId = span.endMsgId;
+        if (settings.auto_chapter_mode === AutoChapterMode.ARC) {
+            isInternalGeneration = true;
+            try {
+                const arcs = (await fetchArcsFromAPI(null, span))
+                    .filter((arc) => arc.chapterEnd >= span.startMsgId && arc.chapterEnd <= span.endMsgId);
+                if (arcs.length) {
+                    // Arcs all start at the chapter start, so the latest complete endpoint closes the most content
+                    endMsgId = Math.max(...arcs.map((arc) => arc.chapterEnd));
+                } else {
+                    toastr.warning('Arc Analyzer suggested no endpoint; ending chapter at the latest message.', 'Timeline Memory');
+                }
+            } catch (err) {
+                console.error('Auto chapter arc analysis failed:', err);
+                toastr.warning('Arc analysis failed; ending chapter at the latest message.', 'Timeline Memory');
+            } finally {
+                isInternalGeneration = false;
+            }
+        }
+
+        toastr.info(`Open chapter is over its limit (${span.messageCount} messages${tokenLimit > 0 ? `, ${span.tokenCount} tokens` : ''}). Ending chapter at message ${endMsgId}...`, 'Timeline Memory');
+        await summarizeChapter(endMsgId, options);
+    } catch (err) {
+        console.error('Auto chapter failure:', err);
+        toastr.error('Automatic chapter end failed', 'Timeline Memory');
+    } finally {
+        autoChapterRunning = false;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Query Cache Module
+ *
+ * Remembers chapter query answers per chat, so Timeline Fill does not ask the same question about an
+ * unchanged chapter twice. Entries are keyed on the chapters queried, their content hashes and the query
+ * prompt and profile, and match the query text exactly or, optionally, by word overlap.
+ */
+
+import { getContext, saveMetadataDebounced } from "../../../../extensions.js";
+import { settings } from "./settings.js";
+import { debug } from "./logging.js";
+import { tokenize } from "./timeline-search.js";
+
+const CACHE_METADATA_KEY = 'timeline_query_cache';
+// Oldest entries are dropped beyond this, to keep the chat file small
+const MAX_ENTRIES = 200;
+
+function getCache() {
+    const metadata = getContext().chatMetadata;
+    if (!metadata[CACHE_METADATA_KEY]) {
+        metadata[CACHE_METADATA_KEY] = { entries: [], hits: 0, misses: 0 };
+    }
+    return metadata[CACHE_METADATA_KEY];
+}
+
+function normalizeQuery(query) {
+    return String(query ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Jaccard overlap of the query terms
+function similarity(a, b) {
+    const termsA = new Set(tokenize(a));
+    const termsB = new Set(tokenize(b));
+    if (!termsA.size || !termsB.size) return 0;
+    let shared = 0;
+    for (const term of termsA) {
+        if (termsB.has(term)) shared++;
+    }
+    return shared / (termsA.size + termsB.size - shared);
+}
+
+function isExpired(entry) {
+    const ttl = Number(settings.query_cache_ttl) || 0;
+    return ttl > 0 && Date.now() - entry.created > ttl * 60000;
+}
+
+/**
+ * Look up a cached answer
+ * @param {string} key - Chapters, content hashes, prompt and profile of the query
+ * @param {string} query - Query text
+ * @returns {string|null} The cached answer, or null on a miss
+ */
+export function getCachedAnswer(key, query) {
+    if (!settings.query_cache_enabled) return null;
+    const cache = getCache();
+    cache.entries = cache.entries.filter(entry => !isExpired(entry));
+
+    const normalized = normalizeQuery(query);
+    const threshold = (Number(settings.query_cache_similarity) || 0) / 100;
+    let match = cache.entries.find(entry => entry.key === key && entry.query === normalized);
+    if (!match && threshold > 0) {
+        let best = threshold;
+        for (const entry of cache.entries) {
+            if (entry.key !== key) continue;
+            const score = similarity(entry.query, normalized);
+            if (score >= best) {
+                best = score;
+                match = entry;
+            }
+        }
+    }
+
+    if (match) {
+        cache.hits++;
+        debug('Query cache hit:', query, match);
+    } else {
+        cache.misses++;
+    }
+    saveMetadataDebounced();
+    return match ? match.answer : null;
+}
+
+/**
+ * Store an answer for later queries
+ * @param {string} key - Chapters, content hashes, prompt and profile of the query
+ * @param {string} query - Query text
+ * @param {string} answer - The answer to cache
+ */
+export function storeAnswer(key, query, answer) {
+    if (!settings.query_cache_enabled || !answer) return;
+    const cache = getCache();
+    const normalized = normalizeQuery(query);
+    cache.entries = cache.entries.filter(entry => !(entry.key === key && entry.query === normalized));
+    cache.entries.push({ key, query: normalized, answer, created: Date.now() });
+    if (cache.entries.length > MAX_ENTRIES) {
+        cache.entries.splice(0, cache.entries.length - MAX_ENTRIES);
+    }
+    saveMetadataDebounced();
+}
+
+/**
+ * Remove cached answers
+ * @returns {number} Number of entries removed
+ */
+export function clearQueryCache() {
+    const cache = getCache();
+    const removed = cache.entries.length;
+    getContext().chatMetadata[CACHE_METADATA_KEY] = { entries: [], hits: 0, misses: 0 };
+    saveMetadataDebounced();
+    return removed;
+}
+
+/**
+ * Cache size and hit rate for this chat
+ * @returns {{entries: number, expired: number, hits: number, misses: number, hitRate: number}}
+ */
+export function getQueryCacheStats() {
+    const cache = getCache();
+    const expired = cache.entries.filter(isExpired).length;
+    const lookups = cache.hits + cache.misses;
+    return {
+        entries: cache.entries.length - expired,
+        expired,
+        hits: cache.hits,
+        misses: cache.misses,
+        hitRate: lookups ? cache.hits / lookups : 0,
+    };
+}
@@ -0,0 +1,203 @@
+/**
+ * Request Retry Module
+ *
+ * Sends a workflow's requests with retries. Rate limits, server errors and dropped connections are retried with
+ * exponential backoff, honouring the Retry-After the provider asked for, and replies the workflow cannot use
+ * (empty, or without the JSON it expects) are asked for again. When a profile keeps failing, the workflow's
+ * fallback profiles are tried in order.
+ */
+
+import { extension_settings } from "../../../../extensions.js";
+import { settings } from "./settings.js";
+import { sendTrackedRequest, isBudgetError, Workflow } from "./usage.js";
+import { log, debug } from "./logging.js";
+
+const MAX_RETRY_DELAY_MS = 60000;
+const MAX_RETRY_AFTER_MS = 120000;  // Longer waits asked for by the provider move on to the next profile instead
+
+// Profile setting whose fallback list each workflow uses
+const WORKFLOW_PROFILE_SETTINGS = {
+    [Workflow.SUMMARY]: 'profile',
+    [Workflow.CHUNK_SUMMARY]: 'profile',
+    [Workflow.CHAPTER_METADATA]: 'profile',
+    [Workflow.VOLUME_SUMMARY]: 'profile',
+    [Workflow.QUERY]: 'query_profile',
+    [Workflow.TIMELINE_FILL]: 'timeline_fill_profile',
+    [Workflow.ARC_ANALYSIS]: 'arc_profile',
+    'agent:lore': 'lore_management_profile',
+    'agent:timeline': 'agentic_timeline_fill_profile',
+};
+
+/**
+ * @param {string} workflow
+ * @returns {string[]} IDs of the fallback profiles of the workflow, in the order they are tried
+ */
+export function getFallbackProfiles(workflow) {
+    const key = WORKFLOW_PROFILE_SETTINGS[workflow];
+    const list = key ? settings.fallback_profiles?.[key] : null;
+    return Array.isArray(list) ? list : [];
+}
+
+function getProfile(profileId) {
+    return extension_settings.connectionManager?.profiles?.find(p => p.id === profileId) ?? null;
+}
+
+/**
+ * HTTP status of a failed request, from the error or its message
+ * @param {*} err
+ * @returns {number|null}
+ */
+function errorStatus(err) {
+    const status = Number(err?.status ?? err?.response?.status ?? err?.error?.status ?? err?.error?.code);
+    if (status >= 400 && status < 600) return status;
+    const match = errorMessage(err).match(/\b(4\d\d|5\d\d)\b/);
+    return match ? Number(match[1]) : null;
+}
+
+function errorMessage(err) {
+    return String(err?.message ?? err?.error?.message ?? err ?? '');
+}
+
+/**
+ * Wait the provider asked for, from a Retry-After header or the error message
+ * @param {*} err
+ * @returns {number|null} Milliseconds
+ */
+function retryAfterMs(err) {
+    const header = err?.headers?.get?.('retry-after') ?? err?.response?.headers?.get?.('retry-after') ?? err?.retryAfter ?? err?.error?.retry_after;
+    if (header !== undefined && header !== null) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    // "Retry after 20 seconds", or Google's "retryDelay": "20s"
+    const match = errorMessage(err).match(/retry[- _]?(?:after|delay)\W+(\d+(?:\.\d+)?)\s*s/i);
+    return match ? Number(match[1]) * 1000 : null;
+}
+
+/**
+ * Whether a request failed without reaching the provider or without a complete answer: a dropped connection,
+ * a timeout or a network failure. Other errors without a status, such as a missing profile, are not retried.
+ * @param {*} err
+ * @returns {boolean}
+ */
+function isNetworkError(err) {
+    if (err?.name === 'TimeoutError' || err?.name === 'NetworkError') return true;
+    if (err instanceof TypeError && /fetch|network|load failed/i.test(errorMessage(err))) return true;
+    return /network|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|connection (?:reset|closed|refused)|fetch failed/i.test(errorMessage(err));
+}
+
+/**
+ * Whether trying the same profile again can help
+ * @param {*} err
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+    if (err?.invalidResponse) return true;
+    const status = errorStatus(err);
+    if (status !== null) return status === 408 || status === 409 || status === 429 || status >= 500;
+    return isNetworkError(err);
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Request stopped', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request stopped', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * @param {number} attempt - Retry number, from 1
+ * @param {*} err - Error of the failed attempt
+ * @returns {number|null} Milliseconds to wait, or null if the provider asked for too long a wait
+ */
+function retryDelay(attempt, err) {
+    const requested = retryAfterMs(err);
+    if (requested !== null) {
+        return requested > MAX_RETRY_AFTER_MS ? null : requested;
+    }
+    const base = Math.max(0, Number(settings.request_retry_delay) || 0) * 1000;
+    const delay = Math.min(MAX_RETRY_DELAY_MS, base * 2 ** (attempt - 1));
+    return Math.round(delay * (1 + Math.random() * 0.25));
+}
+
+/**
+ * Send a request through a workflow's profile, retrying and falling back to other profiles as needed
+ * Each profile is sent with its own response length and override payload. Errors from parse mark the reply as
+ * unusable and are retried like failed requests; stopping the request or reaching the usage budget is never retried.
+ * @param {Object} request
+ * @param {string} request.workflow - Workflow value from usage.js, or agentWorkflow()
+ * @param {string} request.profileId - Profile to try first
+ * @param {Array<Object>} request.messages - Prompt
+ * @param {Object} [request.custom] - Request options (includePreset, stream, signal, extractData...)
+ * @param {Object} [request.overridePayload] - Fields added to each profile's override payload
+ * @param {function(*, string): *} [request.parse] - Turns a response into the value to return; receives the profile used
+ * @param {function(Object): boolean} [request.canUseProfile] - Skips fallback profiles the request cannot be sent through
+ * @param {function(Object): void} [request.onRetry] - Told of each retry and fallback: {profileId, profileName, attempt, delay, fallback, message}
+ * @returns {Promise<*>} The parsed response, or the response itself without parse
+ */
+export async function sendRequestWithRetry({ workflow, profileId, messages, custom = {}, overridePayload = {}, parse = null, canUseProfile = null, onRetry = null }) {
+    const { getProfileRequestOptions } = await import('./memories.js');
+    const signal = custom.signal;
+    const retries = Math.max(0, Number(settings.request_retries) || 0);
+    const profiles = [...new Set([profileId, ...getFallbackProfiles(workflow)])].filter((id, index) => {
+        if (index === 0) return true;
+        const profile = getProfile(id);
+        return profile && (!canUseProfile || canUseProfile(profile));
+    });
+
+    let lastError = null;
+    for (const [index, id] of profiles.entries()) {
+        if (index > 0) {
+            const name = getProfile(id)?.name ?? id;
+            log(`Falling back to profile "${name}" for ${workflow}`);
+            toastr.info(`Request failed; trying fallback profile "${name}"`, 'Timeline Memory');
+            onRetry?.({ profileId: id, profileName: name, attempt: 0, delay: 0, fallback: true, message: errorMessage(lastError) });
+        }
+        const options = await getProfileRequestOptions(id);
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = retryDelay(attempt, lastError);
+                if (delay === null) break;
+                log(`Retrying ${workflow} request in ${Math.round(delay / 1000)} s (${attempt}/${retries}): ${errorMessage(lastError)}`);
+                onRetry?.({ profileId: id, profileName: getProfile(id)?.name ?? id, attempt, delay, fallback: false, message: errorMessage(lastError) });
+                await wait(delay, signal);
+            }
+
+            try {
+                const result = await sendTrackedRequest(workflow, id, messages, options.maxTokens, custom, { ...options.overridePayload, ...overridePayload });
+                if (!parse) return result;
+                try {
+                    return await parse(result, id);
+                } catch (err) {
+                    if (signal?.aborted) throw err;
+                    err.invalidResponse = true;
+                    throw err;
+                }
+            } catch (err) {
+                if (signal?.aborted || err?.name === 'AbortError' || isBudgetError(err)) throw err;
+                lastError = err;
+                debug(`${workflow} request through ${id} failed:`, err);
+                if (!isRetryable(err)) {
+                    // Errors the provider did not send, such as a missing profile, are not helped by another profile either
+                    if (errorStatus(err) === null) throw err;
+                    break;
+                }
+            }
+        }
+    }
+    throw lastError;
+}
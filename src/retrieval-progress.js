@@ -5,6 +5,7 @@
 
 let progressOverlay = null;
 let currentPhase = null;
+let stopHandler = null;
 
 /**
  * Create the progress notification HTML structure
@@ -19,6 +20,9 @@ function createProgressOverlay() {
             <div class="rmr-retrieval-progress-header">
                 <i class="fa-solid fa-brain rmr-retrieval-icon"></i>
                 <span class="rmr-retrieval-title">Timeline Retrieval</span>
+                <button type="button" class="menu_button rmr-retrieval-stop" title="Stop the running queries">
+                    <i class="fa-solid fa-stop"></i> Stop
+                </button>
             </div>
             <div class="rmr-retrieval-progress-body">
                 <div class="rmr-retrieval-phase" id="rmr-phase-analysis">
@@ -44,6 +48,7 @@ function createProgressOverlay() {
                             </div>
                             <span class="rmr-progress-text" id="rmr-progress-text">0/0</span>
                         </div>
+                        <div class="rmr-stream-preview" id="rmr-stream-preview"></div>
                     </div>
                 </div>
             </div>
@@ -55,12 +60,18 @@ function createProgressOverlay() {
 /**
  * Show the retrieval progress notification
  * @param {string} phase - The initial phase: 'analysis' or 'querying'
+ * @param {string} [title] - Heading for operations other than retrieval
  */
-export function showRetrievalProgress(phase = 'analysis') {
+export function showRetrievalProgress(phase = 'analysis', title = null) {
     // Remove existing overlay if any
     hideRetrievalProgress();
 
     progressOverlay = createProgressOverlay();
+    if (title) {
+        progressOverlay.querySelector('.rmr-retrieval-title').textContent = title;
+    }
+    progressOverlay.querySelector('.rmr-retrieval-stop').addEventListener('click', () => stopHandler?.());
+    updateStopButton();
     document.body.appendChild(progressOverlay);
 
     // Trigger animation
@@ -193,6 +204,41 @@ export function updateRetrievalProgress({ phase, current, total, message } = {})
     }
 }
 
+/**
+ * Show the latest streamed text of the running query below the progress bar
+ * @param {string} text - Text received so far
+ */
+export function updateStreamPreview(text) {
+    if (!progressOverlay) return;
+    const preview = progressOverlay.querySelector('#rmr-stream-preview');
+    // Only the tail fits in the popup
+    preview.textContent = text.length > 300 ? `…${text.slice(-300)}` : text;
+    preview.scrollTop = preview.scrollHeight;
+}
+
+/**
+ * Set what the Stop button does; the button is hidden while no handler is set
+ * @param {Function|null} handler - Called when Stop is clicked
+ */
+export function setProgressStopHandler(handler) {
+    stopHandler = handler;
+    updateStopButton();
+}
+
+/**
+ * @returns {Function|null} What the Stop button currently does
+ */
+export function getProgressStopHandler() {
+    return stopHandler;
+}
+
+function updateStopButton() {
+    const button = progressOverlay?.querySelector('.rmr-retrieval-stop');
+    if (button) {
+        button.style.display = stopHandler ? '' : 'none';
+    }
+}
+
 /**
  * Get whether the progress overlay is currently visible
  * @returns {boolean}
@@ -0,0 +1,223 @@
+/**
+ * Setting Overrides Module
+ *
+ * Layers per-character and per-chat overrides over the global settings. Reads resolve chat, then character,
+ * then global; writes from the settings panel go to the layer chosen as the editing scope. Character overrides
+ * are kept in the extension settings keyed by the character's avatar, chat overrides in the chat metadata.
+ */
+
+import { extension_settings, saveMetadataDebounced } from "../../../../extensions.js";
+import { chat_metadata, characters, this_chid, getCurrentChatId, saveSettingsDebounced } from "../../../../../script.js";
+import { isTrueBoolean, isFalseBoolean } from "../../../../utils.js";
+
+const CHAT_OVERRIDES_KEY = 'timeline_settings_overrides';
+
+export const OverrideScope = {
+    GLOBAL: 'global',
+    CHARACTER: 'character',
+    CHAT: 'chat',
+};
+
+let globalSettings = {};
+let overridableKeys = new Set();
+let editScope = OverrideScope.GLOBAL;
+
+function currentCharacterKey() {
+    // Group chats have no single character to attach overrides to
+    if (this_chid === undefined || this_chid === null || this_chid < 0) return null;
+    return characters[this_chid]?.avatar ?? null;
+}
+
+/**
+ * Overrides stored in a layer for the current chat
+ * @param {string} scope - OverrideScope.CHARACTER or OverrideScope.CHAT
+ * @param {boolean} [create] - Create the layer if it does not exist yet
+ * @returns {Object|null} Null when the layer does not apply here
+ */
+function getLayer(scope, create = false) {
+    if (scope === OverrideScope.CHAT) {
+        if (!getCurrentChatId()) return null;
+        if (create && !chat_metadata[CHAT_OVERRIDES_KEY]) {
+            chat_metadata[CHAT_OVERRIDES_KEY] = {};
+        }
+        return chat_metadata[CHAT_OVERRIDES_KEY] ?? null;
+    }
+    if (scope === OverrideScope.CHARACTER) {
+        const key = currentCharacterKey();
+        if (!key) return null;
+        if (create) {
+            globalSettings.character_overrides ??= {};
+            globalSettings.character_overrides[key] ??= {};
+        }
+        return globalSettings.character_overrides?.[key] ?? null;
+    }
+    return null;
+}
+
+function saveLayer(scope) {
+    if (scope === OverrideScope.CHAT) {
+        saveMetadataDebounced();
+    } else {
+        saveSettingsDebounced();
+    }
+}
+
+/**
+ * Wrap the global settings so that reads see the overrides of the current character and chat
+ * @param {Object} target - Global settings object, as stored in the extension settings
+ * @param {string[]} keys - Settings that may be overridden
+ * @returns {Object} Proxy to use in place of the settings object
+ */
+export function createLayeredSettings(target, keys) {
+    globalSettings = target;
+    overridableKeys = new Set(keys);
+    return new Proxy(target, {
+        get(obj, key) {
+            if (overridableKeys.has(key)) {
+                for (const scope of [OverrideScope.CHAT, OverrideScope.CHARACTER]) {
+                    const layer = getLayer(scope);
+                    if (layer && Object.hasOwn(layer, key)) return layer[key];
+                }
+            }
+            return obj[key];
+        },
+        set(obj, key, value) {
+            if (editScope !== OverrideScope.GLOBAL && overridableKeys.has(key)) {
+                const layer = getLayer(editScope, true);
+                if (layer) {
+                    layer[key] = value;
+                    saveLayer(editScope);
+                    return true;
+                }
+            }
+            obj[key] = value;
+            return true;
+        },
+    });
+}
+
+/**
+ * @param {string} key - Setting name
+ * @returns {boolean} Whether the setting can be overridden per character or chat
+ */
+export function isOverridable(key) {
+    return overridableKeys.has(key);
+}
+
+/**
+ * @returns {string[]} Names of all settings that can be overridden
+ */
+export function getOverridableKeys() {
+    return [...overridableKeys];
+}
+
+/**
+ * @param {string} scope - OverrideScope
+ * @returns {boolean} Whether the layer applies to the current chat
+ */
+export function isScopeAvailable(scope) {
+    if (scope === OverrideScope.GLOBAL) return true;
+    if (scope === OverrideScope.CHAT) return !!getCurrentChatId();
+    return !!currentCharacterKey();
+}
+
+export function getEditScope() {
+    return editScope;
+}
+
+/**
+ * Choose the layer that settings panel changes are written to
+ * @param {string} scope - OverrideScope
+ * @returns {boolean} False if the layer does not apply to the current chat
+ */
+export function setEditScope(scope) {
+    if (!Object.values(OverrideScope).includes(scope) || !isScopeAvailable(scope)) return false;
+    editScope = scope;
+    return true;
+}
+
+/**
+ * Find the layer a setting's current value comes from
+ * @param {string} key - Setting name
+ * @returns {string} OverrideScope
+ */
+export function getSettingSource(key) {
+    if (overridableKeys.has(key)) {
+        for (const scope of [OverrideScope.CHAT, OverrideScope.CHARACTER]) {
+            const layer = getLayer(scope);
+            if (layer && Object.hasOwn(layer, key)) return scope;
+        }
+    }
+    return OverrideScope.GLOBAL;
+}
+
+/**
+ * @param {string} scope - OverrideScope.CHARACTER or OverrideScope.CHAT
+ * @returns {Object} Copy of the overrides in the layer
+ */
+export function getOverrides(scope) {
+    return { ...(getLayer(scope) ?? {}) };
+}
+
+/**
+ * Convert a slash command value to the type of the global setting
+ * @param {string} key - Setting name
+ * @param {string} value - Value as typed
+ * @returns {*}
+ */
+function parseOverrideValue(key, value) {
+    const text = String(value ?? '').trim();
+    const current = globalSettings[key];
+    if (typeof current === 'boolean') {
+        if (isTrueBoolean(text)) return true;
+        if (isFalseBoolean(text)) return false;
+        throw new Error(`${key} must be true or false`);
+    }
+    if (typeof current === 'number') {
+        const number = Number(text);
+        if (!text || Number.isNaN(number)) throw new Error(`${key} must be a number`);
+        return number;
+    }
+    if (key.endsWith('profile')) {
+        if (!text || text === 'none') return null;
+        // Accept a profile name as well as its ID
+        const profiles = extension_settings.connectionManager?.profiles ?? [];
+        const profile = profiles.find(p => p.id === text) ?? profiles.find(p => p.name === text);
+        if (!profile) throw new Error(`Connection profile "${text}" not found`);
+        return profile.id;
+    }
+    return text;
+}
+
+/**
+ * Override a setting for the current character or chat
+ * @param {string} scope - OverrideScope.CHARACTER or OverrideScope.CHAT
+ * @param {string} key - Setting name
+ * @param {string} value - Value as typed, converted to the setting's type
+ * @returns {*} The stored value
+ */
+export function setOverride(scope, key, value) {
+    if (!overridableKeys.has(key)) throw new Error(`${key} cannot be overridden`);
+    const layer = scope === OverrideScope.GLOBAL ? null : getLayer(scope, true);
+    if (!layer) throw new Error(`There is no ${scope} to override settings for`);
+    layer[key] = parseOverrideValue(key, value);
+    saveLayer(scope);
+    return layer[key];
+}
+
+/**
+ * Remove overrides from a layer
+ * @param {string} scope - OverrideScope.CHARACTER or OverrideScope.CHAT
+ * @param {string} [key] - Setting to clear; all overrides in the layer if omitted
+ * @returns {number} Number of overrides removed
+ */
+export function clearOverrides(scope, key = null) {
+    const layer = getLayer(scope);
+    if (!layer) return 0;
+    const keys = key ? [key].filter(k => Object.hasOwn(layer, k)) : Object.keys(layer);
+    for (const k of keys) {
+        delete layer[k];
+    }
+    if (keys.length) saveLayer(scope);
+    return keys.length;
+}
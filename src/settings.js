@@ -5,6 +5,7 @@ import { extension_name, getExtensionAssetPath } from '../index.js';
 import { resetMessageButtons } from './messages.js';
 import { debug } from "./logging.js";
 import { initTutorialUI } from './tutorial.js';
+import { OverrideScope, createLayeredSettings, isOverridable, getEditScope, setEditScope, isScopeAvailable, getSettingSource, clearOverrides } from './setting-overrides.js';
 
 export let settings;
 
@@ -16,12 +17,45 @@ export const Buttons = {
 export const ChapterEndMode = {
     NONE: "Don't summarize",
 }
+export const AutoChapterMode = {
+    SUMMARIZE: "summarize",
+    ARC: "arc",
+}
+export const TimelineFormat = {
+    JSON: "json",
+    COMPACT: "compact",
+    MARKDOWN: "markdown",
+    XML: "xml",
+    LINES: "lines",
+}
+
+// Settings shared by every chat; all others can be overridden per character or chat
+const GLOBAL_ONLY_SETTINGS = ['is_enabled', 'tools_enabled', 'show_buttons', 'character_overrides', 'summarize_presets', 'query_presets', 'timeline_fill_presets', 'arc_presets', 'preset_bundles', 'usage_prices', 'usage_daily'];
+
+// Settings whose input id is not rmr_<setting>
+const SETTING_INPUT_IDS = {
+	current_summarize_preset: 'rmr_summarize_preset',
+	current_query_preset: 'rmr_query_preset',
+	current_timeline_fill_preset: 'rmr_timeline_fill_preset',
+	current_arc_preset: 'rmr_arc_preset',
+	current_preset_bundle: 'rmr_preset_bundle',
+};
+
+// Workflow presets and settings captured by a preset bundle
+const BUNDLE_PRESET_TYPES = ['summarize', 'query', 'timeline_fill', 'arc'];
+const BUNDLE_SETTINGS = [
+	'profile', 'query_profile', 'timeline_fill_profile', 'arc_profile', 'lore_management_profile', 'agentic_timeline_fill_profile',
+	'lore_management_prompt', 'agentic_timeline_fill_prompt', 'lore_management_system_prompt', 'agentic_timeline_fill_system_prompt',
+	'fallback_profiles', 'rate_limit', 'query_chapter_limit', 'timeline_fill_query_limit', 'timeline_fill_concurrency',
+	'inject_enabled', 'inject_depth', 'inject_role', 'inject_prompt', 'inject_token_budget', 'timeline_format', 'volume_expand_recent',
+];
 
 const defaultSettings = {
 	// general settings
 	"is_enabled": true,
 	"tools_enabled": true,
 	"show_buttons": [Buttons.STOP],
+	"character_overrides": {}, // per-character setting overrides, keyed by character avatar
 	// prompt/text injection settings
 	"memory_system_prompt": `<role>You are a literary analysis expert specializing in narrative structure and scene summarization. Your expertise is in distilling complex narrative elements into concise, query-friendly summaries.</role>
 
@@ -108,16 +142,80 @@ Provide a JSON array where each item describes a question to ask about the timel
 - EITHER "chapters": an array of chapter numbers to query,
   OR both "startChapter" and "endChapter" integers defining an inclusive range.
 You may include both styles in the same array. Return ONLY the JSON array, no code fences or commentary.`,
+	"volume_system_prompt": `<role>You are a literary analysis expert specializing in narrative structure. Your expertise is in condensing a sequence of chapter summaries into a single overview of a larger story arc.</role>
+
+<task>Your task is to combine the provided chapter summaries into one 'volume' summary. This summary will replace the individual chapters in a searchable timeline, so it must preserve every plot development, character change and unresolved thread that later events could depend on.</task>`,
+	"volume_prompt_template": `<chapter_summaries>
+{{content}}
+</chapter_summaries>
+
+<previous_timeline>
+{{timeline}}
+NOTE: Only use for reference. This is NOT what you will be summarizing.
+</previous_timeline>
+
+<output_format>
+Respond with a single block of unformatted, concise plaintext summarizing the chapters above in chronological order. Do not use line breaks, bullet points, markdown, or any special formatting.
+</output_format>
+
+The volume summary is:`,
+	"volume_expand_recent": 0, // number of most recent volumes shown as individual chapters in {{timeline}}
+	"timeline_format": TimelineFormat.JSON, // default output format of {{timeline}}, overridable per macro
+	"chapter_metadata_system_prompt": `<role>You are a literary analysis expert who catalogues scenes for a searchable story timeline.</role>
+
+<task>Your task is to extract structured details about the provided chapter: a short title, the characters present, the locations visited, the in-story date or time, and a few free-form tags describing its content.</task>`,
+	"chapter_metadata_prompt_template": `<chapter>
+{{content}}
+</chapter>
+
+<chapter_summary>
+{{summary}}
+</chapter_summary>
+
+<previous_timeline>
+{{timeline}}
+NOTE: Only use for reference, e.g. to keep character and location names consistent.
+</previous_timeline>
+
+<output_format>
+Respond with ONLY a JSON object, no code fences or commentary:
+{"title": "short chapter title", "characters": ["names of characters present"], "locations": ["places where the chapter takes place"], "time": "in-story date/time label, or empty if unknown", "tags": ["short topical tags"]}
+</output_format>`,
 	"rate_limit": 0, // requests per minute. 0 means no limit
 	"query_chapter_limit": 3, // max chapters per query (0 = unlimited)
+	"query_streaming": true, // stream chapter query answers into the progress overlay
+	"query_cache_enabled": true, // reuse answers to repeated chapter queries
+	"query_cache_ttl": 0, // minutes a cached answer stays valid (0 = until the chapter changes)
+	"query_cache_similarity": 0, // word overlap (%) for a paraphrased query to reuse an answer (0 = exact match only)
 	"timeline_fill_query_limit": 0, // max queries per timeline fill (0 = unlimited)
+	"timeline_fill_concurrency": 3, // timeline fill queries run at the same time
+	"timeline_fill_search_candidates": 0, // chapters pre-selected by timeline search for timeline fill (0 = disabled)
+	// usage accounting
+	"usage_budget": 0, // cost after which requests are blocked (0 = no budget)
+	"usage_budget_period": "day", // 'day' or 'chat'
+	"usage_prices": {}, // price per million prompt/completion tokens, keyed by model
+	"usage_daily": {}, // token totals per day, keyed by date
+	// request retries
+	"request_retries": 2, // retries of a failed request or unusable reply before the next fallback profile
+	"request_retry_delay": 2, // seconds before the first retry, doubled for each one after
+	"fallback_profiles": {}, // profile IDs tried in order when a workflow's profile keeps failing, keyed by profile setting
+	// timeline search settings
+	"search_scorer": "bm25", // chunk scorer used by timeline search
+	"search_chunk_size": 4, // messages per search chunk
+	"search_result_limit": 5, // passages returned per search
 	"profile": null, // optional connection-profile override for summarization
 	"query_profile": null, // optional connection-profile override for chapter queries
 	"timeline_fill_profile": null, // optional profile override for timeline fill generation
 	// chapter end settings
 	"hide_chapter": true, // hide messages after summarizing the chapter
 	"add_chunk_summaries": false, // add a comment containing all of the individual chunk summaries
+	"chapter_metadata_enabled": false, // extract title, characters, locations, time and tags after summarizing
 	"chapter_end_mode": ChapterEndMode.NONE, // whether final summary is added as a chat message or memory book entry
+	// auto chapter settings
+	"auto_chapter_enabled": false, // automatically end the open chapter when it grows past a limit
+	"auto_chapter_message_limit": 60, // visible messages in the open chapter before it is ended (0 = no limit)
+	"auto_chapter_token_limit": 0, // tokens in the open chapter before it is ended (0 = no limit)
+	"auto_chapter_mode": AutoChapterMode.SUMMARIZE, // summarize at the latest message, or let the arc analyzer pick the endpoint
 	// preset settings
 	"summarize_presets": [
 		{
@@ -293,21 +391,43 @@ NOTE: This is strictly for reference to past events. NEVER use an ID mentioned h
 		}
 	],
 	"current_arc_preset": "preset-default-arc",
+	"preset_bundles": [], // named sets of workflow presets, profiles, limits and injection settings
+	"current_preset_bundle": null,
 
 	// Lore management settings
 	"lore_management_enabled": false,
 	"lore_management_profile": null,
 	"lore_management_prompt": "begin lore retrieval",
+	"lore_management_system_prompt": `You keep the lorebook (world info) of the roleplay between {{user}} and {{char}} up to date with the story.
+
+<timeline>
+{{timeline}}
+</timeline>
+
+Start by calling list_entries to see the existing entries. Then use edit_entry to create entries for important characters, locations, items, factions, relationships and events that are missing, update entries the story has changed, and delete entries that no longer apply. Keep each entry about one subject, written as facts, with keywords that will appear in the chat when the subject comes up. Call end_lore_management when the lorebook is up to date.`,
+	"lore_approval_mode": false, // stage edits for review instead of saving them
 
 	// Agentic timeline fill settings
 	"agentic_timeline_fill_enabled": false,
 	"agentic_timeline_fill_profile": null,
 	"agentic_timeline_fill_prompt": "begin timeline retrieval",
+	"agentic_timeline_fill_system_prompt": `You gather information from the story's timeline for the next reply in the roleplay between {{user}} and {{char}}. The timeline lists the chapters of the story with their summaries; the full text of a chapter can only be read through the query tools.
+
+<timeline>
+{{timeline}}
+</timeline>
+
+<current_chat>
+{{currentChat}}
+</current_chat>
+
+Work out which past events, details and facts the next reply needs that are not in the current chat. Use search_timeline to find where something happened, query_timeline_chapter or query_timeline_chapters to ask about chapters, get_timeline_volume to look inside a volume and list_lorebook_entries to read the lorebook. When you have everything, call end_information_retrieval with all the information found, written so that it can be understood without the tool results.`,
 
 	// Inject at depth settings
 	"inject_enabled": false,
 	"inject_depth": 0,
 	"inject_role": 0, // extension_prompt_roles.SYSTEM = 0
+	"inject_token_budget": 0, // 0 = no limit; older chapters are compressed to fit
 	"inject_prompt": `<timeline>
 {{timeline}}
 
@@ -470,6 +590,10 @@ async function loadSettingsUI() {
     $('#rmr_arc_analyzer_prompt_template').attr('placeholder', defaultSettings.arc_analyzer_prompt_template);
     $('#rmr_timeline_fill_system_prompt').attr('placeholder', defaultSettings.timeline_fill_system_prompt || 'System-level instructions for timeline fill (optional)');
     $('#rmr_timeline_fill_prompt_template').attr('placeholder', defaultSettings.timeline_fill_prompt_template);
+    $('#rmr_volume_system_prompt').attr('placeholder', defaultSettings.volume_system_prompt);
+    $('#rmr_volume_prompt_template').attr('placeholder', defaultSettings.volume_prompt_template);
+    $('#rmr_chapter_metadata_system_prompt').attr('placeholder', defaultSettings.chapter_metadata_system_prompt);
+    $('#rmr_chapter_metadata_prompt_template').attr('placeholder', defaultSettings.chapter_metadata_prompt_template);
 	const mode_div = $(`#rmr_chapter_end_mode`);
 	for (const end_mode in ChapterEndMode) {
 		mode_div.append(
@@ -530,6 +654,18 @@ async function loadSettingsUI() {
 	// handle other checkboxes
 	$("#rmr_hide_chapter").prop('checked', settings.hide_chapter).on('click', toggleCheckboxSetting);
 	$("#rmr_add_chunk_summaries").prop('checked', settings.add_chunk_summaries).on('click', toggleCheckboxSetting);
+	$("#rmr_chapter_metadata_enabled").prop('checked', settings.chapter_metadata_enabled).on('click', toggleCheckboxSetting);
+	$("#rmr_query_streaming").prop('checked', settings.query_streaming).on('click', toggleCheckboxSetting);
+	$("#rmr_query_cache_enabled").prop('checked', settings.query_cache_enabled).on('click', toggleCheckboxSetting);
+	$("#rmr_auto_chapter_enabled").prop('checked', settings.auto_chapter_enabled).on('click', toggleCheckboxSetting);
+	const auto_mode_div = $('#rmr_auto_chapter_mode');
+	auto_mode_div.val(settings.auto_chapter_mode);
+	auto_mode_div.on('input', () => {
+		const mode = auto_mode_div.val();
+		if (!Object.values(AutoChapterMode).includes(mode)) return;
+		settings.auto_chapter_mode = mode;
+		getContext().saveSettingsDebounced();
+	});
 	$("#rmr_tools_enabled").prop('checked', settings.tools_enabled).on('click', async (e) => {
 		toggleCheckboxSetting(e);
 		// Update tool registration when toggle changes
@@ -636,9 +772,40 @@ async function loadSettingsUI() {
         }
     });
 
+    // Fallback profiles: comma-separated profile names per workflow profile
+    $('.rmr-fallback-profiles').off('change').on('change', (e) => {
+        const key = $(e.target).data('setting');
+        const profiles = extension_settings.connectionManager?.profiles ?? [];
+        const ids = [];
+        for (const name of String(e.target.value).split(',').map(it => it.trim()).filter(Boolean)) {
+            const profile = profiles.find(it => it.name === name);
+            if (profile) {
+                ids.push(profile.id);
+            } else {
+                toastr.error(`Non-existent profile "${name}" left out of the fallback profiles.`, "Timeline Memory");
+            }
+        }
+        settings.fallback_profiles = { ...settings.fallback_profiles, [key]: ids };
+        refreshFallbackProfileInputs();
+        getContext().saveSettingsDebounced();
+    });
+    refreshFallbackProfileInputs();
+
+    // Settings scope: which layer the settings panel edits
+    $('#rmr_settings_scope').val(getEditScope()).on('input', async () => {
+        if (!setEditScope($('#rmr_settings_scope').val())) {
+            $('#rmr_settings_scope').val(getEditScope());
+            return;
+        }
+        renderScopeTarget();
+        await refreshLayeredSettingsUI();
+    });
+
     // Lore management settings
     $('#rmr_lore_management_enabled').prop('checked', settings.lore_management_enabled).on('click', toggleCheckboxSetting);
     $('#rmr_lore_management_prompt').val(settings.lore_management_prompt).on('change', handleStringValueChange);
+    $('#rmr_lore_management_system_prompt').val(settings.lore_management_system_prompt).on('change', handleStringValueChange);
+    $('#rmr_lore_approval_mode').prop('checked', settings.lore_approval_mode).on('click', toggleCheckboxSetting);
 
     // Inject at depth settings
     $('#rmr_inject_enabled').prop('checked', settings.inject_enabled).on('click', async (e) => {
@@ -718,9 +885,21 @@ async function loadSettingsUI() {
         }
     });
 
+    // Agent session transcripts, opened on the latest session of the section's mode
+    $('.rmr-view-agent-transcripts').on('click', async function () {
+        try {
+            const { showAgentTranscripts } = await import('./agent-transcripts.js');
+            await showAgentTranscripts($(this).data('mode'));
+        } catch (err) {
+            console.error('Agent transcripts error:', err);
+            toastr.error('Failed to open agent session transcripts', 'Timeline Memory');
+        }
+    });
+
     // Agentic timeline fill settings
     $('#rmr_agentic_timeline_fill_enabled').prop('checked', settings.agentic_timeline_fill_enabled).on('click', toggleCheckboxSetting);
     $('#rmr_agentic_timeline_fill_prompt').val(settings.agentic_timeline_fill_prompt).on('change', handleStringValueChange);
+    $('#rmr_agentic_timeline_fill_system_prompt').val(settings.agentic_timeline_fill_system_prompt).on('change', handleStringValueChange);
 
     // Agentic timeline fill profile dropdown
     const agenticTimelineFillProfileSelect = $('#rmr_agentic_timeline_fill_profile');
@@ -761,16 +940,64 @@ async function loadSettingsUI() {
 		$(elem).on('change', handleIntValueChange);
 	});
 
+	// Timeline search scorer dropdown
+	const scorerSelect = $('#rmr_search_scorer');
+	import('./timeline-search.js').then(({ getSearchScorerNames }) => {
+		for (const name of getSearchScorerNames()) {
+			if (!scorerSelect.find(`option[value="${name}"]`).length) {
+				scorerSelect.append($('<option></option>').attr('value', name).text(name));
+			}
+		}
+		scorerSelect.val(settings.search_scorer);
+	});
+	scorerSelect.on('input', () => {
+		settings.search_scorer = scorerSelect.val() || defaultSettings.search_scorer;
+		getContext().saveSettingsDebounced();
+	});
+
 	// Special handler for query_chapter_limit to re-register tools with updated description
 	$('#rmr_query_chapter_limit').off('change').on('change', async (e) => {
 		handleIntValueChange(e);
 		const { updateToolRegistration } = await import('./commands.js');
 		updateToolRegistration();
-		// Also re-register agentic tools if a session is active
-		const { isAgenticTimelineFillActive, registerAgenticTimelineTools } = await import('./agentic-timeline-fill.js');
-		if (isAgenticTimelineFillActive()) {
-			registerAgenticTimelineTools();
-		}
+	});
+	$('#rmr_inject_token_budget').off('change').on('change', async (e) => {
+		handleIntValueChange(e);
+		const { updateTimelineInjection } = await import('./memories.js');
+		updateTimelineInjection();
+	});
+	// The budget is a cost, so it keeps its decimals
+	$('#rmr_usage_budget').off('change').on('change', (e) => {
+		const value = parseFloat(e.target.value);
+		settings.usage_budget = Number.isNaN(value) || value < 0 ? 0 : value;
+		e.target.value = settings.usage_budget;
+		getContext().saveSettingsDebounced();
+	});
+	const usage_budget_period_div = $('#rmr_usage_budget_period');
+	usage_budget_period_div.val(settings.usage_budget_period);
+	usage_budget_period_div.on('input', () => {
+		settings.usage_budget_period = usage_budget_period_div.val() || defaultSettings.usage_budget_period;
+		getContext().saveSettingsDebounced();
+	});
+	$('#rmr_usage_dashboard').on('click', async () => {
+		const { showUsageDashboard } = await import('./usage.js');
+		await showUsageDashboard();
+	});
+	const timeline_format_div = $('#rmr_timeline_format');
+	timeline_format_div.val(settings.timeline_format);
+	timeline_format_div.on('input', async () => {
+		const format = timeline_format_div.val();
+		if (!Object.values(TimelineFormat).includes(format)) return;
+		settings.timeline_format = format;
+		getContext().saveSettingsDebounced();
+		const { updateTimelineInjection } = await import('./memories.js');
+		updateTimelineInjection();
+	});
+	// Volume expansion changes what {{timeline}} emits, so refresh the injection
+	$('#rmr_volume_expand_recent').off('change').on('change', async (e) => {
+		handleIntValueChange(e);
+		const { updateTimelineInjection } = await import('./memories.js');
+		updateTimelineInjection();
 	});
 	// load all text settings
 	$(`.rmr-extension_block textarea`).each((_i, elem) => {
@@ -911,9 +1138,63 @@ function loadPresetUI() {
     $('#rmr_export_arc_preset').on('click', () => handleExportPreset('arc'));
     $('#rmr_import_arc_preset').on('click', () => handleImportPreset('arc'));
 
+    // Preset bundles
+    reloadBundleOptions();
+    $('#rmr_preset_bundle').on('change', async function() {
+        const bundleId = $(this).val();
+        if (bundleId) {
+            applyPresetBundle(bundleId);
+        } else {
+            settings.current_preset_bundle = null;
+            getContext().saveSettingsDebounced();
+        }
+        await refreshLayeredSettingsUI();
+    });
+    $('#rmr_save_preset_bundle').on('click', handleSaveBundle);
+    $('#rmr_update_preset_bundle').on('click', handleUpdateBundle);
+    $('#rmr_delete_preset_bundle').on('click', handleDeleteBundle);
+    $('#rmr_export_preset_bundle').on('click', handleExportBundle);
+    $('#rmr_import_preset_bundle').on('click', handleImportBundle);
+
     // Set up master export/import handlers
     $('#rmr_master_export').on('click', handleMasterExport);
     $('#rmr_master_import').on('click', handleMasterImport);
+
+    // Set up timeline export/import/copy handlers
+    $('#rmr_timeline_export_json').on('click', () => handleTimelineTransfer(t => t.downloadTimeline('json')));
+    $('#rmr_timeline_export_markdown').on('click', () => handleTimelineTransfer(t => t.downloadTimeline('markdown')));
+    $('#rmr_timeline_import').on('click', () => handleTimelineTransfer(t => t.openTimelineImportDialog()));
+    $('#rmr_timeline_copy').on('click', () => handleTimelineTransfer(t => t.openTimelineCopyDialog()));
+    $('#rmr_timeline_verify').on('click', async () => {
+        const { showVerifyReport } = await import('./timeline-verify.js');
+        await showVerifyReport();
+    });
+    $('#rmr_resummarize_stale').on('click', async function () {
+        const button = $(this);
+        button.prop('disabled', true);
+        try {
+            const { resummarizeStaleChapters } = await import('./memories.js');
+            await resummarizeStaleChapters();
+        } finally {
+            button.prop('disabled', false);
+            renderSummariesList();
+        }
+    });
+}
+
+// Run a timeline transfer action, reporting its result or error
+async function handleTimelineTransfer(action) {
+    try {
+        // Dynamically import to avoid circular dependencies
+        const transfer = await import('./timeline-transfer.js');
+        const message = await action(transfer);
+        if (message) {
+            toastr.success(message, 'Timeline Memory');
+        }
+    } catch (error) {
+        console.error('Timeline transfer error:', error);
+        toastr.error(error.message, 'Timeline Memory');
+    }
 }
 
 // Handle export single preset
@@ -1014,6 +1295,105 @@ function reloadPresetOptions(presetType) {
 	select.val(currentVal);
 }
 
+function reloadBundleOptions() {
+	const select = $('#rmr_preset_bundle');
+	select.find('option:not([value=""])').remove();
+	for (const bundle of getPresetBundles()) {
+		select.append($('<option></option>').attr('value', bundle.id).text(bundle.name));
+	}
+	const current = findPresetBundle(settings.current_preset_bundle);
+	select.val(current?.id ?? '');
+	$('#rmr_update_preset_bundle, #rmr_delete_preset_bundle, #rmr_export_preset_bundle').prop('disabled', !current);
+}
+
+function handleSaveBundle() {
+	const name = prompt('Enter a name for this preset bundle:');
+	if (!name || !name.trim()) return;
+
+	const existing = findPresetBundle(name.trim());
+	if (existing && !confirm(`A preset bundle named "${existing.name}" already exists. Overwrite it?`)) return;
+
+	const bundle = savePresetBundle(name.trim());
+	settings.current_preset_bundle = bundle.id;
+	getContext().saveSettingsDebounced();
+	reloadBundleOptions();
+	renderOverrideBadges();
+	toastr.success(`Preset bundle "${bundle.name}" saved.`);
+}
+
+function handleUpdateBundle() {
+	const bundle = findPresetBundle(settings.current_preset_bundle);
+	if (!bundle) {
+		toastr.warning('No preset bundle selected to update.');
+		return;
+	}
+	savePresetBundle(bundle.name);
+	toastr.success(`Preset bundle "${bundle.name}" updated.`);
+}
+
+function handleDeleteBundle() {
+	const bundle = findPresetBundle(settings.current_preset_bundle);
+	if (!bundle) {
+		toastr.warning('No preset bundle selected to delete.');
+		return;
+	}
+	if (!confirm(`Are you sure you want to delete the "${bundle.name}" preset bundle?`)) return;
+
+	deletePresetBundle(bundle.id);
+	reloadBundleOptions();
+	toastr.success(`Preset bundle "${bundle.name}" deleted.`);
+}
+
+function handleExportBundle() {
+	const bundle = findPresetBundle(settings.current_preset_bundle);
+	if (!bundle) {
+		toastr.warning('No preset bundle selected to export.');
+		return;
+	}
+	const blob = new Blob([exportPresetBundle(bundle.id)], { type: 'application/json' });
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = `bundle-${bundle.name.replace(/[^a-z0-9]/gi, '_')}.json`;
+	document.body.appendChild(a);
+	a.click();
+	document.body.removeChild(a);
+	URL.revokeObjectURL(url);
+	toastr.success(`Preset bundle "${bundle.name}" exported.`);
+}
+
+function handleImportBundle() {
+	const input = document.createElement('input');
+	input.type = 'file';
+	input.accept = '.json';
+
+	input.onchange = function(event) {
+		const file = event.target.files[0];
+		if (!file) return;
+
+		const reader = new FileReader();
+		reader.onload = async function(e) {
+			try {
+				const bundle = await importPresetBundle(e.target.result);
+				for (const presetType of BUNDLE_PRESET_TYPES) {
+					reloadPresetOptions(presetType);
+				}
+				reloadBundleOptions();
+				toastr.success(`Imported preset bundle "${bundle.name}". Select it to apply it.`);
+			} catch (error) {
+				console.error('Import error:', error);
+				toastr.error(error.message);
+			}
+		};
+		reader.onerror = function() {
+			toastr.error('Failed to read file.');
+		};
+		reader.readAsText(file);
+	};
+
+	input.click();
+}
+
 function updatePresetButtons(presetType, presetId) {
     const hasPreset = Boolean(presetId);
     let updateButton = '#rmr_update_summarize_preset';
@@ -1049,10 +1429,16 @@ function refreshPromptFields() {
     $('#rmr_arc_analyzer_system_prompt').val(settings.arc_analyzer_system_prompt);
     $('#rmr_arc_analyzer_prompt_template').val(settings.arc_analyzer_prompt_template);
     $('#rmr_arc_profile').val(settings.arc_profile || '');
+    $('#rmr_volume_system_prompt').val(settings.volume_system_prompt);
+    $('#rmr_volume_prompt_template').val(settings.volume_prompt_template);
+    $('#rmr_chapter_metadata_system_prompt').val(settings.chapter_metadata_system_prompt);
+    $('#rmr_chapter_metadata_prompt_template').val(settings.chapter_metadata_prompt_template);
     $('#rmr_rate_limit').val(settings.rate_limit);
     // Lore management fields
     $('#rmr_lore_management_enabled').prop('checked', settings.lore_management_enabled);
     $('#rmr_lore_management_prompt').val(settings.lore_management_prompt);
+    $('#rmr_lore_management_system_prompt').val(settings.lore_management_system_prompt);
+    $('#rmr_lore_approval_mode').prop('checked', settings.lore_approval_mode);
     $('#rmr_lore_management_profile').val(settings.lore_management_profile || '');
 }
 
@@ -1214,6 +1600,8 @@ ${settings.keywords_prompt}`;
 	}
 
 	extension_settings[extension_name] = settings;
+	// From here on, reads see the current character's and chat's overrides
+	settings = createLayeredSettings(settings, Object.keys(defaultSettings).filter(key => !GLOBAL_ONLY_SETTINGS.includes(key)));
 
 	// load settings UI
 	loadSettingsUI();
@@ -1227,6 +1615,10 @@ function generatePresetId() {
 	return `preset-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 }
 
+function generateBundleId() {
+	return `bundle-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+}
+
 export function getSummarizePresets() {
     return settings.summarize_presets || [];
 }
@@ -1556,6 +1948,207 @@ function validatePreset(preset) {
 	return true;
 }
 
+function getPresetsOfType(presetType) {
+	if (presetType === 'query') return getQueryPresets();
+	if (presetType === 'timeline_fill') return getTimelineFillPresets();
+	if (presetType === 'arc') return getArcPresets();
+	return getSummarizePresets();
+}
+
+function getCurrentPresetId(presetType) {
+	return settings[`current_${presetType}_preset`] ?? null;
+}
+
+export function getPresetBundles() {
+	return settings.preset_bundles || [];
+}
+
+/**
+ * Find a preset bundle by ID or (case-insensitive) name
+ * @param {string} idOrName
+ * @returns {Object|null}
+ */
+export function findPresetBundle(idOrName) {
+	if (!idOrName) return null;
+	const bundles = getPresetBundles();
+	const lowerName = String(idOrName).toLowerCase();
+	return bundles.find(bundle => bundle.id === idOrName) ?? bundles.find(bundle => bundle.name.toLowerCase() === lowerName) ?? null;
+}
+
+/**
+ * Save the current workflow presets and bundle settings under a name, replacing a bundle with the same name
+ * @param {string} name - Bundle name
+ * @returns {Object} The saved bundle
+ */
+export function savePresetBundle(name) {
+	const presets = {};
+	for (const presetType of BUNDLE_PRESET_TYPES) {
+		presets[presetType] = getCurrentPresetId(presetType);
+	}
+	const bundleSettings = {};
+	for (const key of BUNDLE_SETTINGS) {
+		bundleSettings[key] = settings[key];
+	}
+
+	let bundle = findPresetBundle(name);
+	if (bundle) {
+		Object.assign(bundle, { presets, settings: bundleSettings });
+	} else {
+		bundle = { id: generateBundleId(), name, presets, settings: bundleSettings };
+		settings.preset_bundles.push(bundle);
+	}
+	getContext().saveSettingsDebounced();
+	return bundle;
+}
+
+/**
+ * Switch every workflow to the presets and settings of a bundle
+ * @param {string} idOrName - Bundle ID or name
+ * @returns {Object|null} The applied bundle, or null if not found
+ */
+export function applyPresetBundle(idOrName) {
+	const bundle = findPresetBundle(idOrName);
+	if (!bundle) return null;
+
+	for (const presetType of BUNDLE_PRESET_TYPES) {
+		const presetId = bundle.presets?.[presetType];
+		if (!presetId || !applyPreset(presetType, presetId)) {
+			// Presets deleted since the bundle was saved leave the current prompts as they are
+			settings[`current_${presetType}_preset`] = null;
+		}
+	}
+	// Bundle settings come last so that its profiles win over the presets' own
+	for (const key of BUNDLE_SETTINGS) {
+		if (bundle.settings && Object.hasOwn(bundle.settings, key)) {
+			settings[key] = bundle.settings[key];
+		}
+	}
+	settings.current_preset_bundle = bundle.id;
+	getContext().saveSettingsDebounced();
+	return bundle;
+}
+
+export function deletePresetBundle(bundleId) {
+	const bundles = getPresetBundles();
+	const index = bundles.findIndex(bundle => bundle.id === bundleId);
+	if (index === -1) return false;
+
+	bundles.splice(index, 1);
+	if (settings.current_preset_bundle === bundleId) {
+		settings.current_preset_bundle = null;
+	}
+	getContext().saveSettingsDebounced();
+	return true;
+}
+
+/**
+ * Export a bundle with its presets as one file. Connection profiles are stored by name, since IDs differ between installs.
+ * @param {string} bundleId
+ * @returns {string} JSON
+ */
+export function exportPresetBundle(bundleId) {
+	const bundle = findPresetBundle(bundleId);
+	if (!bundle) {
+		throw new Error('Preset bundle not found');
+	}
+	const profiles = extension_settings.connectionManager?.profiles ?? [];
+
+	const presets = {};
+	for (const presetType of BUNDLE_PRESET_TYPES) {
+		const preset = findPresetById(presetType, bundle.presets?.[presetType]);
+		presets[presetType] = preset ? {
+			name: preset.name,
+			systemPrompt: preset.systemPrompt,
+			userPrompt: preset.userPrompt,
+			rateLimit: preset.rateLimit
+		} : null;
+	}
+	const bundleSettings = {};
+	for (const [key, value] of Object.entries(bundle.settings ?? {})) {
+		if (key === 'fallback_profiles') {
+			// Each workflow's fallback list, by name
+			bundleSettings[key] = Object.fromEntries(Object.entries(value ?? {}).map(([setting, ids]) =>
+				[setting, ids.map(id => profiles.find(p => p.id === id)?.name).filter(Boolean)]));
+		} else {
+			bundleSettings[key] = key.endsWith('profile') ? (profiles.find(p => p.id === value)?.name ?? null) : value;
+		}
+	}
+
+	return JSON.stringify({
+		version: '1.0',
+		type: 'bundle',
+		timestamp: new Date().toISOString(),
+		bundle: { name: bundle.name, presets, settings: bundleSettings }
+	}, null, 2);
+}
+
+/**
+ * Import a bundle exported with exportPresetBundle. Its presets are matched to existing presets with the same name
+ * and prompts, and added otherwise; profiles are matched by name.
+ * @param {string} jsonData
+ * @returns {Promise<Object>} The imported bundle
+ */
+export async function importPresetBundle(jsonData) {
+	const importData = JSON.parse(jsonData);
+	const imported = importData?.bundle;
+	if (importData?.type !== 'bundle' || !imported || typeof imported.name !== 'string' || !imported.name.trim()) {
+		throw new Error('Invalid preset bundle file');
+	}
+
+	let name = imported.name.trim();
+	const existing = findPresetBundle(name);
+	if (existing && !confirm(`A preset bundle named "${existing.name}" already exists.\n\nClick "OK" to overwrite it or "Cancel" to import with a new name.`)) {
+		const newName = prompt(`Enter a new name for the preset bundle "${name}":`, `${name} - imported`);
+		if (!newName || !newName.trim()) {
+			throw new Error('Import cancelled by user');
+		}
+		name = newName.trim();
+	}
+
+	const presets = {};
+	for (const presetType of BUNDLE_PRESET_TYPES) {
+		const preset = imported.presets?.[presetType];
+		presets[presetType] = null;
+		if (!validatePreset(preset)) continue;
+
+		const match = getPresetsOfType(presetType).find(p => p.name === preset.name && p.systemPrompt === preset.systemPrompt && p.userPrompt === preset.userPrompt);
+		if (match) {
+			presets[presetType] = match.id;
+			continue;
+		}
+		const presetName = findDuplicatePreset(presetType, preset.name) ? `${preset.name} (${name})` : preset.name;
+		presets[presetType] = createPreset(presetType, presetName, preset.systemPrompt, preset.userPrompt, null, preset.rateLimit ?? 0).id;
+	}
+
+	const profiles = extension_settings.connectionManager?.profiles ?? [];
+	const bundleSettings = {};
+	for (const key of BUNDLE_SETTINGS) {
+		if (!imported.settings || !Object.hasOwn(imported.settings, key)) continue;
+		const value = imported.settings[key];
+		if (key === 'fallback_profiles') {
+			// Fallback profiles missing from this install are left out of the list
+			bundleSettings[key] = Object.fromEntries(Object.entries(value ?? {}).map(([setting, names]) =>
+				[setting, names.map(name => profiles.find(p => p.name === name)?.id).filter(Boolean)]));
+		} else if (key.endsWith('profile')) {
+			// Profiles missing from this install are left unchanged when the bundle is applied
+			const profile = profiles.find(p => p.name === value);
+			if (profile) bundleSettings[key] = profile.id;
+		} else {
+			bundleSettings[key] = value;
+		}
+	}
+
+	let bundle = findPresetBundle(name);
+	if (bundle) {
+		Object.assign(bundle, { presets, settings: bundleSettings });
+	} else {
+		bundle = { id: generateBundleId(), name, presets, settings: bundleSettings };
+		settings.preset_bundles.push(bundle);
+	}
+	getContext().saveSettingsDebounced();
+	return bundle;
+}
+
 // Master export - export all settings and currently selected presets
 export function exportAllSettings() {
 	// Helper to get current preset if selected
@@ -1593,6 +2186,28 @@ export function exportAllSettings() {
 			add_chunk_summaries: settings.add_chunk_summaries,
 			chapter_end_mode: settings.chapter_end_mode,
 			rate_limit: settings.rate_limit,
+			auto_chapter_enabled: settings.auto_chapter_enabled,
+			auto_chapter_message_limit: settings.auto_chapter_message_limit,
+			auto_chapter_token_limit: settings.auto_chapter_token_limit,
+			auto_chapter_mode: settings.auto_chapter_mode,
+			search_scorer: settings.search_scorer,
+			search_chunk_size: settings.search_chunk_size,
+			search_result_limit: settings.search_result_limit,
+			timeline_fill_search_candidates: settings.timeline_fill_search_candidates,
+			query_streaming: settings.query_streaming,
+			timeline_fill_concurrency: settings.timeline_fill_concurrency,
+			query_cache_enabled: settings.query_cache_enabled,
+			query_cache_ttl: settings.query_cache_ttl,
+			query_cache_similarity: settings.query_cache_similarity,
+			inject_token_budget: settings.inject_token_budget,
+			usage_budget: settings.usage_budget,
+			usage_budget_period: settings.usage_budget_period,
+			usage_prices: settings.usage_prices,
+			request_retries: settings.request_retries,
+			request_retry_delay: settings.request_retry_delay,
+			lore_approval_mode: settings.lore_approval_mode,
+			lore_management_system_prompt: settings.lore_management_system_prompt,
+			agentic_timeline_fill_system_prompt: settings.agentic_timeline_fill_system_prompt,
 
 			// Custom prompts (used when no preset selected)
 			memory_system_prompt: settings.memory_system_prompt,
@@ -1603,6 +2218,13 @@ export function exportAllSettings() {
 			timeline_fill_prompt_template: settings.timeline_fill_prompt_template,
 			arc_analyzer_system_prompt: settings.arc_analyzer_system_prompt,
 			arc_analyzer_prompt_template: settings.arc_analyzer_prompt_template,
+			volume_system_prompt: settings.volume_system_prompt,
+			volume_prompt_template: settings.volume_prompt_template,
+			volume_expand_recent: settings.volume_expand_recent,
+			timeline_format: settings.timeline_format,
+			chapter_metadata_enabled: settings.chapter_metadata_enabled,
+			chapter_metadata_system_prompt: settings.chapter_metadata_system_prompt,
+			chapter_metadata_prompt_template: settings.chapter_metadata_prompt_template,
 
 			// Current preset selections
 			current_summarize_preset: settings.current_summarize_preset,
@@ -1652,6 +2274,28 @@ export async function importAllSettings(jsonData) {
 			if (importData.settings.add_chunk_summaries !== undefined) settings.add_chunk_summaries = importData.settings.add_chunk_summaries;
 			if (importData.settings.chapter_end_mode !== undefined) settings.chapter_end_mode = importData.settings.chapter_end_mode;
 			if (importData.settings.rate_limit !== undefined) settings.rate_limit = importData.settings.rate_limit;
+			if (importData.settings.auto_chapter_enabled !== undefined) settings.auto_chapter_enabled = importData.settings.auto_chapter_enabled;
+			if (importData.settings.auto_chapter_message_limit !== undefined) settings.auto_chapter_message_limit = importData.settings.auto_chapter_message_limit;
+			if (importData.settings.auto_chapter_token_limit !== undefined) settings.auto_chapter_token_limit = importData.settings.auto_chapter_token_limit;
+			if (importData.settings.auto_chapter_mode !== undefined) settings.auto_chapter_mode = importData.settings.auto_chapter_mode;
+			if (importData.settings.search_scorer !== undefined) settings.search_scorer = importData.settings.search_scorer;
+			if (importData.settings.search_chunk_size !== undefined) settings.search_chunk_size = importData.settings.search_chunk_size;
+			if (importData.settings.search_result_limit !== undefined) settings.search_result_limit = importData.settings.search_result_limit;
+			if (importData.settings.timeline_fill_search_candidates !== undefined) settings.timeline_fill_search_candidates = importData.settings.timeline_fill_search_candidates;
+			if (importData.settings.query_streaming !== undefined) settings.query_streaming = importData.settings.query_streaming;
+			if (importData.settings.timeline_fill_concurrency !== undefined) settings.timeline_fill_concurrency = importData.settings.timeline_fill_concurrency;
+			if (importData.settings.query_cache_enabled !== undefined) settings.query_cache_enabled = importData.settings.query_cache_enabled;
+			if (importData.settings.query_cache_ttl !== undefined) settings.query_cache_ttl = importData.settings.query_cache_ttl;
+			if (importData.settings.query_cache_similarity !== undefined) settings.query_cache_similarity = importData.settings.query_cache_similarity;
+			if (importData.settings.inject_token_budget !== undefined) settings.inject_token_budget = importData.settings.inject_token_budget;
+			if (importData.settings.usage_budget !== undefined) settings.usage_budget = importData.settings.usage_budget;
+			if (importData.settings.usage_budget_period !== undefined) settings.usage_budget_period = importData.settings.usage_budget_period;
+			if (importData.settings.usage_prices !== undefined) settings.usage_prices = importData.settings.usage_prices;
+			if (importData.settings.request_retries !== undefined) settings.request_retries = importData.settings.request_retries;
+			if (importData.settings.request_retry_delay !== undefined) settings.request_retry_delay = importData.settings.request_retry_delay;
+			if (importData.settings.lore_approval_mode !== undefined) settings.lore_approval_mode = importData.settings.lore_approval_mode;
+			if (importData.settings.lore_management_system_prompt !== undefined) settings.lore_management_system_prompt = importData.settings.lore_management_system_prompt;
+			if (importData.settings.agentic_timeline_fill_system_prompt !== undefined) settings.agentic_timeline_fill_system_prompt = importData.settings.agentic_timeline_fill_system_prompt;
 
 			// Prompts
 			if (importData.settings.memory_system_prompt !== undefined) settings.memory_system_prompt = importData.settings.memory_system_prompt;
@@ -1662,6 +2306,13 @@ export async function importAllSettings(jsonData) {
 			if (importData.settings.timeline_fill_prompt_template !== undefined) settings.timeline_fill_prompt_template = importData.settings.timeline_fill_prompt_template;
 			if (importData.settings.arc_analyzer_system_prompt !== undefined) settings.arc_analyzer_system_prompt = importData.settings.arc_analyzer_system_prompt;
 			if (importData.settings.arc_analyzer_prompt_template !== undefined) settings.arc_analyzer_prompt_template = importData.settings.arc_analyzer_prompt_template;
+			if (importData.settings.volume_system_prompt !== undefined) settings.volume_system_prompt = importData.settings.volume_system_prompt;
+			if (importData.settings.volume_prompt_template !== undefined) settings.volume_prompt_template = importData.settings.volume_prompt_template;
+			if (importData.settings.volume_expand_recent !== undefined) settings.volume_expand_recent = importData.settings.volume_expand_recent;
+			if (importData.settings.timeline_format !== undefined) settings.timeline_format = importData.settings.timeline_format;
+			if (importData.settings.chapter_metadata_enabled !== undefined) settings.chapter_metadata_enabled = importData.settings.chapter_metadata_enabled;
+			if (importData.settings.chapter_metadata_system_prompt !== undefined) settings.chapter_metadata_system_prompt = importData.settings.chapter_metadata_system_prompt;
+			if (importData.settings.chapter_metadata_prompt_template !== undefined) settings.chapter_metadata_prompt_template = importData.settings.chapter_metadata_prompt_template;
 		}
 
 		// Import presets
@@ -1863,12 +2514,29 @@ async function handleMasterImport() {
 	input.click();
 }
 
+/**
+ * Show the fallback profiles of each workflow profile by name
+ */
+function refreshFallbackProfileInputs() {
+	const profiles = extension_settings.connectionManager?.profiles ?? [];
+	$('.rmr-fallback-profiles').each((_i, elem) => {
+		const ids = settings.fallback_profiles?.[$(elem).data('setting')] ?? [];
+		elem.value = ids.map(id => profiles.find(it => it.id === id)?.name ?? id).join(', ');
+	});
+}
+
 // Refresh all settings UI elements
 function refreshSettingsUI() {
 	// Checkboxes
 	$('#rmr_tools_enabled').prop('checked', settings.tools_enabled);
 	$('#rmr_hide_chapter').prop('checked', settings.hide_chapter);
 	$('#rmr_add_chunk_summaries').prop('checked', settings.add_chunk_summaries);
+	$('#rmr_chapter_metadata_enabled').prop('checked', settings.chapter_metadata_enabled);
+	$('#rmr_query_streaming').prop('checked', settings.query_streaming);
+	$('#rmr_query_cache_enabled').prop('checked', settings.query_cache_enabled);
+	$('#rmr_auto_chapter_enabled').prop('checked', settings.auto_chapter_enabled);
+	$('#rmr_auto_chapter_mode').val(settings.auto_chapter_mode);
+	$('#rmr_timeline_format').val(settings.timeline_format);
 
 	// Button checkboxes
 	for (const button in Buttons) {
@@ -1878,6 +2546,163 @@ function refreshSettingsUI() {
 
 	// Numeric inputs
 	$('#rmr_rate_limit').val(settings.rate_limit);
+	$('#rmr_auto_chapter_message_limit').val(settings.auto_chapter_message_limit);
+	$('#rmr_auto_chapter_token_limit').val(settings.auto_chapter_token_limit);
+	$('#rmr_volume_expand_recent').val(settings.volume_expand_recent);
+	$('#rmr_search_scorer').val(settings.search_scorer);
+	$('#rmr_search_chunk_size').val(settings.search_chunk_size);
+	$('#rmr_search_result_limit').val(settings.search_result_limit);
+	$('#rmr_timeline_fill_search_candidates').val(settings.timeline_fill_search_candidates);
+	$('#rmr_timeline_fill_concurrency').val(settings.timeline_fill_concurrency);
+	$('#rmr_query_cache_ttl').val(settings.query_cache_ttl);
+	$('#rmr_query_cache_similarity').val(settings.query_cache_similarity);
+	$('#rmr_inject_token_budget').val(settings.inject_token_budget);
+	$('#rmr_usage_budget').val(settings.usage_budget);
+	$('#rmr_usage_budget_period').val(settings.usage_budget_period);
+	$('#rmr_request_retries').val(settings.request_retries);
+	$('#rmr_request_retry_delay').val(settings.request_retry_delay);
+	refreshFallbackProfileInputs();
+	$('#rmr_query_chapter_limit').val(settings.query_chapter_limit);
+	$('#rmr_timeline_fill_query_limit').val(settings.timeline_fill_query_limit);
+
+	// Injection and agentic timeline fill
+	$('#rmr_inject_enabled').prop('checked', settings.inject_enabled);
+	$('#rmr_inject_depth').val(settings.inject_depth);
+	$('#rmr_inject_role').val(settings.inject_role);
+	$('#rmr_inject_prompt').val(settings.inject_prompt);
+	$('#rmr_agentic_timeline_fill_enabled').prop('checked', settings.agentic_timeline_fill_enabled);
+	$('#rmr_agentic_timeline_fill_profile').val(settings.agentic_timeline_fill_profile || '');
+	$('#rmr_agentic_timeline_fill_prompt').val(settings.agentic_timeline_fill_prompt);
+	$('#rmr_agentic_timeline_fill_system_prompt').val(settings.agentic_timeline_fill_system_prompt);
+}
+
+/**
+ * Show the values that apply to the current chat, and mark the ones that come from an override
+ */
+async function refreshLayeredSettingsUI() {
+	refreshPromptFields();
+	refreshSettingsUI();
+	$('#rmr_summarize_preset').val(settings.current_summarize_preset || '');
+	$('#rmr_query_preset').val(settings.current_query_preset || '');
+	$('#rmr_timeline_fill_preset').val(settings.current_timeline_fill_preset || '');
+	$('#rmr_arc_preset').val(settings.current_arc_preset || '');
+	updatePresetButtons('summarize', settings.current_summarize_preset);
+	updatePresetButtons('query', settings.current_query_preset);
+	updatePresetButtons('timeline_fill', settings.current_timeline_fill_preset);
+	updatePresetButtons('arc', settings.current_arc_preset);
+	reloadBundleOptions();
+	renderOverrideBadges();
+
+	const { updateTimelineInjection } = await import('./memories.js');
+	updateTimelineInjection();
+	const { updateToolRegistration } = await import('./commands.js');
+	updateToolRegistration();
+}
+
+function renderOverrideBadges() {
+	$('.rmr-override-badge').remove();
+	for (const key of Object.keys(defaultSettings)) {
+		if (!isOverridable(key)) continue;
+		const source = getSettingSource(key);
+		if (source === OverrideScope.GLOBAL) continue;
+
+		const id = SETTING_INPUT_IDS[key] ?? `rmr_${key}`;
+		const badge = $('<span class="rmr-override-badge"></span>')
+			.text(source === OverrideScope.CHAT ? 'Chat' : 'Character')
+			.attr('title', `Overridden for this ${source}. Click to use the ${source === OverrideScope.CHAT ? 'character or global' : 'global'} value again.`)
+			.on('click', async (e) => {
+				e.preventDefault();
+				e.stopPropagation();
+				clearOverrides(source, key);
+				await refreshLayeredSettingsUI();
+			});
+		const label = $(`label[for="${id}"]`);
+		if (label.length) {
+			label.first().append(badge);
+		} else {
+			$(`#${id}`).before(badge);
+		}
+	}
+}
+
+/**
+ * Name the character or chat whose overrides the panel edits
+ */
+function renderScopeTarget() {
+	const context = getContext();
+	const scope = getEditScope();
+	let target = '';
+	if (scope === OverrideScope.CHARACTER) {
+		target = `Editing overrides for ${context.name2}`;
+	} else if (scope === OverrideScope.CHAT) {
+		target = `Editing overrides for chat ${context.getCurrentChatId()}`;
+	}
+	$('#rmr_settings_scope_target').text(target);
+}
+
+/**
+ * Update the settings panel after the chat changed or overrides were edited elsewhere
+ * @param {Object} [options]
+ * @param {boolean} [options.chatChanged] - Go back to editing all chats, so edits are not written to the new chat's overrides
+ */
+export async function refreshSettingOverridesUI({ chatChanged = false } = {}) {
+	if (!$('#rmr_settings_scope').length) return;
+	if (chatChanged || !isScopeAvailable(getEditScope())) {
+		setEditScope(OverrideScope.GLOBAL);
+	}
+	renderScopeTarget();
+	$('#rmr_settings_scope').val(getEditScope());
+	$('#rmr_settings_scope option[value="character"]').prop('disabled', !isScopeAvailable(OverrideScope.CHARACTER));
+	$('#rmr_settings_scope option[value="chat"]').prop('disabled', !isScopeAvailable(OverrideScope.CHAT));
+	await refreshLayeredSettingsUI();
+}
+
+/**
+ * Show the size of the injected timeline prompt and what was trimmed to fit the token budget
+ */
+export async function renderInjectionPreview() {
+	const preview = $('#rmr_inject_preview');
+	if (!preview.length) return;
+	const { getInjectionReport } = await import('./memories.js');
+	const report = getInjectionReport();
+	if (!report) {
+		preview.text('');
+		return;
+	}
+
+	const lines = [report.budget > 0
+		? `Injected prompt: ${report.tokens} / ${report.budget} tokens (${report.originalTokens} before trimming)`
+		: `Injected prompt: ${report.characters} characters (set a token budget to count tokens)`];
+	if (report.summaryOnly.length) lines.push(`Summary only: ${report.summaryOnly.join(', ')}`);
+	if (report.titleOnly.length) lines.push(`Title only: ${report.titleOnly.join(', ')}`);
+	if (report.dropped.length) lines.push(`Dropped: ${report.dropped.join(', ')}`);
+	if (report.responsesDropped) {
+		lines.push(`Timeline responses dropped: ${report.responsesDropped} of ${report.responsesTotal} ${report.agenticResponse ? 'paragraphs' : 'answers'}`);
+	}
+	if (report.budget > 0 && report.tokens > report.budget) {
+		lines.push('The prompt template alone is over budget.');
+	}
+	preview.text(lines.join('\n'));
+}
+
+// Editable chapter metadata fields shown above each summary
+const CHAPTER_METADATA_FIELDS = [
+	{ key: 'title', placeholder: 'Title' },
+	{ key: 'time', placeholder: 'In-story time' },
+	{ key: 'characters', placeholder: 'Characters (comma-separated)' },
+	{ key: 'locations', placeholder: 'Locations (comma-separated)' },
+	{ key: 'tags', placeholder: 'Tags (comma-separated)' },
+];
+
+// Reset a chapter's metadata inputs to the stored values
+function refreshChapterMetadataInputs(container, chapterNum, chapter) {
+	if (!chapter) return;
+	container.find(`.rmr-summary-meta[data-chapter="${chapterNum}"]`).each(function() {
+		const value = chapter[$(this).data('field')];
+		const text = Array.isArray(value) ? value.join(', ') : (value || '');
+		$(this).val(text);
+		$(this).data('original', text);
+	});
 }
 
 // Render the summaries list in the settings panel
@@ -1886,7 +2711,7 @@ export async function renderSummariesList() {
 	if (!container.length) return;
 
 	// Dynamically import to avoid circular dependencies
-	const { getTimelineEntries, updateChapterSummary } = await import('./memories.js');
+	const { getTimelineEntries, updateChapterSummary, updateChapterMetadata, getVolumeForChapter, isChapterStale } = await import('./memories.js');
 	const timeline = getTimelineEntries();
 
 	container.empty();
@@ -1900,21 +2725,30 @@ export async function renderSummariesList() {
 		const chapterNum = index + 1;
 		const startMsg = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
 		const endMsg = chapter.endMsgId;
+		const rangeLabel = chapter.archived ? 'Archived' : `Messages ${startMsg} - ${endMsg}`;
 		const isLastChapter = chapterNum === timeline.length;
+		const volumeNum = getVolumeForChapter(chapterNum);
+		const metadataFields = CHAPTER_METADATA_FIELDS.map(field => {
+			const value = Array.isArray(chapter[field.key]) ? chapter[field.key].join(', ') : (chapter[field.key] || '');
+			return `<input type="text" class="rmr-summary-meta text_pole" data-chapter="${chapterNum}" data-field="${field.key}" placeholder="${field.placeholder}" title="${field.placeholder}" value="${escapeHtml(value)}">`;
+		}).join('');
 
 		const summaryItem = $(`
 			<div class="rmr-summary-item" data-chapter="${chapterNum}">
 				<div class="rmr-summary-header">
 					<span>Chapter ${chapterNum}</span>
-					<span class="rmr-summary-range">Messages ${startMsg} - ${endMsg}</span>
-					<button type="button" class="rmr-summary-expand" data-chapter="${chapterNum}" data-start="${startMsg}" data-end="${endMsg}" title="Edit in fullscreen">
+					${volumeNum ? `<span class="rmr-summary-volume">Volume ${volumeNum}</span>` : ''}
+					<span class="rmr-summary-range" ${chapter.archived ? 'title="Imported from another chat; only the summary is available"' : ''}>${rangeLabel}</span>
+					${isChapterStale(chapter) ? '<span class="rmr-summary-stale" title="Messages in this chapter changed after it was summarized. Resummarize to update it." data-i18n="rmr_summary_stale">Stale</span>' : ''}
+					<button type="button" class="rmr-summary-expand" data-chapter="${chapterNum}" data-range="${rangeLabel}" title="Edit in fullscreen">
 						<i class="fa-solid fa-expand"></i>
 					</button>
 				</div>
+				<div class="rmr-summary-metadata">${metadataFields}</div>
 				<textarea class="rmr-summary-text text_pole" data-chapter="${chapterNum}">${escapeHtml(chapter.summary || '')}</textarea>
 				<div class="rmr-summary-actions">
-					${isLastChapter ? `<button type="button" class="menu_button rmr-remove-summary" data-chapter="${chapterNum}" data-end-msg="${endMsg}" data-i18n="rmr_remove">Remove</button>` : ''}
-					<button type="button" class="menu_button rmr-resummarize" data-chapter="${chapterNum}" data-i18n="rmr_resummarize">Resummarize</button>
+					${isLastChapter ? `<button type="button" class="menu_button rmr-remove-summary" data-chapter="${chapterNum}" data-i18n="rmr_remove">Remove</button>` : ''}
+					${chapter.archived ? '' : `<button type="button" class="menu_button rmr-resummarize" data-chapter="${chapterNum}" data-i18n="rmr_resummarize">Resummarize</button>`}
 					<button type="button" class="menu_button rmr-save-summary" data-chapter="${chapterNum}" disabled>Save</button>
 				</div>
 			</div>
@@ -1924,14 +2758,15 @@ export async function renderSummariesList() {
 	});
 
 	// Store original values and handle change detection
-	container.find('.rmr-summary-text').each(function() {
-		const textarea = $(this);
-		textarea.data('original', textarea.val());
+	container.find('.rmr-summary-text, .rmr-summary-meta').each(function() {
+		const field = $(this);
+		field.data('original', field.val());
 
-		textarea.on('input', function() {
+		field.on('input', function() {
 			const chapterNum = $(this).data('chapter');
 			const saveBtn = container.find(`.rmr-save-summary[data-chapter="${chapterNum}"]`);
-			const hasChanged = $(this).val() !== $(this).data('original');
+			const fields = container.find(`.rmr-summary-text[data-chapter="${chapterNum}"], .rmr-summary-meta[data-chapter="${chapterNum}"]`);
+			const hasChanged = fields.toArray().some(el => $(el).val() !== $(el).data('original'));
 			saveBtn.prop('disabled', !hasChanged);
 		});
 	});
@@ -1940,12 +2775,20 @@ export async function renderSummariesList() {
 	container.find('.rmr-save-summary').on('click', async function() {
 		const chapterNum = $(this).data('chapter');
 		const textarea = container.find(`.rmr-summary-text[data-chapter="${chapterNum}"]`);
+		const metaInputs = container.find(`.rmr-summary-meta[data-chapter="${chapterNum}"]`);
 		const newSummary = textarea.val();
+		const metadata = {};
+		metaInputs.each(function() {
+			metadata[$(this).data('field')] = $(this).val();
+		});
 
-		const success = updateChapterSummary(chapterNum, newSummary);
+		const success = updateChapterSummary(chapterNum, newSummary) && updateChapterMetadata(chapterNum, metadata);
 
 		if (success) {
 			textarea.data('original', newSummary);
+			metaInputs.each(function() {
+				$(this).data('original', $(this).val());
+			});
 			$(this).prop('disabled', true);
 			toastr.success(`Chapter ${chapterNum} summary updated.`, 'Timeline Memory');
 		} else {
@@ -1956,26 +2799,12 @@ export async function renderSummariesList() {
 	// Handle inline remove button clicks (only for most recent chapter)
 	container.find('.rmr-remove-summary').on('click', async function() {
 		const chapterNum = $(this).data('chapter');
-		const endMsgId = $(this).data('end-msg');
-		const { removeChapterFromTimeline } = await import('./memories.js');
-
-		// Remove chapter marker from chat
-		const chat = getContext().chat;
-		if (chat?.[endMsgId]?.extra?.rmr_chapter) {
-			chat[endMsgId].extra.rmr_chapter = false;
-			getContext().saveChat();
-		}
+		const { removeChapterByNumber } = await import('./memories.js');
 
-		// Remove from timeline
-		const removed = removeChapterFromTimeline(endMsgId);
+		// Remove from timeline along with its chapter marker
+		const removed = removeChapterByNumber(chapterNum);
 
 		if (removed) {
-			// Update message button if visible
-			const button = $(`.mes[mesid="${endMsgId}"] .rmr-button.rmr-chapter-point`);
-			if (button.length) {
-				button.removeClass('active');
-			}
-
 			toastr.success(`Chapter ${chapterNum} removed from timeline`, 'Timeline Memory');
 			renderSummariesList();
 		} else {
@@ -2001,6 +2830,8 @@ export async function renderSummariesList() {
 			if (newSummary) {
 				textarea.val(newSummary);
 				textarea.data('original', newSummary);
+				refreshChapterMetadataInputs(container, chapterNum, getTimelineEntries()[chapterNum - 1]);
+				container.find(`.rmr-summary-item[data-chapter="${chapterNum}"] .rmr-summary-stale`).remove();
 				container.find(`.rmr-save-summary[data-chapter="${chapterNum}"]`).prop('disabled', true);
 			}
 		} finally {
@@ -2012,18 +2843,17 @@ export async function renderSummariesList() {
 	// Handle expand button clicks to open popup
 	container.find('.rmr-summary-expand').on('click', function() {
 		const chapterNum = $(this).data('chapter');
-		const startMsg = $(this).data('start');
-		const endMsg = $(this).data('end');
+		const rangeLabel = $(this).data('range');
 		const textarea = container.find(`.rmr-summary-text[data-chapter="${chapterNum}"]`);
 		const currentText = textarea.val();
 		const isLastChapter = chapterNum === timeline.length;
 
-		openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updateChapterSummary, isLastChapter);
+		openSummaryPopup(chapterNum, rangeLabel, currentText, updateChapterSummary, isLastChapter);
 	});
 }
 
 // Open the fullscreen summary popup
-async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updateChapterSummary, isLastChapter = false) {
+async function openSummaryPopup(chapterNum, rangeLabel, currentText, updateChapterSummary, isLastChapter = false) {
 	const popup = $('#rmr_summary_popup');
 	const popupTextarea = $('#rmr_popup_textarea');
 	const saveBtn = $('#rmr_popup_save');
@@ -2031,11 +2861,12 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 
 	// Set popup content
 	$('#rmr_popup_chapter_num').text(chapterNum);
-	$('#rmr_popup_range').text(`Messages ${startMsg} - ${endMsg}`);
+	$('#rmr_popup_range').text(rangeLabel);
 	popupTextarea.val(currentText);
 	popupTextarea.data('original', currentText);
 	popupTextarea.data('chapter', chapterNum);
 	saveBtn.prop('disabled', true);
+	await renderRevisionHistory();
 
 	// Show/hide remove button based on whether this is the last chapter
 	if (isLastChapter) {
@@ -2054,6 +2885,33 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 	popupTextarea.off('input').on('input', function() {
 		const hasChanged = $(this).val() !== $(this).data('original');
 		saveBtn.prop('disabled', !hasChanged);
+		showRevisionDiff();
+	});
+
+	// Show the selected earlier summary as a diff against the text being edited
+	$('#rmr_popup_revisions').off('change').on('change', showRevisionDiff);
+
+	// Handle revert to the selected revision
+	$('#rmr_popup_revert').off('click').on('click', async function() {
+		const chapter = popupTextarea.data('chapter');
+		const index = $('#rmr_popup_revisions').val();
+		if (index === '' || index === null) return;
+
+		const { revertChapterSummary } = await import('./memories.js');
+		const restored = revertChapterSummary(chapter, Number(index));
+		if (restored === null) {
+			toastr.error(`Failed to revert chapter ${chapter} summary.`, 'Timeline Memory');
+			return;
+		}
+		popupTextarea.val(restored);
+		popupTextarea.data('original', restored);
+		saveBtn.prop('disabled', true);
+		const inlineTextarea = $(`.rmr-summary-text[data-chapter="${chapter}"]`);
+		inlineTextarea.val(restored);
+		inlineTextarea.data('original', restored);
+		inlineTextarea.trigger('input');
+		await renderRevisionHistory();
+		toastr.success(`Chapter ${chapter} summary reverted to revision ${Number(index) + 1}.`, 'Timeline Memory');
 	});
 
 	// Handle save
@@ -2068,7 +2926,8 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 			const inlineTextarea = $(`.rmr-summary-text[data-chapter="${chapter}"]`);
 			inlineTextarea.val(newSummary);
 			inlineTextarea.data('original', newSummary);
-			$(`.rmr-save-summary[data-chapter="${chapter}"]`).prop('disabled', true);
+			// Re-check the inline Save button, which stays enabled for unsaved metadata edits
+			inlineTextarea.trigger('input');
 
 			// Update popup state
 			popupTextarea.data('original', newSummary);
@@ -2088,7 +2947,7 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 	// Handle remove button (only for most recent chapter)
 	$('#rmr_popup_remove').off('click').on('click', async function() {
 		const chapter = popupTextarea.data('chapter');
-		const { removeChapterFromTimeline, getTimelineEntries } = await import('./memories.js');
+		const { removeChapterByNumber, getTimelineEntries } = await import('./memories.js');
 		const timeline = getTimelineEntries();
 
 		if (!timeline || timeline.length === 0) {
@@ -2096,29 +2955,15 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 			return;
 		}
 
-		const chapterData = timeline[chapter - 1];
-		if (!chapterData) {
+		if (!timeline[chapter - 1]) {
 			toastr.error('Chapter not found', 'Timeline Memory');
 			return;
 		}
 
-		// Remove chapter marker from chat
-		const chat = getContext().chat;
-		if (chat?.[chapterData.endMsgId]?.extra?.rmr_chapter) {
-			chat[chapterData.endMsgId].extra.rmr_chapter = false;
-			getContext().saveChat();
-		}
-
-		// Remove from timeline
-		const removed = removeChapterFromTimeline(chapterData.endMsgId);
+		// Remove from timeline along with its chapter marker
+		const removed = removeChapterByNumber(chapter);
 
 		if (removed) {
-			// Update message button if visible
-			const button = $(`.mes[mesid="${chapterData.endMsgId}"] .rmr-button.rmr-chapter-point`);
-			if (button.length) {
-				button.removeClass('active');
-			}
-
 			toastr.success(`Chapter ${chapter} removed from timeline`, 'Timeline Memory');
 			closeSummaryPopup();
 			renderSummariesList();
@@ -2138,7 +2983,7 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 		btn.html('<i class="fa-solid fa-spinner fa-spin"></i>');
 
 		try {
-			const { resummarizeChapter } = await import('./memories.js');
+			const { resummarizeChapter, getTimelineEntries } = await import('./memories.js');
 			const newSummary = await resummarizeChapter(chapter);
 
 			if (newSummary) {
@@ -2146,11 +2991,13 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 				popupTextarea.data('original', newSummary);
 				saveBtn.prop('disabled', true);
 
-				// Also update the inline textarea
+				// Also update the inline textarea and metadata
 				const inlineTextarea = $(`.rmr-summary-text[data-chapter="${chapter}"]`);
 				inlineTextarea.val(newSummary);
 				inlineTextarea.data('original', newSummary);
+				refreshChapterMetadataInputs($('#rmr_summaries_container'), chapter, getTimelineEntries()[chapter - 1]);
 				$(`.rmr-save-summary[data-chapter="${chapter}"]`).prop('disabled', true);
+				await renderRevisionHistory();
 			}
 		} finally {
 			btn.prop('disabled', false);
@@ -2173,6 +3020,109 @@ async function openSummaryPopup(chapterNum, startMsg, endMsg, currentText, updat
 	});
 }
 
+const REVISION_SOURCE_LABELS = {
+	original: 'Original',
+	summarize: 'Summarized',
+	resummarize: 'Resummarized',
+	edit: 'Edited',
+	import: 'Imported',
+	revert: 'Reverted',
+};
+
+/**
+ * List the summary revisions of the chapter shown in the popup, newest first
+ */
+async function renderRevisionHistory() {
+	const chapter = $('#rmr_popup_textarea').data('chapter');
+	const { getChapterRevisions } = await import('./memories.js');
+	const revisions = getChapterRevisions(chapter);
+	const profiles = extension_settings.connectionManager?.profiles ?? [];
+
+	const select = $('#rmr_popup_revisions').empty();
+	select.append($('<option value=""></option>').text(`History (${revisions.length} revision${revisions.length === 1 ? '' : 's'})`));
+	for (let index = revisions.length - 1; index >= 0; index--) {
+		const revision = revisions[index];
+		const details = [
+			`#${index + 1}`,
+			REVISION_SOURCE_LABELS[revision.source] ?? revision.source,
+			revision.timestamp && new Date(revision.timestamp).toLocaleString(),
+			revision.profile && (profiles.find(p => p.id === revision.profile)?.name ?? revision.profile),
+			index === revisions.length - 1 && 'current',
+		].filter(Boolean);
+		select.append($('<option></option>').attr('value', index).text(details.join(' · ')));
+	}
+	select.data('revisions', revisions);
+	showRevisionDiff();
+}
+
+function showRevisionDiff() {
+	const select = $('#rmr_popup_revisions');
+	const diff = $('#rmr_popup_diff');
+	const revision = select.val() === '' ? null : select.data('revisions')?.[Number(select.val())];
+	$('#rmr_popup_revert').prop('disabled', !revision);
+	if (!revision) {
+		diff.hide().empty();
+		return;
+	}
+
+	const parts = diffWords(revision.summary, String($('#rmr_popup_textarea').val()));
+	diff.empty();
+	if (parts.every(part => part.type === 'same')) {
+		diff.text('Identical to the text above.');
+	}
+	else {
+		for (const part of parts) {
+			const className = part.type === 'added' ? 'rmr-diff-added' : part.type === 'removed' ? 'rmr-diff-removed' : '';
+			diff.append(className ? $('<span></span>').addClass(className).text(part.text) : document.createTextNode(part.text));
+		}
+	}
+	diff.show();
+}
+
+/**
+ * Word-level diff of two texts, by longest common subsequence
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+function diffWords(before, after) {
+	const a = String(before ?? '').split(/(\s+)/).filter(Boolean);
+	const b = String(after ?? '').split(/(\s+)/).filter(Boolean);
+	// Very long texts are shown as a whole replacement rather than diffed
+	if (a.length * b.length > 1000000) {
+		return [{ type: 'removed', text: a.join('') }, { type: 'added', text: b.join('') }];
+	}
+
+	const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	const parts = [];
+	const push = (type, text) => {
+		if (parts.at(-1)?.type === type) parts.at(-1).text += text;
+		else parts.push({ type, text });
+	};
+	let i = 0;
+	let j = 0;
+	while (i < a.length && j < b.length) {
+		if (a[i] === b[j]) {
+			push('same', a[i]);
+			i++;
+			j++;
+		} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+			push('removed', a[i++]);
+		} else {
+			push('added', b[j++]);
+		}
+	}
+	while (i < a.length) push('removed', a[i++]);
+	while (j < b.length) push('added', b[j++]);
+	return parts;
+}
+
 // Close the fullscreen summary popup
 function closeSummaryPopup() {
 	$('#rmr_summary_popup').hide();
@@ -0,0 +1,318 @@
+/**
+ * Timeline Build Module
+ *
+ * Splits an existing long chat into chapters in one go. The unchaptered part of the chat is sent to the
+ * Arc Analyzer in windows that fit the arc profile's context, all proposed chapter ends are reviewed in one
+ * list, and the accepted chapters are then summarized one after another. Progress is kept in the chat
+ * metadata, so a build interrupted by a reload continues where it stopped.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { settings } from "./settings.js";
+import { debug } from "./logging.js";
+import { analyzeArcSpan, getArcHistoryBudget, summarizeChapter } from "./memories.js";
+import { messageAnchor } from "./timeline-transfer.js";
+import { showRetrievalProgress, hideRetrievalProgress, updateRetrievalProgress } from "./retrieval-progress.js";
+
+const BUILD_METADATA_KEY = 'timeline_build';
+
+export const BuildPhase = {
+    ANALYZING: 'analyzing',
+    REVIEW: 'review',
+    SUMMARIZING: 'summarizing',
+};
+
+let buildRunning = false;
+
+function getBuildState() {
+    return getContext().chatMetadata?.[BUILD_METADATA_KEY] ?? null;
+}
+
+function saveBuildState(state) {
+    const context = getContext();
+    context.chatMetadata[BUILD_METADATA_KEY] = state;
+    context.saveMetadata();
+}
+
+function clearBuildState() {
+    const context = getContext();
+    delete context.chatMetadata[BUILD_METADATA_KEY];
+    context.saveMetadata();
+}
+
+/**
+ * Whether this chat has a build that was started but not finished
+ * @returns {boolean}
+ */
+export function hasPendingBuild() {
+    return !!getBuildState();
+}
+
+/**
+ * Find the last message of the analysis window starting at a message, so that the window fits the budget
+ * @param {number} startMsgId - First message of the window
+ * @param {number} budget - Tokens available for chat history
+ * @returns {Promise<number>}
+ */
+async function findWindowEnd(startMsgId, budget) {
+    const context = getContext();
+    const chat = context.chat;
+    let tokens = 0;
+    let end = startMsgId;
+    for (let id = startMsgId; id < chat.length; id++) {
+        const message = chat[id];
+        // Hidden messages are left out of the Arc Analyzer's history
+        if (!message.is_system) {
+            // Counted in the same JSON shape the Arc Analyzer receives
+            tokens += await context.getTokenCountAsync(JSON.stringify({ id, name: message.name, role: message.is_user ? 'user' : 'assistant', text: message.mes }));
+            if (tokens > budget && id > startMsgId) break;
+        }
+        end = id;
+    }
+    return end;
+}
+
+/**
+ * Propose chapter ends for the rest of the chat, one window at a time
+ * @param {Object} state - Build state, updated and saved after every window
+ */
+async function analyzeWindows(state) {
+    const chat = getContext().chat;
+    const budget = await getArcHistoryBudget(state.profile);
+    if (budget <= 0) {
+        throw new Error('The Arc Analyzer profile has no room left for chat history; raise its context size or shorten the arc prompts');
+    }
+
+    while (state.cursor < chat.length) {
+        const end = await findWindowEnd(state.cursor, budget);
+        const isLastWindow = end >= chat.length - 1;
+        updateRetrievalProgress({
+            current: state.cursor - state.startMsgId,
+            total: chat.length - state.startMsgId,
+            message: `Analyzing messages ${state.cursor}-${end}...`,
+        });
+
+        const arcs = await analyzeArcSpan({ startMsgId: state.cursor, endMsgId: end }, state.profile);
+        const proposals = [];
+        for (const arc of arcs) {
+            if (proposals.at(-1)?.endMsgId === arc.chapterEnd) continue;
+            proposals.push({ endMsgId: arc.chapterEnd, title: arc.title, summary: arc.summary, justification: arc.justification });
+        }
+        if (!proposals.length && !isLastWindow) {
+            // Keep going rather than stall on a window without a natural ending
+            proposals.push({ endMsgId: end, title: '', summary: '', justification: 'The Arc Analyzer suggested no ending in this window, so it ends at the window limit.' });
+        }
+        debug(`Timeline build proposals for messages ${state.cursor}-${end}:`, proposals);
+
+        for (const proposal of proposals) {
+            state.proposals.push({ ...proposal, anchor: messageAnchor(chat[proposal.endMsgId]), accepted: true });
+        }
+        // Messages after the last proposed ending stay in the open chapter
+        if (isLastWindow) break;
+        state.cursor = proposals.at(-1).endMsgId + 1;
+        saveBuildState(state);
+    }
+
+    state.phase = BuildPhase.REVIEW;
+    saveBuildState(state);
+}
+
+/**
+ * Show every proposed chapter and let the user pick the ones to create
+ * @param {Object} state - Build state
+ * @returns {Promise<'summarize'|'later'|'discard'>}
+ */
+async function reviewProposals(state) {
+    const context = getContext();
+    const content = $('<div class="rmr-build-review"></div>')
+        .append($('<h3></h3>').text('Timeline Build'))
+        .append($('<p></p>').text(`The Arc Analyzer proposed ${state.proposals.length} chapters. Untick a chapter to merge its messages into the next one, and edit titles as needed.`));
+
+    const list = $('<div class="rmr-build-list"></div>');
+    let previousEnd = state.startMsgId - 1;
+    state.proposals.forEach((proposal, index) => {
+        const item = $('<div class="rmr-build-item"></div>');
+        const header = $('<label class="rmr-build-header checkbox_label"></label>')
+            .append($('<input type="checkbox" class="rmr-build-accept">').attr('data-index', index).prop('checked', proposal.accepted))
+            .append($('<span class="rmr-build-range"></span>').text(`Messages ${previousEnd + 1}-${proposal.endMsgId}`));
+        const title = $('<input type="text" class="text_pole rmr-build-title" placeholder="Title (optional)">').attr('data-index', index).val(proposal.title);
+        item.append(header, title);
+        if (proposal.summary || proposal.justification) {
+            item.append($('<div class="rmr-build-summary"></div>').text([proposal.summary, proposal.justification].filter(Boolean).join(' ')));
+        }
+        list.append(item);
+        previousEnd = proposal.endMsgId;
+    });
+    content.append(list);
+
+    const result = await context.callGenericPopup(content, context.POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Summarize',
+        cancelButton: 'Later',
+        customButtons: [{ text: 'Discard', result: 2 }],
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+
+    content.find('.rmr-build-accept').each(function () {
+        state.proposals[Number($(this).data('index'))].accepted = $(this).prop('checked');
+    });
+    content.find('.rmr-build-title').each(function () {
+        state.proposals[Number($(this).data('index'))].title = String($(this).val()).trim();
+    });
+
+    if (result === 2) return 'discard';
+    saveBuildState(state);
+    return result === 1 ? 'summarize' : 'later';
+}
+
+/**
+ * Find the current ID of a proposal's end message. Summarizing can insert messages (chunk summaries are added
+ * as comments after each chapter), so the message is looked up by its fingerprint, nearest the ID it had.
+ * @param {Object} proposal - Proposal with endMsgId and anchor
+ * @returns {number} Message ID, or -1 if no message matches
+ */
+function locateProposal(proposal) {
+    const chat = getContext().chat;
+    let best = -1;
+    chat.forEach((message, id) => {
+        if (messageAnchor(message) !== proposal.anchor) return;
+        if (best === -1 || Math.abs(id - proposal.endMsgId) < Math.abs(best - proposal.endMsgId)) best = id;
+    });
+    return best;
+}
+
+/**
+ * Go back to analyzing the chat after the last chapter, keeping the chapters already created
+ * @param {Object} state - Build state
+ */
+function resumeFromLastChapter(state) {
+    const chat = getContext().chat;
+    const startMsgId = chat.findLastIndex(message => message.extra?.rmr_chapter) + 1;
+    Object.assign(state, { phase: BuildPhase.ANALYZING, startMsgId, cursor: startMsgId, proposals: [], next: 0 });
+    saveBuildState(state);
+}
+
+/**
+ * Summarize the accepted chapters in order, saving progress after each one
+ * @param {Object} state - Build state
+ * @returns {Promise<number>} Number of chapters created
+ */
+async function summarizeProposals(state) {
+    const chat = getContext().chat;
+    const accepted = state.proposals.filter(proposal => proposal.accepted);
+    const options = { quiet: true };
+    if (settings.profile) {
+        options.profile = settings.profile;
+    }
+
+    let created = 0;
+    for (let index = state.next; index < accepted.length; index++) {
+        const proposal = accepted[index];
+        const endMsgId = locateProposal(proposal);
+        if (endMsgId === -1) {
+            resumeFromLastChapter(state);
+            throw new Error(`Message ${proposal.endMsgId} changed since the chat was analyzed. Run /timeline-build to analyze the rest of the chat again.`);
+        }
+        // Keep the later proposals in step with messages inserted or removed before this one
+        const shift = endMsgId - proposal.endMsgId;
+        if (shift) {
+            accepted.slice(index).forEach(it => { it.endMsgId += shift; });
+            saveBuildState(state);
+        }
+        const message = chat[proposal.endMsgId];
+        updateRetrievalProgress({ current: index, total: accepted.length, message: `Summarizing chapter ending at message ${proposal.endMsgId}...` });
+
+        // Summarized before the page was reloaded, but not yet recorded in the build state
+        if (!message?.extra?.rmr_chapter) {
+            await summarizeChapter(proposal.endMsgId, { ...options, title: proposal.title || undefined });
+            if (!chat[proposal.endMsgId]?.extra?.rmr_chapter) {
+                throw new Error(`Summarizing the chapter ending at message ${proposal.endMsgId} failed. Run /timeline-build to retry.`);
+            }
+            created++;
+        }
+
+        state.next = index + 1;
+        saveBuildState(state);
+    }
+    updateRetrievalProgress({ current: accepted.length, total: accepted.length, message: 'All chapters summarized!' });
+    return created;
+}
+
+/**
+ * Build chapters for the unchaptered part of the chat, or resume a build that was interrupted
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Profile ID to use for the Arc Analyzer instead of the arc profile
+ * @param {boolean} [options.restart] - Discard a saved build and analyze the chat again
+ * @returns {Promise<string>} Description of the result
+ */
+export async function buildTimeline({ profile = null, restart = false } = {}) {
+    if (buildRunning) {
+        throw new Error('A timeline build is already running');
+    }
+    const chat = getContext().chat ?? [];
+
+    let state = restart ? null : getBuildState();
+    if (!state) {
+        const startMsgId = chat.findLastIndex(message => message.extra?.rmr_chapter) + 1;
+        if (startMsgId >= chat.length) {
+            return 'There are no messages after the last chapter.';
+        }
+        state = { phase: BuildPhase.ANALYZING, profile: profile || settings.arc_profile, startMsgId, cursor: startMsgId, proposals: [], next: 0 };
+    }
+    if (!state.profile) {
+        throw new Error('Select an Arc Analyzer profile first');
+    }
+
+    buildRunning = true;
+    try {
+        if (state.phase === BuildPhase.ANALYZING) {
+            showRetrievalProgress('querying', 'Building Timeline');
+            try {
+                await analyzeWindows(state);
+            } finally {
+                hideRetrievalProgress();
+            }
+        }
+
+        if (state.phase === BuildPhase.REVIEW) {
+            if (!state.proposals.length) {
+                clearBuildState();
+                return 'The Arc Analyzer proposed no chapters.';
+            }
+            const choice = await reviewProposals(state);
+            if (choice === 'discard') {
+                clearBuildState();
+                return 'Timeline build discarded.';
+            }
+            if (choice === 'later') {
+                return 'Timeline build saved. Run /timeline-build to review it again.';
+            }
+            state.phase = BuildPhase.SUMMARIZING;
+            saveBuildState(state);
+        }
+
+        showRetrievalProgress('querying', 'Building Timeline');
+        let created;
+        try {
+            created = await summarizeProposals(state);
+        } finally {
+            hideRetrievalProgress();
+        }
+        clearBuildState();
+        return `Timeline build complete: ${created} chapters added.`;
+    } finally {
+        buildRunning = false;
+    }
+}
+
+/**
+ * Remind the user of a build that was interrupted, e.g. by a page reload
+ */
+export function checkInterruptedBuild() {
+    if (buildRunning || !hasPendingBuild()) return;
+    const state = getBuildState();
+    const progress = state.phase === BuildPhase.SUMMARIZING
+        ? `${state.next} of ${state.proposals.filter(proposal => proposal.accepted).length} chapters were summarized`
+        : state.phase === BuildPhase.REVIEW ? 'its chapters are waiting for review' : 'the chat was partly analyzed';
+    toastr.info(`A timeline build for this chat was interrupted (${progress}). Run /timeline-build to resume it.`, 'Timeline Memory');
+}
@@ -0,0 +1,228 @@
+/**
+ * Timeline Search Module
+ *
+ * Local retrieval over the full text of summarized chapters. Chapters are split
+ * into small chunks of messages and ranked against a query by a pluggable scorer
+ * (BM25 by default, optionally SillyTavern's Vector Storage).
+ */
+
+import { extension_settings, getContext } from "../../../../extensions.js";
+import { getRequestHeaders } from "../../../../../script.js";
+import { getStringHash } from "../../../../utils.js";
+import { settings } from "./settings.js";
+import { debug, error } from "./logging.js";
+import { getChapterHistory, getTimelineEntries, loadTimelineData } from "./memories.js";
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has', 'have', 'he', 'her',
+    'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the',
+    'their', 'them', 'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who',
+    'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms with stopwords and single characters removed
+ */
+export function tokenize(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Okapi BM25 over the given chunks
+ * @param {string} query - Search query
+ * @param {Array<{text: string}>} chunks - Chunks to score
+ * @returns {Promise<number[]>} One score per chunk
+ */
+async function bm25Scorer(query, chunks) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length || !chunks.length) return chunks.map(() => 0);
+
+    const docs = chunks.map(chunk => tokenize(chunk.text));
+    const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+    const docFreq = new Map();
+    for (const doc of docs) {
+        for (const term of new Set(doc)) {
+            docFreq.set(term, (docFreq.get(term) || 0) + 1);
+        }
+    }
+
+    return docs.map(doc => {
+        const termFreq = new Map();
+        for (const term of doc) termFreq.set(term, (termFreq.get(term) || 0) + 1);
+
+        let score = 0;
+        for (const term of queryTerms) {
+            const tf = termFreq.get(term);
+            if (!tf) continue;
+            const df = docFreq.get(term) || 0;
+            const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / avgLength));
+        }
+        return score;
+    });
+}
+
+/**
+ * Rank chunks with SillyTavern's Vector Storage backend, using the source configured there.
+ * Chunks are inserted into a per-chat collection the first time they are seen.
+ * @param {string} query - Search query
+ * @param {Array<{text: string}>} chunks - Chunks to score
+ * @returns {Promise<number[]>} One score per chunk (rank-based, higher is better)
+ */
+async function vectorScorer(query, chunks) {
+    const vectorSettings = extension_settings.vectors;
+    if (!vectorSettings?.source) {
+        throw new Error('Vector Storage is not configured');
+    }
+
+    const source = vectorSettings.source;
+    const collectionId = `timeline-memory_${getContext().getCurrentChatId()}`;
+    const sourceArgs = { source, model: vectorSettings[`${source}_model`] };
+    const items = chunks.map((chunk, index) => ({ hash: getStringHash(chunk.text), text: chunk.text, index }));
+
+    const listResponse = await fetch('/api/vector/list', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...sourceArgs, collectionId }),
+    });
+    const existing = new Set(listResponse.ok ? await listResponse.json() : []);
+    const missing = items.filter(item => !existing.has(item.hash));
+
+    if (missing.length) {
+        const insertResponse = await fetch('/api/vector/insert', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ ...sourceArgs, collectionId, items: missing }),
+        });
+        if (!insertResponse.ok) {
+            throw new Error(`Vector insert failed: ${insertResponse.statusText}`);
+        }
+    }
+
+    const queryResponse = await fetch('/api/vector/query', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...sourceArgs, collectionId, searchText: query, topK: items.length, threshold: 0 }),
+    });
+    if (!queryResponse.ok) {
+        throw new Error(`Vector query failed: ${queryResponse.statusText}`);
+    }
+
+    const { hashes = [] } = await queryResponse.json();
+    const rank = new Map(hashes.map((hash, i) => [hash, hashes.length - i]));
+    return items.map(item => rank.get(item.hash) ?? 0);
+}
+
+const scorers = {
+    bm25: bm25Scorer,
+    vectors: vectorScorer,
+};
+
+/**
+ * Register a custom chunk scorer, selectable via the `search_scorer` setting
+ * @param {string} name - Scorer name
+ * @param {(query: string, chunks: Array<Object>) => Promise<number[]>} scorer - Returns one score per chunk
+ */
+export function registerSearchScorer(name, scorer) {
+    if (!name || typeof scorer !== 'function') return;
+    scorers[name] = scorer;
+    debug('Registered timeline search scorer:', name);
+}
+
+/**
+ * @returns {string[]} Names of all available scorers
+ */
+export function getSearchScorerNames() {
+    return Object.keys(scorers);
+}
+
+/**
+ * Split every chapter into chunks of consecutive messages
+ * @returns {Promise<Array<{chapter: number, startMsgId: number, endMsgId: number, text: string}>>}
+ */
+async function buildChunks() {
+    const timeline = getTimelineEntries();
+    const chunkSize = Math.max(1, Number(settings.search_chunk_size) || 1);
+    const chunks = [];
+
+    for (let i = 0; i < timeline.length; i++) {
+        const history = await getChapterHistory(i + 1);
+        if (!history?.length) continue;
+        const firstId = timeline[i].startMsgId === 0 ? 0 : timeline[i].startMsgId + 1;
+
+        for (let offset = 0; offset < history.length; offset += chunkSize) {
+            const slice = history.slice(offset, offset + chunkSize);
+            chunks.push({
+                chapter: i + 1,
+                startMsgId: firstId + offset,
+                endMsgId: firstId + offset + slice.length - 1,
+                text: slice.map((mes, j) => `[${firstId + offset + j}] ${mes.name}: ${mes.mes}`).join('\n'),
+            });
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Search the full text of all chapters
+ * @param {string} query - What to look for
+ * @param {Object} options
+ * @param {number} [options.limit] - Maximum number of passages to return
+ * @returns {Promise<Array<{chapter: number, startMsgId: number, endMsgId: number, score: number, text: string}>>} Passages, best first
+ */
+export async function searchTimeline(query, { limit = settings.search_result_limit } = {}) {
+    loadTimelineData();
+    const chunks = await buildChunks();
+    if (!chunks.length || !String(query ?? '').trim()) return [];
+
+    let scores;
+    const scorer = scorers[settings.search_scorer] || scorers.bm25;
+    try {
+        scores = await scorer(query, chunks);
+    } catch (err) {
+        error(`Timeline search scorer "${settings.search_scorer}" failed, falling back to BM25:`, err);
+        scores = await bm25Scorer(query, chunks);
+    }
+
+    return chunks
+        .map((chunk, i) => ({ ...chunk, score: Number(scores[i]) || 0 }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit > 0 ? limit : undefined);
+}
+
+/**
+ * Rank chapters by their best-matching passage
+ * @param {string} query - What to look for
+ * @param {number} count - Number of chapters to return
+ * @returns {Promise<number[]>} Chapter numbers, most relevant first
+ */
+export async function findCandidateChapters(query, count) {
+    const results = await searchTimeline(query, { limit: 0 });
+    const chapters = [];
+    for (const result of results) {
+        if (!chapters.includes(result.chapter)) chapters.push(result.chapter);
+        if (chapters.length >= count) break;
+    }
+    return chapters;
+}
+
+/**
+ * Format search results for tools and slash commands
+ * @param {Array<Object>} results - Results from searchTimeline
+ * @returns {string} Plaintext passages with chapter numbers and message IDs
+ */
+export function formatSearchResults(results) {
+    if (!results.length) return 'No matching passages found.';
+    return results
+        .map(result => `Chapter ${result.chapter}, messages ${result.startMsgId}-${result.endMsgId} (score ${result.score.toFixed(2)}):\n${result.text}`)
+        .join('\n\n');
+}
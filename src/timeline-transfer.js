@@ -0,0 +1,448 @@
+/**
+ * Timeline Transfer Module
+ *
+ * Exports and imports the chapter timeline as JSON or Markdown, and copies the timeline
+ * of another chat of the same character. Imported chapters whose messages are not in the
+ * current chat become summary-only "archived" chapters.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { getRequestHeaders } from "../../../../../script.js";
+import { getStringHash } from "../../../../utils.js";
+import { debug } from "./logging.js";
+import { getTimelineEntries, getTimelineVolumes, importTimelineEntries, loadTimelineData, normalizeChapterMetadata } from "./memories.js";
+
+export const TimelineImportMode = {
+    REPLACE: 'replace',
+    PREPEND: 'prepend',
+    APPEND: 'append',
+};
+
+const MARKDOWN_FIELDS = {
+    time: 'Time',
+    characters: 'Characters',
+    locations: 'Locations',
+    tags: 'Tags',
+};
+
+/**
+ * Fingerprint of a chapter's end message, used to tell whether a chapter still lines up with the current chat
+ * @param {Object} message - Chat message
+ * @returns {string|null}
+ */
+export function messageAnchor(message) {
+    return message ? String(getStringHash(`${message.name}: ${message.mes}`)) : null;
+}
+
+function chapterRange(chapter) {
+    const start = chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
+    return `${start}-${chapter.endMsgId}`;
+}
+
+function timelineToMarkdown(chapters, volumes, chatName) {
+    const lines = [`# Timeline: ${chatName}`, ''];
+
+    chapters.forEach((chapter, index) => {
+        lines.push(chapter.title ? `## Chapter ${index + 1}: ${chapter.title}` : `## Chapter ${index + 1}`);
+        lines.push(chapter.archived ? '- Archived' : `- Messages: ${chapterRange(chapter)}`);
+        for (const [key, label] of Object.entries(MARKDOWN_FIELDS)) {
+            const value = chapter[key];
+            if (Array.isArray(value) ? value.length : value) {
+                lines.push(`- ${label}: ${Array.isArray(value) ? value.join(', ') : value}`);
+            }
+        }
+        lines.push('', chapter.summary ?? '', '');
+    });
+
+    volumes.forEach((volume, index) => {
+        lines.push(`## Volume ${index + 1}: Chapters ${volume.startChapter}-${volume.endChapter}`, '', volume.summary ?? '', '');
+    });
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+function markdownToTimeline(text) {
+    const chapters = [];
+    const volumes = [];
+    const sections = text.split(/^(?=##\s)/m).filter(section => section.startsWith('##'));
+
+    for (const section of sections) {
+        const [heading, ...body] = section.split('\n');
+        const volumeMatch = heading.match(/^##\s+Volume\s+\d+\s*:\s*Chapters\s+(\d+)\s*-\s*(\d+)/i);
+        if (volumeMatch) {
+            volumes.push({
+                startChapter: Number(volumeMatch[1]),
+                endChapter: Number(volumeMatch[2]),
+                summary: body.join('\n').trim(),
+            });
+            continue;
+        }
+
+        const chapterMatch = heading.match(/^##\s+Chapter\s+\d+\s*(?::\s*(.*))?$/i);
+        if (!chapterMatch) continue;
+
+        const chapter = { title: chapterMatch[1]?.trim() ?? '', startMsgId: null, endMsgId: null };
+        let i = 0;
+        for (; i < body.length; i++) {
+            const field = body[i].match(/^-\s+(\w+)\s*:?\s*(.*)$/);
+            if (!field) break;
+            const key = field[1].toLowerCase();
+            if (key === 'messages') {
+                const range = field[2].match(/(\d+)\s*-\s*(\d+)/);
+                if (range) {
+                    // Store the range the way chapters do: startMsgId is the previous chapter's end marker
+                    const start = Number(range[1]);
+                    chapter.startMsgId = start === 0 ? 0 : start - 1;
+                    chapter.endMsgId = Number(range[2]);
+                }
+            } else if (key === 'archived') {
+                chapter.archived = true;
+            } else if (key in MARKDOWN_FIELDS) {
+                chapter[key] = field[2];
+            }
+        }
+        chapter.summary = body.slice(i).join('\n').trim();
+        chapters.push(chapter);
+    }
+
+    return { chapters, volumes };
+}
+
+/**
+ * Validate parsed chapters and volumes, dropping anything that does not fit
+ * @returns {{chapters: Array<Object>, volumes: Array<Object>}}
+ */
+function normalizeTimeline(chapters, volumes) {
+    const cleanChapters = (Array.isArray(chapters) ? chapters : [])
+        .filter(chapter => chapter && typeof chapter.summary === 'string' && chapter.summary.trim())
+        .map(chapter => ({
+            summary: chapter.summary.trim(),
+            startMsgId: Number.isInteger(chapter.startMsgId) ? chapter.startMsgId : null,
+            endMsgId: Number.isInteger(chapter.endMsgId) ? chapter.endMsgId : null,
+            ...(chapter.archived && { archived: true }),
+            ...(chapter.anchor && { anchor: String(chapter.anchor) }),
+            ...(chapter.source && { source: chapter.source }),
+            ...normalizeChapterMetadata(chapter),
+        }));
+
+    let lastEnd = 0;
+    const cleanVolumes = (Array.isArray(volumes) ? volumes : [])
+        .filter(volume => volume && typeof volume.summary === 'string')
+        .map(volume => ({ summary: volume.summary.trim(), startChapter: Number(volume.startChapter), endChapter: Number(volume.endChapter) }))
+        .sort((a, b) => a.startChapter - b.startChapter)
+        .filter(volume => {
+            const valid = Number.isInteger(volume.startChapter) && Number.isInteger(volume.endChapter)
+                && volume.startChapter > lastEnd && volume.startChapter <= volume.endChapter
+                && volume.endChapter <= cleanChapters.length;
+            if (valid) lastEnd = volume.endChapter;
+            return valid;
+        });
+
+    return { chapters: cleanChapters, volumes: cleanVolumes };
+}
+
+/**
+ * Parse a timeline export. Accepts our JSON export, a bare chapter array, or our Markdown export.
+ * @param {string} text - File contents
+ * @returns {{chapters: Array<Object>, volumes: Array<Object>, source: string}}
+ */
+export function parseTimeline(text) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) {
+        throw new Error('Nothing to import');
+    }
+
+    let parsed;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        if (Array.isArray(data)) {
+            parsed = { chapters: data, volumes: [] };
+        } else if (data.extension && data.extension !== 'timeline-memory') {
+            throw new Error('Invalid export file: not a Timeline Memory timeline');
+        } else {
+            parsed = { chapters: data.chapters ?? data.timeline, volumes: data.volumes ?? data.timelineVolumes, source: data.chat };
+        }
+    } else {
+        parsed = markdownToTimeline(trimmed);
+        parsed.source = trimmed.match(/^#\s+Timeline:\s*(.+)$/m)?.[1]?.trim();
+    }
+
+    const { chapters, volumes } = normalizeTimeline(parsed.chapters, parsed.volumes);
+    if (!chapters.length) {
+        throw new Error('No chapters found in the import');
+    }
+    return { chapters, volumes, source: parsed.source || 'import' };
+}
+
+/**
+ * Serialize the current timeline
+ * @param {'json'|'markdown'} format - Output format
+ * @returns {string}
+ */
+export function exportTimeline(format = 'json') {
+    loadTimelineData();
+    const context = getContext();
+    const chatName = context.getCurrentChatId() ?? 'chat';
+    const chapters = getTimelineEntries().map(chapter => chapter.archived ? chapter : {
+        ...chapter,
+        anchor: messageAnchor(context.chat[chapter.endMsgId]),
+    });
+    const volumes = getTimelineVolumes();
+
+    if (format === 'markdown' || format === 'md') {
+        return timelineToMarkdown(chapters, volumes, chatName);
+    }
+
+    return JSON.stringify({
+        version: '1.0',
+        extension: 'timeline-memory',
+        type: 'timeline',
+        timestamp: new Date().toISOString(),
+        chat: chatName,
+        chapters,
+        volumes,
+    }, null, 2);
+}
+
+/**
+ * Keep chapters attached to the current chat while their end messages still match; archive the rest.
+ * Once one chapter fails to match, every later chapter is archived too.
+ */
+function remapChapters(chapters, source, allowAttach) {
+    const chat = getContext().chat;
+    let attached = allowAttach;
+
+    return chapters.map(chapter => {
+        attached = attached && !chapter.archived && !!chapter.anchor
+            && Number.isInteger(chapter.startMsgId) && Number.isInteger(chapter.endMsgId)
+            && messageAnchor(chat[chapter.endMsgId]) === chapter.anchor;
+
+        const { anchor, source: chapterSource, ...entry } = chapter;
+        if (attached) {
+            delete entry.archived;
+            return entry;
+        }
+        return {
+            ...entry,
+            startMsgId: null,
+            endMsgId: null,
+            archived: true,
+            source: chapterSource ?? { chat: source, startMsgId: chapter.startMsgId, endMsgId: chapter.endMsgId },
+        };
+    });
+}
+
+function resolveImportMode(mode) {
+    if (!mode) {
+        const existing = getTimelineEntries().length;
+        if (existing) {
+            throw new Error(`The timeline already has ${existing} chapters. Choose mode=replace, prepend or append.`);
+        }
+        return TimelineImportMode.REPLACE;
+    }
+    if (!Object.values(TimelineImportMode).includes(mode)) {
+        throw new Error(`Unknown import mode "${mode}". Use replace, prepend or append.`);
+    }
+    return mode;
+}
+
+function applyImport({ chapters, volumes, source }, mode) {
+    loadTimelineData();
+    const resolvedMode = resolveImportMode(mode);
+    // Only a replaced timeline can keep message ranges; added chapters would otherwise overlap existing ones
+    const entries = remapChapters(chapters, source, resolvedMode === TimelineImportMode.REPLACE);
+    importTimelineEntries(entries, volumes, resolvedMode);
+
+    const archived = entries.filter(chapter => chapter.archived).length;
+    debug(`Imported timeline from ${source}: ${entries.length} chapters, ${archived} archived`);
+    return { chapters: entries.length, archived, volumes: volumes.length, mode: resolvedMode };
+}
+
+/**
+ * Import a timeline export into the current chat
+ * @param {string} text - JSON or Markdown export
+ * @param {Object} options
+ * @param {string} [options.mode] - replace, prepend or append; required if the timeline is not empty
+ * @returns {{chapters: number, archived: number, volumes: number, mode: string}}
+ */
+export function importTimeline(text, { mode } = {}) {
+    return applyImport(parseTimeline(text), mode);
+}
+
+function getCurrentCharacter() {
+    const context = getContext();
+    if (context.groupId || context.characterId === undefined) {
+        throw new Error('Copying a timeline is only supported in character chats');
+    }
+    return context.characters[context.characterId];
+}
+
+/**
+ * @returns {Promise<string[]>} Names of the other chats of the current character
+ */
+export async function listCharacterChats() {
+    const character = getCurrentCharacter();
+    const response = await fetch('/api/characters/chats', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: character.avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to list chats: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data?.error) return [];
+    const current = getContext().getCurrentChatId();
+    return Object.values(data)
+        .map(chat => String(chat.file_name ?? '').replace(/\.jsonl$/, ''))
+        .filter(name => name && name !== current);
+}
+
+/**
+ * Copy the timeline of another chat of the current character
+ * @param {string} chatName - Chat file name (without .jsonl)
+ * @param {Object} options
+ * @param {string} [options.mode] - replace, prepend or append; required if the timeline is not empty
+ * @returns {Promise<{chapters: number, archived: number, volumes: number, mode: string}>}
+ */
+export async function copyTimelineFromChat(chatName, { mode } = {}) {
+    const character = getCurrentCharacter();
+    const fileName = String(chatName).replace(/\.jsonl$/, '');
+    const response = await fetch('/api/chats/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ch_name: character.name, file_name: fileName, avatar_url: character.avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to load chat "${fileName}": ${response.statusText}`);
+    }
+
+    const [header, ...messages] = await response.json();
+    const metadata = header?.chat_metadata ?? {};
+    if (!Array.isArray(metadata.timeline) || !metadata.timeline.length) {
+        throw new Error(`Chat "${fileName}" has no timeline`);
+    }
+
+    // Anchor against the source chat's messages so chapters shared with a branch stay attached
+    const chapters = metadata.timeline.map(chapter => chapter.archived ? chapter : {
+        ...chapter,
+        anchor: messageAnchor(messages[chapter.endMsgId]),
+    });
+    const normalized = normalizeTimeline(chapters, metadata.timelineVolumes);
+    if (!normalized.chapters.length) {
+        throw new Error(`Chat "${fileName}" has no timeline`);
+    }
+    return applyImport({ ...normalized, source: fileName }, mode);
+}
+
+/**
+ * Describe an import result for toasts and slash command output
+ * @param {{chapters: number, archived: number, volumes: number}} result
+ * @returns {string}
+ */
+export function describeImport(result) {
+    const parts = [`${result.chapters} chapters`];
+    if (result.archived) parts.push(`${result.archived} archived`);
+    if (result.volumes) parts.push(`${result.volumes} volumes`);
+    return `Imported ${parts.join(', ')} (${result.mode})`;
+}
+
+/**
+ * Download the current timeline as a file
+ * @param {'json'|'markdown'} format - File format
+ */
+export function downloadTimeline(format = 'json') {
+    const markdown = format === 'markdown' || format === 'md';
+    const content = exportTimeline(format);
+    const chatName = String(getContext().getCurrentChatId() ?? 'chat').replace(/[^a-z0-9_-]/gi, '_');
+
+    const blob = new Blob([content], { type: markdown ? 'text/markdown' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `timeline-${chatName}.${markdown ? 'md' : 'json'}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask which chat to copy from (optional) and how to merge with the existing timeline
+ * @param {string[]} [chats] - Chats to choose from; omitted for file imports
+ * @returns {Promise<{chat?: string, mode: string}|null>} Null if cancelled
+ */
+async function promptImportOptions(chats = null) {
+    const context = getContext();
+    const hasChapters = getTimelineEntries().length > 0;
+    if (!chats && !hasChapters) {
+        return { mode: TimelineImportMode.REPLACE };
+    }
+
+    const content = $('<div class="flex-container flexFlowColumn"></div>');
+    if (chats) {
+        const chatSelect = $('<select class="text_pole rmr-transfer-chat"></select>');
+        chats.forEach(chat => chatSelect.append($('<option></option>').val(chat).text(chat)));
+        content.append('<label>Copy the timeline of:</label>', chatSelect);
+    }
+    if (hasChapters) {
+        const modeSelect = $(`<select class="text_pole rmr-transfer-mode">
+            <option value="${TimelineImportMode.PREPEND}">Add before the existing chapters</option>
+            <option value="${TimelineImportMode.APPEND}">Add after the existing chapters</option>
+            <option value="${TimelineImportMode.REPLACE}">Replace the existing timeline</option>
+        </select>`);
+        content.append('<label>This chat already has a timeline:</label>', modeSelect);
+    }
+
+    const confirmed = await context.callGenericPopup(content, context.POPUP_TYPE.CONFIRM, '', { okButton: 'Import', cancelButton: 'Cancel' });
+    if (!confirmed) return null;
+    return {
+        chat: content.find('.rmr-transfer-chat').val(),
+        mode: content.find('.rmr-transfer-mode').val() || TimelineImportMode.REPLACE,
+    };
+}
+
+/**
+ * Pick a timeline file and import it, asking how to merge if needed
+ * @param {string} [mode] - Skip the merge question and use this mode
+ * @returns {Promise<string>} Result description, or empty string if cancelled
+ */
+export async function openTimelineImportDialog(mode) {
+    const text = await new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.md,.markdown,.txt';
+        input.onchange = () => {
+            const file = input.files[0];
+            if (!file) return resolve(null);
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsText(file);
+        };
+        input.click();
+    });
+    if (!text) return '';
+
+    const parsed = parseTimeline(text);
+    const options = mode ? { mode } : await promptImportOptions();
+    if (!options) return '';
+    return describeImport(applyImport(parsed, options.mode));
+}
+
+/**
+ * Choose another chat of this character and copy its timeline
+ * @param {string} [mode] - Skip the merge question and use this mode
+ * @returns {Promise<string>} Result description, or empty string if cancelled
+ */
+export async function openTimelineCopyDialog(mode) {
+    const chats = await listCharacterChats();
+    if (!chats.length) {
+        throw new Error('This character has no other chats');
+    }
+
+    const options = await promptImportOptions(chats);
+    if (!options) return '';
+    return describeImport(await copyTimelineFromChat(options.chat, { mode: mode || options.mode }));
+}
@@ -0,0 +1,260 @@
+/**
+ * Timeline Verify Module
+ *
+ * Checks that the chapter end markers in the chat, the chapter ranges in the timeline and
+ * the hidden state of summarized messages agree, and repairs each kind of problem on request.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { settings } from "./settings.js";
+import { debug } from "./logging.js";
+import { resetMessageButtons } from "./messages.js";
+import { getTimelineEntries, loadTimelineData, updateChapterRange, archiveDetachedChapters } from "./memories.js";
+
+export const IssueType = {
+    OUT_OF_BOUNDS: 'out_of_bounds',
+    MISSING_MARKER: 'missing_marker',
+    ORPHAN_MARKER: 'orphan_marker',
+    RANGE: 'range',
+    VISIBILITY: 'visibility',
+    HIDDEN_OUTSIDE: 'hidden_outside',
+};
+
+const ISSUE_LABELS = {
+    [IssueType.OUT_OF_BOUNDS]: { title: 'Chapters past the end of the chat', repair: 'Archive them' },
+    [IssueType.MISSING_MARKER]: { title: 'Chapters without a chapter marker', repair: 'Add the markers' },
+    [IssueType.ORPHAN_MARKER]: { title: 'Chapter markers without a chapter', repair: 'Clear the markers' },
+    [IssueType.RANGE]: { title: 'Overlapping or gapped chapter ranges', repair: 'Start each chapter where the previous one ends' },
+    [IssueType.VISIBILITY]: { title: 'Summarized messages are not hidden', repair: 'Hide summarized messages' },
+    [IssueType.HIDDEN_OUTSIDE]: { title: 'Hidden messages outside any chapter', repair: 'Unhide the ones Timeline Memory hid' },
+};
+
+function chapterStart(chapter) {
+    return chapter.startMsgId === 0 ? 0 : chapter.startMsgId + 1;
+}
+
+// Comments, tool calls and other special messages keep their own hidden state
+function isStoryMessage(message) {
+    return !!message && !message.extra?.type && !message.extra?.tool_invocations;
+}
+
+/**
+ * Check the timeline against the current chat
+ * @returns {Array<{type: string, chapter?: number, messageId?: number, repairable?: boolean, start?: number, description: string}>}
+ */
+export function verifyTimeline() {
+    loadTimelineData();
+    const chat = getContext().chat ?? [];
+    const timeline = getTimelineEntries();
+    const issues = [];
+
+    // Only chapters that still fit in the chat take part in the remaining checks
+    const live = [];
+    timeline.forEach((chapter, index) => {
+        if (chapter.archived) return;
+        if (chapter.endMsgId >= chat.length) {
+            issues.push({ type: IssueType.OUT_OF_BOUNDS, chapter: index + 1, description: `Chapter ${index + 1} ends at message ${chapter.endMsgId}, but the last message is ${chat.length - 1}.` });
+            return;
+        }
+        live.push({ chapter, number: index + 1 });
+    });
+
+    const ends = new Set(live.map(({ chapter }) => chapter.endMsgId));
+    for (const { chapter, number } of live) {
+        if (!chat[chapter.endMsgId]?.extra?.rmr_chapter) {
+            issues.push({ type: IssueType.MISSING_MARKER, chapter: number, messageId: chapter.endMsgId, description: `Chapter ${number} ends at message ${chapter.endMsgId}, which is not marked as a chapter end.` });
+        }
+    }
+    chat.forEach((message, id) => {
+        if (message?.extra?.rmr_chapter && !ends.has(id)) {
+            issues.push({ type: IssueType.ORPHAN_MARKER, messageId: id, description: `Message ${id} is marked as a chapter end, but no chapter ends there.` });
+        }
+    });
+
+    let previousEnd = 0;
+    for (const { chapter, number } of live) {
+        if (chapter.startMsgId !== previousEnd) {
+            const kind = chapter.startMsgId < previousEnd ? 'overlaps the previous chapter' : 'leaves a gap after the previous chapter';
+            issues.push({ type: IssueType.RANGE, chapter: number, start: previousEnd, description: `Chapter ${number} (messages ${chapterStart(chapter)}-${chapter.endMsgId}) ${kind}, which ends at message ${previousEnd}.` });
+        }
+        previousEnd = Math.max(previousEnd, chapter.endMsgId);
+    }
+
+    if (settings.hide_chapter) {
+        const summarized = new Set();
+        for (const { chapter } of live) {
+            for (let id = chapterStart(chapter); id <= chapter.endMsgId; id++) summarized.add(id);
+        }
+        chat.forEach((message, id) => {
+            if (!isStoryMessage(message)) return;
+            if (summarized.has(id) && !message.is_system) {
+                issues.push({ type: IssueType.VISIBILITY, messageId: id, description: `Message ${id} is in a summarized chapter but is not hidden.` });
+            } else if (!summarized.has(id) && message.is_system) {
+                // Often left behind by a removed chapter, but the message may also have been hidden with /hide,
+                // so only messages this extension hid can be unhidden here
+                const repairable = !!message.extra?.rmr_hidden;
+                const cause = repairable ? 'it was hidden when a chapter was summarized' : 'it was hidden outside Timeline Memory and is left as it is';
+                issues.push({ type: IssueType.HIDDEN_OUTSIDE, messageId: id, repairable, description: `Message ${id} is hidden but is not in any summarized chapter; ${cause}.` });
+            }
+        });
+    }
+
+    debug('Timeline verification found issues:', issues);
+    return issues;
+}
+
+function setMessageHidden(id, hidden) {
+    getContext().chat[id].is_system = hidden;
+    const mes_elem = $(`.mes[mesid="${id}"]`);
+    if (mes_elem.length) mes_elem.attr('is_system', String(hidden));
+}
+
+/**
+ * Repair every issue of one type
+ * @param {string} type - An IssueType value
+ * @returns {Promise<string>} Description of the repair
+ */
+export async function repairIssues(type) {
+    const issues = verifyTimeline().filter(issue => issue.type === type);
+    if (!issues.length) return 'Nothing to repair.';
+
+    const context = getContext();
+    const chat = context.chat;
+    let message;
+
+    switch (type) {
+        case IssueType.OUT_OF_BOUNDS:
+            return `Archived ${archiveDetachedChapters()} chapters.`;
+        case IssueType.MISSING_MARKER:
+            for (const issue of issues) {
+                chat[issue.messageId].extra = chat[issue.messageId].extra || {};
+                chat[issue.messageId].extra.rmr_chapter = true;
+            }
+            message = `Added ${issues.length} chapter markers.`;
+            break;
+        case IssueType.ORPHAN_MARKER:
+            for (const issue of issues) {
+                chat[issue.messageId].extra.rmr_chapter = false;
+            }
+            message = `Cleared ${issues.length} chapter markers.`;
+            break;
+        case IssueType.RANGE: {
+            const timeline = getTimelineEntries();
+            // A chapter that ends inside the previous one cannot be fixed by moving its start
+            const fixable = issues.filter(issue => timeline[issue.chapter - 1].endMsgId > issue.start);
+            for (const issue of fixable) {
+                updateChapterRange(issue.chapter, issue.start, timeline[issue.chapter - 1].endMsgId);
+            }
+            if (fixable.length < issues.length) {
+                return `Adjusted ${fixable.length} chapter ranges; ${issues.length - fixable.length} chapters end inside the previous chapter and must be removed manually.`;
+            }
+            return `Adjusted ${fixable.length} chapter ranges.`;
+        }
+        case IssueType.VISIBILITY:
+            for (const issue of issues) {
+                setMessageHidden(issue.messageId, true);
+                chat[issue.messageId].extra = chat[issue.messageId].extra || {};
+                chat[issue.messageId].extra.rmr_hidden = true;
+            }
+            message = `Hid ${issues.length} summarized messages.`;
+            break;
+        case IssueType.HIDDEN_OUTSIDE: {
+            const repairable = issues.filter(issue => issue.repairable);
+            if (!repairable.length) return 'None of these messages were hidden by Timeline Memory; unhide them with /unhide if needed.';
+            for (const issue of repairable) {
+                setMessageHidden(issue.messageId, false);
+                delete chat[issue.messageId].extra.rmr_hidden;
+            }
+            message = `Unhid ${repairable.length} messages hidden by Timeline Memory.`;
+            break;
+        }
+        default:
+            throw new Error(`Unknown issue type "${type}"`);
+    }
+
+    await context.saveChat();
+    resetMessageButtons();
+    return message;
+}
+
+/**
+ * Repair all issues, in an order where earlier repairs cannot create later issues
+ * @returns {Promise<string>} Description of the repairs
+ */
+export async function repairAllIssues() {
+    const order = [IssueType.OUT_OF_BOUNDS, IssueType.RANGE, IssueType.MISSING_MARKER, IssueType.ORPHAN_MARKER, IssueType.VISIBILITY, IssueType.HIDDEN_OUTSIDE];
+    const messages = [];
+    for (const type of order) {
+        // Messages hidden outside Timeline Memory are only reported
+        if (verifyTimeline().some(issue => issue.type === type && issue.repairable !== false)) {
+            messages.push(await repairIssues(type));
+        }
+    }
+    return messages.length ? messages.join(' ') : 'Nothing to repair.';
+}
+
+/**
+ * Plain-text report for slash command output
+ * @param {Array<Object>} issues - Result of verifyTimeline
+ * @returns {string}
+ */
+export function formatVerifyReport(issues) {
+    if (!issues.length) return 'Timeline is consistent with the chat.';
+    return Object.entries(ISSUE_LABELS)
+        .map(([type, label]) => {
+            const group = issues.filter(issue => issue.type === type);
+            return group.length ? `${label.title} (${group.length}):\n${group.map(issue => `- ${issue.description}`).join('\n')}` : '';
+        })
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+function renderReport(content, issues) {
+    content.empty().append($('<h3></h3>').text('Timeline Verification'));
+    if (!issues.length) {
+        content.append($('<p></p>').text('The timeline is consistent with the chat.'));
+        return;
+    }
+
+    for (const [type, label] of Object.entries(ISSUE_LABELS)) {
+        const group = issues.filter(issue => issue.type === type);
+        if (!group.length) continue;
+
+        const section = $('<div class="rmr-verify-section"></div>');
+        const header = $('<div class="rmr-verify-header"></div>')
+            .append($('<b></b>').text(`${label.title} (${group.length})`));
+        if (group.some(issue => issue.repairable !== false)) {
+            header.append($('<button type="button" class="menu_button rmr-verify-repair"></button>').text(label.repair).attr('data-type', type));
+        }
+        const list = $('<ul class="rmr-verify-list"></ul>');
+        group.slice(0, 20).forEach(issue => list.append($('<li></li>').text(issue.description)));
+        if (group.length > 20) list.append($('<li></li>').text(`...and ${group.length - 20} more`));
+        content.append(section.append(header, list));
+    }
+}
+
+/**
+ * Show the verification report with a repair button for each kind of issue
+ * @returns {Promise<string>} Plain-text report of the issues found before any repairs
+ */
+export async function showVerifyReport() {
+    const context = getContext();
+    const issues = verifyTimeline();
+    const content = $('<div class="rmr-verify-report"></div>');
+    renderReport(content, issues);
+
+    content.on('click', '.rmr-verify-repair', async function () {
+        const button = $(this);
+        button.prop('disabled', true);
+        try {
+            toastr.success(await repairIssues(button.data('type')), 'Timeline Memory');
+        } catch (err) {
+            console.error('Timeline repair failed:', err);
+            toastr.error(err.message, 'Timeline Memory');
+        }
+        renderReport(content, verifyTimeline());
+    });
+
+    await context.callGenericPopup(content, context.POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+    return formatVerifyReport(issues);
+}
@@ -0,0 +1,445 @@
+/**
+ * Usage Module
+ *
+ * Sends Timeline Memory's requests and counts their tokens by workflow, connection profile and model: per chat
+ * in the chat metadata, and per day in the extension settings. Token counts reported by the backend are used
+ * when the response carries them, otherwise they are estimated with the current tokenizer. Costs come from
+ * per-model prices per million tokens, and an optional budget blocks further requests once it is spent.
+ */
+
+import { extension_settings, getContext, saveMetadataDebounced } from "../../../../extensions.js";
+import { ConnectionManagerRequestService } from "../../../shared.js";
+import { settings } from "./settings.js";
+import { debug, error } from "./logging.js";
+
+const CHAT_USAGE_METADATA_KEY = 'timeline_memory_usage';
+const MAX_USAGE_DAYS = 90;
+const DASHBOARD_DAYS = 30;
+
+export const Workflow = {
+    SUMMARY: 'summary',
+    CHUNK_SUMMARY: 'chunk_summary',
+    CHAPTER_METADATA: 'chapter_metadata',
+    VOLUME_SUMMARY: 'volume_summary',
+    QUERY: 'query',
+    TIMELINE_FILL: 'timeline_fill',
+    ARC_ANALYSIS: 'arc_analysis',
+};
+
+export const BudgetPeriod = {
+    DAY: 'day',
+    CHAT: 'chat',
+};
+
+const WORKFLOW_LABELS = {
+    [Workflow.SUMMARY]: 'Chapter summary',
+    [Workflow.CHUNK_SUMMARY]: 'Chunk summary',
+    [Workflow.CHAPTER_METADATA]: 'Chapter metadata',
+    [Workflow.VOLUME_SUMMARY]: 'Volume summary',
+    [Workflow.QUERY]: 'Chapter query',
+    [Workflow.TIMELINE_FILL]: 'Timeline Fill planning',
+    [Workflow.ARC_ANALYSIS]: 'Arc analysis',
+};
+
+/**
+ * @param {string} modeId - Agent mode ID
+ * @returns {string} Workflow name of the agent mode's requests
+ */
+export function agentWorkflow(modeId) {
+    return `agent:${modeId}`;
+}
+
+function workflowLabel(workflow) {
+    if (workflow.startsWith('agent:')) return `Agent session (${workflow.slice(6)})`;
+    return WORKFLOW_LABELS[workflow] ?? workflow;
+}
+
+function getProfile(profileId) {
+    return extension_settings.connectionManager?.profiles?.find(p => p.id === profileId) ?? null;
+}
+
+function dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {boolean} [create] - Create the usage record if the chat has none yet
+ * @returns {Object|null} Usage of the current chat, keyed by workflow, profile and model
+ */
+function getChatUsageRecords(create = false) {
+    const metadata = getContext().chatMetadata;
+    if (!metadata) return null;
+    if (create && !metadata[CHAT_USAGE_METADATA_KEY]) {
+        metadata[CHAT_USAGE_METADATA_KEY] = {};
+    }
+    return metadata[CHAT_USAGE_METADATA_KEY] ?? null;
+}
+
+function addToRecords(records, entry) {
+    const key = `${entry.workflow}|${entry.profile}|${entry.model}`;
+    const record = records[key] ??= {
+        workflow: entry.workflow,
+        profile: entry.profile,
+        model: entry.model,
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        estimatedCalls: 0,
+    };
+    record.calls++;
+    record.promptTokens += entry.promptTokens;
+    record.completionTokens += entry.completionTokens;
+    if (entry.estimated) record.estimatedCalls++;
+}
+
+/**
+ * Add a request's tokens to the totals of the current chat and of today
+ */
+function recordUsage(entry) {
+    const chatRecords = getChatUsageRecords(true);
+    if (chatRecords) {
+        addToRecords(chatRecords, entry);
+        saveMetadataDebounced();
+    }
+
+    const daily = settings.usage_daily;
+    addToRecords(daily[dayKey()] ??= {}, entry);
+    const days = Object.keys(daily).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - MAX_USAGE_DAYS))) {
+        delete daily[day];
+    }
+    getContext().saveSettingsDebounced();
+    debug(`Usage: ${entry.workflow} on ${entry.model}, ${entry.promptTokens} prompt + ${entry.completionTokens} completion tokens${entry.estimated ? ' (estimated)' : ''}`);
+}
+
+/**
+ * Read the token counts a backend reported in a raw response (OpenAI, Claude or Google format)
+ * @param {Object} data - Raw response
+ * @returns {{promptTokens: number, completionTokens: number}|null}
+ */
+function readReportedUsage(data) {
+    const usage = data?.usage;
+    if (usage && (usage.prompt_tokens !== undefined || usage.input_tokens !== undefined)) {
+        return {
+            promptTokens: Number(usage.prompt_tokens ?? usage.input_tokens) || 0,
+            completionTokens: Number(usage.completion_tokens ?? usage.output_tokens) || 0,
+        };
+    }
+    const metadata = data?.usageMetadata;
+    if (metadata && metadata.promptTokenCount !== undefined) {
+        return {
+            promptTokens: Number(metadata.promptTokenCount) || 0,
+            completionTokens: Number(metadata.candidatesTokenCount) || 0,
+        };
+    }
+    return null;
+}
+
+function promptText(messages) {
+    if (typeof messages === 'string') return messages;
+    return messages.map(message => [
+        message.content ?? '',
+        message.tool_calls ? JSON.stringify(message.tool_calls) : '',
+    ].join('\n')).join('\n\n');
+}
+
+function responseText(result) {
+    if (typeof result === 'string') return result;
+    if (typeof result?.content === 'string') return result.content;
+    return JSON.stringify(result?.choices?.[0]?.message ?? result?.content ?? result?.candidates ?? result ?? '');
+}
+
+async function countTokens(text) {
+    try {
+        return await getContext().getTokenCountAsync(text);
+    } catch (err) {
+        // Rough fallback when no tokenizer is available
+        return Math.ceil(text.length / 4);
+    }
+}
+
+async function recordRequest(workflow, profileId, messages, result, completionText = null) {
+    try {
+        const profile = getProfile(profileId);
+        const reported = readReportedUsage(result);
+        recordUsage({
+            workflow,
+            profile: profile?.name ?? profileId ?? 'unknown',
+            model: profile?.model || 'unknown',
+            promptTokens: reported ? reported.promptTokens : await countTokens(promptText(messages)),
+            completionTokens: reported ? reported.completionTokens : await countTokens(completionText ?? responseText(result)),
+            estimated: !reported,
+        });
+    } catch (err) {
+        error('Failed to record usage:', err);
+    }
+}
+
+/**
+ * @param {string} model
+ * @returns {{input: number, output: number}} Price per million prompt and completion tokens
+ */
+export function getModelPrice(model) {
+    const price = settings.usage_prices?.[model];
+    return { input: Number(price?.input) || 0, output: Number(price?.output) || 0 };
+}
+
+/**
+ * Set the price of a model
+ * @param {string} model
+ * @param {number} input - Price per million prompt tokens
+ * @param {number} output - Price per million completion tokens
+ */
+export function setModelPrice(model, input, output) {
+    settings.usage_prices = { ...settings.usage_prices, [model]: { input: Number(input) || 0, output: Number(output) || 0 } };
+    getContext().saveSettingsDebounced();
+}
+
+function recordCost(record) {
+    const price = getModelPrice(record.model);
+    return (record.promptTokens * price.input + record.completionTokens * price.output) / 1e6;
+}
+
+function sumRecords(records) {
+    const total = { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCalls: 0, cost: 0 };
+    for (const record of Object.values(records ?? {})) {
+        total.calls += record.calls;
+        total.promptTokens += record.promptTokens;
+        total.completionTokens += record.completionTokens;
+        total.estimatedCalls += record.estimatedCalls;
+        total.cost += recordCost(record);
+    }
+    return total;
+}
+
+/**
+ * @returns {Object} Totals of the current chat: calls, promptTokens, completionTokens, estimatedCalls, cost
+ */
+export function getChatUsageTotal() {
+    return sumRecords(getChatUsageRecords());
+}
+
+/**
+ * @param {string} [day] - Date as YYYY-MM-DD; today if omitted
+ * @returns {Object} Totals of the day: calls, promptTokens, completionTokens, estimatedCalls, cost
+ */
+export function getDayUsageTotal(day = dayKey()) {
+    return sumRecords(settings.usage_daily?.[day]);
+}
+
+/**
+ * @returns {{budget: number, period: string, spent: number}|null} Budget state, or null when no budget is set
+ */
+export function getBudgetStatus() {
+    const budget = Number(settings.usage_budget) || 0;
+    if (budget <= 0) return null;
+    const period = settings.usage_budget_period === BudgetPeriod.CHAT ? BudgetPeriod.CHAT : BudgetPeriod.DAY;
+    const spent = period === BudgetPeriod.CHAT ? getChatUsageTotal().cost : getDayUsageTotal().cost;
+    return { budget, period, spent };
+}
+
+/**
+ * Throw if the usage budget has been spent
+ */
+export function assertWithinBudget() {
+    const status = getBudgetStatus();
+    if (status && status.spent >= status.budget) {
+        const err = new Error(`Timeline Memory usage budget reached: ${formatCost(status.spent)} of ${formatCost(status.budget)} spent ${status.period === BudgetPeriod.CHAT ? 'in this chat' : 'today'}`);
+        err.name = 'BudgetExceededError';
+        throw err;
+    }
+}
+
+/**
+ * @param {*} err
+ * @returns {boolean} Whether the error is a request blocked by the usage budget
+ */
+export function isBudgetError(err) {
+    return err?.name === 'BudgetExceededError';
+}
+
+/**
+ * Send a request through a connection profile and count its tokens
+ * Takes the same arguments as ConnectionManagerRequestService.sendRequest, after the workflow. Streamed responses
+ * are counted once the stream has been read.
+ * @param {string} workflow - Workflow value, or agentWorkflow() for agent sessions
+ * @param {string} profileId - Connection profile ID
+ * @param {Array<Object>|string} messages - Prompt
+ * @param {number} maxTokens - Response length
+ * @param {Object} [custom] - Request options (includePreset, stream, signal, extractData...)
+ * @param {Object} [overridePayload] - Fields added to the request body
+ * @returns {Promise<*>} Response, as returned by sendRequest
+ */
+export async function sendTrackedRequest(workflow, profileId, messages, maxTokens, custom = {}, overridePayload = {}) {
+    assertWithinBudget();
+    const result = await ConnectionManagerRequestService.sendRequest(profileId, messages, maxTokens, custom, overridePayload);
+
+    if (typeof result === 'function') {
+        // Streaming returns a generator factory; each chunk carries the full text so far
+        return () => (async function* () {
+            let text = '';
+            try {
+                for await (const chunk of result()) {
+                    text = chunk?.text ?? text;
+                    yield chunk;
+                }
+            } finally {
+                await recordRequest(workflow, profileId, messages, null, text);
+            }
+        })();
+    }
+
+    await recordRequest(workflow, profileId, messages, result);
+    return result;
+}
+
+/**
+ * Forget the usage of the current chat
+ */
+export function resetChatUsage() {
+    const metadata = getContext().chatMetadata;
+    if (!metadata?.[CHAT_USAGE_METADATA_KEY]) return;
+    delete metadata[CHAT_USAGE_METADATA_KEY];
+    saveMetadataDebounced();
+}
+
+/**
+ * Forget the daily usage history
+ */
+export function clearUsageHistory() {
+    settings.usage_daily = {};
+    getContext().saveSettingsDebounced();
+}
+
+export function formatCost(cost) {
+    return cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2);
+}
+
+function formatTokens(count) {
+    return Number(count).toLocaleString();
+}
+
+/**
+ * @returns {string} One-line summary of today's and this chat's usage
+ */
+export function describeUsage() {
+    const today = getDayUsageTotal();
+    const chat = getChatUsageTotal();
+    const budget = getBudgetStatus();
+    const parts = [
+        `Today: ${today.calls} requests, ${formatTokens(today.promptTokens + today.completionTokens)} tokens, cost ${formatCost(today.cost)}`,
+        `This chat: ${chat.calls} requests, ${formatTokens(chat.promptTokens + chat.completionTokens)} tokens, cost ${formatCost(chat.cost)}`,
+    ];
+    if (budget) {
+        parts.push(`Budget: ${formatCost(budget.spent)} of ${formatCost(budget.budget)} per ${budget.period}`);
+    }
+    return parts.join('. ');
+}
+
+function usageTable(headers, rows) {
+    const table = $('<table class="rmr-usage-table"></table>');
+    table.append($('<tr></tr>').append(headers.map(header => $('<th></th>').text(header))));
+    for (const row of rows) {
+        table.append($('<tr></tr>').append(row.map(cell => $('<td></td>').text(cell))));
+    }
+    return table;
+}
+
+function renderDashboard(content) {
+    content.empty().append($('<h3>Timeline Memory Usage</h3>'), $('<p class="rmr-usage-summary"></p>').text(describeUsage()));
+
+    const chatRecords = Object.values(getChatUsageRecords() ?? {});
+    content.append($('<h4>This chat</h4>'));
+    if (chatRecords.length) {
+        const rows = chatRecords
+            .sort((a, b) => recordCost(b) - recordCost(a) || b.calls - a.calls)
+            .map(record => [
+                workflowLabel(record.workflow),
+                record.profile,
+                record.model,
+                record.calls,
+                formatTokens(record.promptTokens),
+                formatTokens(record.completionTokens),
+                formatCost(recordCost(record)),
+            ]);
+        content.append(usageTable(['Workflow', 'Profile', 'Model', 'Requests', 'Prompt', 'Completion', 'Cost'], rows));
+    } else {
+        content.append($('<p></p>').text('No requests in this chat yet.'));
+    }
+
+    const daily = settings.usage_daily ?? {};
+    const days = Object.keys(daily).sort().reverse().slice(0, DASHBOARD_DAYS);
+    content.append($(`<h4>Last ${DASHBOARD_DAYS} days</h4>`));
+    if (days.length) {
+        const rows = days.map(day => {
+            const total = sumRecords(daily[day]);
+            return [day, total.calls, formatTokens(total.promptTokens), formatTokens(total.completionTokens), formatCost(total.cost)];
+        });
+        content.append(usageTable(['Day', 'Requests', 'Prompt', 'Completion', 'Cost'], rows));
+    } else {
+        content.append($('<p></p>').text('No requests recorded yet.'));
+    }
+
+    // Every model seen in the history or set in a profile can be priced
+    const models = new Set(Object.keys(settings.usage_prices ?? {}));
+    for (const records of [getChatUsageRecords() ?? {}, ...Object.values(daily)]) {
+        Object.values(records).forEach(record => models.add(record.model));
+    }
+    (extension_settings.connectionManager?.profiles ?? []).forEach(profile => profile.model && models.add(profile.model));
+    models.delete('unknown');
+
+    content.append($('<h4>Prices per million tokens</h4>'));
+    const prices = $('<div class="rmr-usage-prices"></div>').append(
+        $('<b>Model</b>'), $('<b>Prompt</b>'), $('<b>Completion</b>'),
+    );
+    for (const model of [...models].sort()) {
+        const price = getModelPrice(model);
+        prices.append(
+            $('<span></span>').text(model),
+            $('<input type="number" min="0" step="0.01" class="text_pole rmr-usage-price" data-field="input">').attr('data-model', model).val(price.input),
+            $('<input type="number" min="0" step="0.01" class="text_pole rmr-usage-price" data-field="output">').attr('data-model', model).val(price.output),
+        );
+    }
+    content.append(prices);
+
+    content.append($('<div class="rmr-usage-buttons"></div>').append(
+        $('<button type="button" class="menu_button rmr-usage-reset-chat">Reset Chat Usage</button>'),
+        $('<button type="button" class="menu_button rmr-usage-clear-history">Clear Daily History</button>'),
+    ));
+    content.append($('<small></small>').text('Token counts are estimated with the current tokenizer when the backend does not report them.'));
+}
+
+/**
+ * Show per-chat and per-day usage, with the model prices used for the costs
+ * @returns {Promise<void>}
+ */
+export async function showUsageDashboard() {
+    const context = getContext();
+    const content = $('<div class="rmr-usage-dashboard"></div>');
+    renderDashboard(content);
+
+    content.on('change', '.rmr-usage-price', function () {
+        const model = $(this).attr('data-model');
+        const inputs = content.find('.rmr-usage-price').filter((_i, elem) => $(elem).attr('data-model') === model);
+        const value = (field) => Number(inputs.filter(`[data-field="${field}"]`).val()) || 0;
+        setModelPrice(model, value('input'), value('output'));
+        content.find('.rmr-usage-summary').text(describeUsage());
+    });
+
+    content.on('click', '.rmr-usage-reset-chat', async () => {
+        const confirmed = await context.callGenericPopup('Forget the usage recorded for this chat?', context.POPUP_TYPE.CONFIRM);
+        if (!confirmed) return;
+        resetChatUsage();
+        renderDashboard(content);
+    });
+
+    content.on('click', '.rmr-usage-clear-history', async () => {
+        const confirmed = await context.callGenericPopup('Forget the daily usage history of all chats?', context.POPUP_TYPE.CONFIRM);
+        if (!confirmed) return;
+        clearUsageHistory();
+        renderDashboard(content);
+    });
+
+    await context.callGenericPopup(content, context.POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+}